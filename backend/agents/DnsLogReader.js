@@ -0,0 +1,239 @@
+const fs = require("fs");
+const logger = require("../utils/logger");
+
+const MAX_READ_BYTES = 4 * 1024 * 1024; // Per drain; the rest is read next time
+
+const MONTHS = [
+  "Jan", "Feb", "Mar", "Apr", "May", "Jun",
+  "Jul", "Aug", "Sep", "Oct", "Nov", "Dec",
+];
+
+// "Jan  6 01:00:00" in local time. Syslog omits the year, so a stamp more
+// than a day in the future belongs to last year.
+function parseSyslogTime(month, day, time, now = new Date()) {
+  const [hours, minutes, seconds] = time.split(":").map(Number);
+  const monthIndex = MONTHS.indexOf(month);
+  if (monthIndex === -1) return now;
+  const stamp = new Date(
+    now.getFullYear(), monthIndex, Number(day), hours, minutes, seconds
+  );
+  if (stamp.getTime() - now.getTime() > 24 * 60 * 60 * 1000) {
+    stamp.setFullYear(stamp.getFullYear() - 1);
+  }
+  return stamp;
+}
+
+const normalizeName = (name) => String(name).toLowerCase().replace(/\.$/, "");
+
+// Each parser turns one log line into a query { timestamp, client, server,
+// query, qtype, rcode } or a reply { reply: true, query, rcode }, or null
+
+// dnsmasq with log-queries:
+//   Jan  6 01:00:00 dnsmasq[812]: query[A] example.com from 192.168.1.10
+//   Jan  6 01:00:00 dnsmasq[812]: reply example.com is NXDOMAIN
+function parseDnsmasq(line) {
+  const match = line.match(
+    /^(\w{3})\s+(\d+)\s+([\d:]+)\s+.*?dnsmasq\[\d+\]:\s+(?:\d+\s+[\d.:a-f]+\/\d+\s+)?(.*)$/i
+  );
+  if (!match) return null;
+  const [, month, day, time, message] = match;
+
+  const query = message.match(/^query\[(\w+)\]\s+(\S+)\s+from\s+(\S+)/);
+  if (query) {
+    return {
+      timestamp: parseSyslogTime(month, day, time),
+      client: query[3],
+      server: null,
+      query: normalizeName(query[2]),
+      qtype: query[1].toUpperCase(),
+      rcode: null,
+    };
+  }
+
+  const reply = message.match(/^(?:reply|cached|config)\s+(\S+)\s+is\s+(\S+)/);
+  if (reply) {
+    return {
+      reply: true,
+      query: normalizeName(reply[1]),
+      rcode: /^NXDOMAIN$/i.test(reply[2]) ? "NXDOMAIN" : "NOERROR",
+    };
+  }
+  return null;
+}
+
+// unbound with log-queries / log-replies:
+//   [1736125200] unbound[901:0] info: 192.168.1.10 example.com. A IN
+//   [1736125200] unbound[901:0] info: 192.168.1.10 example.com. A IN NXDOMAIN 0.012 0 40
+function parseUnbound(line) {
+  const match = line.match(
+    /^\[(\d+)\]\s+unbound\[[\d:]+\]\s+info:\s+(\S+)\s+(\S+)\s+(\w+)\s+IN(?:\s+(\w+))?/
+  );
+  if (!match) return null;
+  const [, epoch, client, name, qtype, rcode] = match;
+  return {
+    timestamp: new Date(Number(epoch) * 1000),
+    client,
+    server: null,
+    query: normalizeName(name),
+    qtype: qtype.toUpperCase(),
+    rcode: rcode ? rcode.toUpperCase() : null,
+  };
+}
+
+// systemd-resolved debug logging (journalctl -u systemd-resolved):
+//   Jan 06 01:00:00 host systemd-resolved[623]: Looking up RR for example.com IN A.
+// Lookups are made on behalf of the local host, so there is no client.
+function parseResolved(line) {
+  const match = line.match(
+    /^(\w{3})\s+(\d+)\s+([\d:]+)\s+\S+\s+systemd-resolved\[\d+\]:\s+Looking up RR for\s+(\S+)\s+IN\s+(\w+)/
+  );
+  if (!match) return null;
+  const [, month, day, time, name, qtype] = match;
+  return {
+    timestamp: parseSyslogTime(month, day, time),
+    client: null,
+    server: null,
+    query: normalizeName(name),
+    qtype: qtype.toUpperCase(),
+    rcode: null,
+  };
+}
+
+// Zeek dns.log, either TSV with a #fields header or JSON lines
+function parseZeek(line, state) {
+  if (line.startsWith("#fields")) {
+    state.zeekFields = line.split("\t").slice(1);
+    return null;
+  }
+  if (line.startsWith("#")) return null;
+
+  let record;
+  if (line.startsWith("{")) {
+    try {
+      record = JSON.parse(line);
+    } catch (error) {
+      return null;
+    }
+  } else if (state.zeekFields) {
+    const values = line.split("\t");
+    record = Object.fromEntries(
+      state.zeekFields.map((field, index) => [field, values[index]])
+    );
+  } else {
+    return null;
+  }
+
+  const unset = (value) => value === undefined || value === "-" || value === "";
+  if (unset(record.query) || unset(record.ts)) return null;
+  return {
+    timestamp: new Date(Number(record.ts) * 1000),
+    client: unset(record["id.orig_h"]) ? null : record["id.orig_h"],
+    server: unset(record["id.resp_h"]) ? null : record["id.resp_h"],
+    query: normalizeName(record.query),
+    qtype: unset(record.qtype_name) ? null : String(record.qtype_name).toUpperCase(),
+    rcode: unset(record.rcode_name) ? null : String(record.rcode_name).toUpperCase(),
+  };
+}
+
+const PARSERS = {
+  dnsmasq: parseDnsmasq,
+  unbound: parseUnbound,
+  resolved: parseResolved,
+  zeek: parseZeek,
+};
+
+// Tails a local resolver query log and hands back the queries appended since
+// the previous drain(). Starts at the end of the file and follows rotation.
+class DnsLogReader {
+  constructor(options = {}) {
+    this.path = options.path;
+    this.format = (options.format || "auto").toLowerCase();
+    this.offset = null;
+    this.inode = null;
+    this.remainder = "";
+    this.state = {}; // Parser state such as the Zeek #fields header
+
+    if (this.format !== "auto" && !PARSERS[this.format]) {
+      throw new Error(
+        `Unknown DNS log format "${this.format}" (expected auto, ${Object.keys(PARSERS).join(", ")})`
+      );
+    }
+  }
+
+  parseLine(line) {
+    if (this.format !== "auto") return PARSERS[this.format](line, this.state);
+    for (const parser of Object.values(PARSERS)) {
+      const record = parser(line, this.state);
+      if (record) return record;
+    }
+    return null;
+  }
+
+  async drain() {
+    let stat;
+    try {
+      stat = await fs.promises.stat(this.path);
+    } catch (error) {
+      if (this.offset !== -1) {
+        logger.warn(`🌐 DNS log ${this.path} unavailable: ${error.message}`);
+      }
+      this.offset = -1;
+      return [];
+    }
+
+    // First look: skip history. Rotated or truncated: start over.
+    if (this.offset === null) {
+      this.offset = stat.size;
+      this.inode = stat.ino;
+      logger.info(`🌐 Following DNS log ${this.path} (${this.format})`);
+      return [];
+    }
+    if (this.offset === -1 || stat.ino !== this.inode || stat.size < this.offset) {
+      this.offset = 0;
+      this.inode = stat.ino;
+      this.remainder = "";
+    }
+    if (stat.size === this.offset) return [];
+
+    const length = Math.min(stat.size - this.offset, MAX_READ_BYTES);
+    const buffer = Buffer.alloc(length);
+    const handle = await fs.promises.open(this.path, "r");
+    try {
+      await handle.read(buffer, 0, length, this.offset);
+    } finally {
+      await handle.close();
+    }
+    this.offset += length;
+
+    const lines = (this.remainder + buffer.toString("utf8")).split(/\r?\n/);
+    this.remainder = lines.pop(); // Incomplete last line
+
+    const queries = [];
+    const awaitingReply = new Map(); // query name -> queries in this batch
+    lines.forEach((line) => {
+      const record = line.trim() && this.parseLine(line.trim());
+      if (!record) return;
+
+      // dnsmasq logs the answer on a separate line after the query
+      if (record.reply) {
+        (awaitingReply.get(record.query) || []).forEach(
+          (query) => (query.rcode = record.rcode)
+        );
+        awaitingReply.delete(record.query);
+        return;
+      }
+
+      queries.push(record);
+      if (!record.rcode) {
+        awaitingReply.set(record.query, [
+          ...(awaitingReply.get(record.query) || []),
+          record,
+        ]);
+      }
+    });
+
+    return queries;
+  }
+}
+
+module.exports = DnsLogReader;
@@ -4,6 +4,7 @@ const os = require("os");
 const { exec } = require("child_process");
 const util = require("util");
 const execAsync = util.promisify(exec);
+const DnsLogReader = require("./DnsLogReader");
 
 class HackathonNetworkAgent {
   constructor() {
@@ -13,6 +14,14 @@ class HackathonNetworkAgent {
     this.connectionHistory = new Map();
     this.threatIndicators = new Set();
     this.isRunning = false;
+
+    // Resolver query log (dnsmasq, unbound, systemd-resolved or Zeek dns.log)
+    this.dnsLog = process.env.DNS_LOG_PATH
+      ? new DnsLogReader({
+          path: process.env.DNS_LOG_PATH,
+          format: process.env.DNS_LOG_FORMAT
+        })
+      : null;
   }
 
   async start() {
@@ -143,8 +152,17 @@ class HackathonNetworkAgent {
       // Get active network processes
       const activeProcesses = await this.getActiveNetworkProcesses();
 
+      // Cumulative bytes per TCP socket, for outbound volume (exfiltration)
+      const socketCounters = await this.getSocketCounters();
+
+      // DNS queries logged since the previous snapshot
+      const dnsQueries = this.dnsLog ? await this.dnsLog.drain() : [];
+
+      const timestamp = Date.now();
+      const firstSeen = this.trackConnectionStarts(connections, timestamp);
+
       const networkData = {
-        timestamp: Date.now(),
+        timestamp,
         publicIP: publicIP,
         defaultGateway: defaultGateway,
         localIPs: this.getLocalIPs(),
@@ -158,7 +176,9 @@ class HackathonNetworkAgent {
           protocol: conn.protocol,
           state: conn.state,
           pid: conn.pid,
-          process: activeProcesses[conn.pid] || 'Unknown'
+          process: activeProcesses[conn.pid] || 'Unknown',
+          firstSeen: firstSeen.get(this.getConnectionKey(conn)),
+          ...socketCounters.get(this.getSocketCounterKey(conn))
         })),
 
         // Network interface statistics
@@ -184,6 +204,8 @@ class HackathonNetworkAgent {
           carrier: iface.carrier
         })),
 
+        dnsQueries,
+
         // Connection analysis
         connectionAnalysis: this.analyzeConnections(connections),
         
@@ -321,6 +343,62 @@ class HackathonNetworkAgent {
     }
   }
 
+  // Per-socket byte counters from `ss -ti` (Linux only):
+  //   ESTAB 0 0 10.0.0.5:51234 203.0.113.7:443
+  //      cubic wscale:7,7 ... bytes_sent:1234 bytes_acked:1235 bytes_received:567 ...
+  async getSocketCounters() {
+    const counters = new Map();
+    if (os.platform() !== 'linux') return counters;
+    try {
+      const { stdout } = await execAsync('ss -tinH', { maxBuffer: 16 * 1024 * 1024 });
+      const address = (value) => {
+        const index = value.lastIndexOf(':');
+        return [value.slice(0, index).replace(/^\[|\]$/g, '').replace(/%.*$/, ''), value.slice(index + 1)];
+      };
+      let socket = null;
+      stdout.split('\n').forEach(line => {
+        if (!/^\s/.test(line)) {
+          const parts = line.trim().split(/\s+/);
+          socket = parts.length >= 5 ? { local: address(parts[3]), remote: address(parts[4]) } : null;
+          return;
+        }
+        if (!socket) return;
+        const sent = line.match(/bytes_sent:(\d+)/) || line.match(/bytes_acked:(\d+)/);
+        const received = line.match(/bytes_received:(\d+)/);
+        if (!sent && !received) return;
+        counters.set(`${socket.local.join(':')}|${socket.remote.join(':')}`, {
+          bytesSent: sent ? Number(sent[1]) : 0,
+          bytesReceived: received ? Number(received[1]) : 0
+        });
+        socket = null;
+      });
+    } catch (error) {
+      console.warn("⚠️ Could not read socket byte counters:", error.message);
+    }
+    return counters;
+  }
+
+  getSocketCounterKey(conn) {
+    return `${conn.localaddress}:${conn.localport}|${conn.peeraddress}:${conn.peerport}`;
+  }
+
+  getConnectionKey(conn) {
+    return `${conn.protocol}|${conn.localaddress}:${conn.localport}|${conn.peeraddress}:${conn.peerport}`;
+  }
+
+  // Remember when each socket was first seen so the backend can time
+  // connection starts (beaconing). Sockets that closed are forgotten; short
+  // callbacks are still caught while they linger in TIME_WAIT.
+  trackConnectionStarts(connections, timestamp) {
+    const open = new Map();
+    connections.forEach(conn => {
+      const key = this.getConnectionKey(conn);
+      open.set(key, this.connectionHistory.get(key) || timestamp);
+    });
+    this.connectionHistory = open;
+    return open;
+  }
+
   analyzeConnections(connections) {
     const analysis = {
       totalConnections: connections.length,
@@ -3,6 +3,8 @@ const si = require("systeminformation");
 const WebSocket = require("ws");
 const EventEmitter = require("events");
 const logger = require("../../utils/logger");
+const siteCalendar = require("../services/siteCalendar");
+const threatIntel = require("../services/threatIntel");
 
 class RealNetworkTelemetryAgent extends EventEmitter {
   constructor(options = {}) {
@@ -20,6 +22,7 @@ class RealNetworkTelemetryAgent extends EventEmitter {
     logger.info(
       "RealNetworkTelemetryAgent started (awaiting external telemetry)"
     );
+    await threatIntel.load();
     await this.connectToServer();
     await this.discoverNetworkInterfaces();
     this.startRealNetworkCapture();
@@ -125,16 +128,20 @@ class RealNetworkTelemetryAgent extends EventEmitter {
       }
     }
 
-    // Check for unusual high ports
+    // Check for unusual high ports; only suspicious when leaving the network
     if (connection.destPort > 8000 && connection.destPort < 65535) {
       threatScore += 0.3;
-      if (Math.random() > 0.8) isSuspicious = true; // 20% chance
+      if (this.isExternalIP(connection.destIP)) isSuspicious = true;
       reasons.push("High port number usage");
     }
 
-    // Check for off-hours activity
-    const hour = new Date().getHours();
-    if (hour < 6 || hour > 22) {
+    // Check for off-hours activity at the time the connection was seen, in
+    // the local time and working hours of the connection's site
+    const isOffHours = siteCalendar.isOffHours(
+      connection.timestamp || Date.now(),
+      connection.sourceIP
+    );
+    if (isOffHours) {
       threatScore += 0.2;
       reasons.push("Off-hours network activity");
     }
@@ -147,7 +154,7 @@ class RealNetworkTelemetryAgent extends EventEmitter {
       features: {
         isExternal: this.isExternalIP(connection.destIP),
         isHighPort: connection.destPort > 8000,
-        isOffHours: hour < 6 || hour > 22,
+        isOffHours,
       },
     };
   }
@@ -163,15 +170,15 @@ class RealNetworkTelemetryAgent extends EventEmitter {
   }
 
   isKnownMaliciousIP(ip) {
-    const maliciousIPs = ["185.220.101.45", "87.251.75.245", "91.240.118.172"];
-    return maliciousIPs.includes(ip);
+    return threatIntel.matchIP(ip).length > 0;
   }
 
+  // Must be a ThreatData threatCategory. A single connection cannot show a
+  // scan; the backend scan detector raises RECONNAISSANCE threats.
   categorizeThreat(reasons) {
     if (reasons.some((r) => r.includes("malicious"))) return "MALWARE";
-    if (reasons.some((r) => r.includes("port"))) return "PORT_SCAN";
-    if (reasons.some((r) => r.includes("off-hours")))
-      return "SUSPICIOUS_ACTIVITY";
+    if (reasons.includes("Suspicious destination port")) return "MALWARE";
+    if (reasons.includes("High port number usage")) return "NETWORK_ANOMALY";
     return "ANOMALY";
   }
 
@@ -0,0 +1,102 @@
+const fs = require("fs");
+const path = require("path");
+
+const DEFAULT_CORPUS_PATH = path.join(
+  __dirname,
+  "..",
+  "data",
+  "domains",
+  "benign-labels.txt"
+);
+const ALPHABET = "abcdefghijklmnopqrstuvwxyz0123456789-";
+const BOUNDARY = "^"; // Marks the start and end of a label
+const SMOOTHING = 0.1; // Add-k for bigrams never seen in training
+
+const mean = (values) =>
+  values.reduce((sum, value) => sum + value, 0) / values.length;
+
+// Character bigram model of ordinary domain labels. score() places a label
+// between the training labels (0) and uniformly random strings (1).
+class DomainNgramModel {
+  constructor(options = {}) {
+    this.corpusPath =
+      options.corpusPath || process.env.DNS_NGRAM_CORPUS || DEFAULT_CORPUS_PATH;
+    this.logProbabilities = null;
+    this.benignMean = 0;
+    this.randomMean = 0;
+  }
+
+  load() {
+    const labels = fs
+      .readFileSync(this.corpusPath, "utf8")
+      .split(/\r?\n/)
+      .map((line) => line.trim().toLowerCase())
+      .filter((line) => line && !line.startsWith("#"));
+    return this.train(labels);
+  }
+
+  train(labels) {
+    const symbols = [BOUNDARY, ...ALPHABET];
+    const counts = new Map(symbols.map((symbol) => [symbol, new Map()]));
+    labels.forEach((label) => {
+      this.bigrams(label).forEach(([a, b]) => {
+        const next = counts.get(a);
+        next.set(b, (next.get(b) || 0) + 1);
+      });
+    });
+
+    this.logProbabilities = new Map();
+    counts.forEach((next, a) => {
+      const total = [...next.values()].reduce((sum, count) => sum + count, 0);
+      const row = new Map();
+      symbols.forEach((b) => {
+        row.set(
+          b,
+          Math.log(
+            ((next.get(b) || 0) + SMOOTHING) /
+              (total + SMOOTHING * symbols.length)
+          )
+        );
+      });
+      this.logProbabilities.set(a, row);
+    });
+
+    // Reference points: the training labels, and letters drawn at random
+    this.benignMean = mean(labels.map((label) => this.logLikelihood(label)));
+    this.randomMean = mean(
+      [...ALPHABET].flatMap((a) =>
+        [...ALPHABET].map((b) => this.logProbabilities.get(a).get(b))
+      )
+    );
+    return this;
+  }
+
+  // Bigrams including the boundaries; characters outside the alphabet
+  // (e.g. punycode leftovers) are dropped
+  bigrams(label) {
+    const chars = [
+      BOUNDARY,
+      ...[...label.toLowerCase()].filter((char) => ALPHABET.includes(char)),
+      BOUNDARY,
+    ];
+    return chars.slice(1).map((char, i) => [chars[i], char]);
+  }
+
+  // Mean log probability per bigram
+  logLikelihood(label) {
+    const bigrams = this.bigrams(label);
+    return mean(
+      bigrams.map(([a, b]) => this.logProbabilities.get(a).get(b))
+    );
+  }
+
+  score(label) {
+    if (!this.logProbabilities) this.load();
+    const spread = this.benignMean - this.randomMean;
+    if (spread <= 0) return 0;
+    const value = (this.benignMean - this.logLikelihood(label)) / spread;
+    return Math.min(Math.max(value, 0), 1);
+  }
+}
+
+module.exports = DomainNgramModel;
@@ -0,0 +1,167 @@
+const BINS = 10;
+const REFERENCE_SIZE = 1000; // Training values kept per feature for KS
+const EPSILON = 1e-4; // Stands in for empty bins so PSI stays finite
+const KS_ALPHA_COEFFICIENT = 1.949; // Two-sample KS critical value at alpha 0.001
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+// Evenly spaced picks from a sorted column, keeping its shape
+function downsample(sorted, size) {
+  if (sorted.length <= size) return sorted;
+  const step = (sorted.length - 1) / (size - 1);
+  return Array.from({ length: size }, (_, i) => sorted[Math.round(i * step)]);
+}
+
+// Bin index for a value given ascending interior edges; bin i holds
+// values in [edges[i - 1], edges[i])
+function binIndex(value, edges) {
+  let bin = 0;
+  while (bin < edges.length && value >= edges[bin]) bin++;
+  return bin;
+}
+
+function proportions(values, edges) {
+  const counts = new Array(edges.length + 1).fill(0);
+  values.forEach((value) => counts[binIndex(value, edges)]++);
+  return counts.map((count) => count / values.length);
+}
+
+// Population stability index between expected and actual bin shares
+function populationStabilityIndex(expected, actual) {
+  return expected.reduce((sum, share, bin) => {
+    const e = Math.max(share, EPSILON);
+    const a = Math.max(actual[bin], EPSILON);
+    return sum + (a - e) * Math.log(a / e);
+  }, 0);
+}
+
+// Two-sample Kolmogorov-Smirnov statistic: largest gap between the two
+// empirical CDFs. Both inputs must be sorted ascending.
+function ksStatistic(reference, sample) {
+  let i = 0;
+  let j = 0;
+  let maxGap = 0;
+  while (i < reference.length && j < sample.length) {
+    const value = Math.min(reference[i], sample[j]);
+    while (i < reference.length && reference[i] === value) i++;
+    while (j < sample.length && sample[j] === value) j++;
+    maxGap = Math.max(
+      maxGap,
+      Math.abs(i / reference.length - j / sample.length)
+    );
+  }
+  return maxGap;
+}
+
+// Compares the distribution of recent feature vectors with the distribution
+// the active model was trained on. The baseline travels with the model
+// artifact; recent vectors are kept in a rolling window.
+class DriftMonitor {
+  constructor(options = {}) {
+    this.windowSize = options.windowSize || 500;
+    this.minWindowSize = options.minWindowSize || 100;
+    this.evaluateEvery = options.evaluateEvery || 50;
+    this.baseline = null;
+    this.baselineVersion = null;
+    this.window = [];
+    this.sinceEvaluation = 0;
+    this.lastReport = null;
+  }
+
+  // Quantile bin edges, expected bin shares and a reference sample per feature
+  static buildBaseline(vectors, featureNames) {
+    return {
+      sampleCount: vectors.length,
+      features: featureNames.map((name, index) => {
+        const sorted = vectors
+          .map((vector) => vector[index])
+          .sort((a, b) => a - b);
+        const edges = [];
+        for (let bin = 1; bin < BINS; bin++) {
+          const edge = sorted[Math.floor((bin * sorted.length) / BINS)];
+          // Constant stretches collapse into a single edge
+          if (edges[edges.length - 1] !== edge) edges.push(edge);
+        }
+        return {
+          name,
+          edges,
+          expected: proportions(sorted, edges),
+          reference: downsample(sorted, REFERENCE_SIZE),
+        };
+      }),
+    };
+  }
+
+  setBaseline(baseline, version = null) {
+    this.baseline = baseline || null;
+    this.baselineVersion = baseline ? version : null;
+    this.window = [];
+    this.sinceEvaluation = 0;
+    this.lastReport = null;
+  }
+
+  // Add a vector; returns a fresh report every evaluateEvery observations
+  observe(vector, thresholds) {
+    if (!this.baseline) return null;
+
+    this.window.push(vector);
+    if (this.window.length > this.windowSize) this.window.shift();
+    this.sinceEvaluation++;
+
+    if (
+      this.window.length < this.minWindowSize ||
+      this.sinceEvaluation < this.evaluateEvery
+    ) {
+      return null;
+    }
+    return this.evaluate(thresholds);
+  }
+
+  evaluate({ psiThreshold, ksThreshold }) {
+    if (!this.baseline || !this.window.length) return null;
+    this.sinceEvaluation = 0;
+
+    const n = this.window.length;
+    const m = this.baseline.features[0]?.reference.length || 0;
+    // Gaps below this are within sampling noise for these window sizes
+    const ksCritical = KS_ALPHA_COEFFICIENT * Math.sqrt((n + m) / (n * m));
+
+    const features = this.baseline.features.map((feature, index) => {
+      const column = this.window
+        .map((vector) => vector[index])
+        .sort((a, b) => a - b);
+      const psi = populationStabilityIndex(
+        feature.expected,
+        proportions(column, feature.edges)
+      );
+      const ks = ksStatistic(feature.reference, column);
+      const drifted =
+        psi >= psiThreshold || (ks >= ksThreshold && ks >= ksCritical);
+      return { feature: feature.name, psi: round(psi), ks: round(ks), drifted };
+    });
+
+    this.lastReport = {
+      evaluatedAt: new Date(),
+      modelVersion: this.baselineVersion,
+      windowSize: n,
+      thresholds: { psi: psiThreshold, ks: ksThreshold, ksCritical: round(ksCritical) },
+      drifted: features
+        .filter((feature) => feature.drifted)
+        .map((feature) => feature.feature),
+      features,
+    };
+    return this.lastReport;
+  }
+
+  getStatus() {
+    return {
+      baseline: Boolean(this.baseline),
+      modelVersion: this.baselineVersion || null,
+      windowSize: this.window.length,
+      maxWindowSize: this.windowSize,
+      lastReport: this.lastReport,
+    };
+  }
+}
+
+module.exports = DriftMonitor;
@@ -1,49 +1,76 @@
+// Order of the numeric vector fed to the anomaly model; changing it
+// invalidates trained models
+const FEATURE_NAMES = [
+  "totalConnections",
+  "establishedConnections",
+  "listeningPorts",
+  "tcpConnections",
+  "udpConnections",
+  "highPorts",
+  "privilegedPorts",
+  "externalConnections",
+  "bytesReceivedRate",
+  "bytesSentRate",
+  "packetRate",
+  "hourOfDay",
+  "isOffHours",
+  "portDiversity",
+  "connectionEntropy",
+];
+
+// Log scale keeps large counts distinguishable instead of clipping them
+const logScale = (value, max) =>
+  Math.min(Math.log1p(Math.max(value, 0)) / Math.log1p(max), 1);
+
 class NetworkFeatureExtractor {
-  extractFeatures(networkData) {
+  // `calendar` gives site-local time and working hours (services/siteCalendar)
+  constructor(options = {}) {
+    this.calendar = options.calendar;
+  }
+
+  // `previous` is the prior snapshot, used to turn cumulative interface
+  // counters into per-second rates
+  extractFeatures(networkData, previous = null) {
+    const connections = networkData.connections || [];
+    const networkStats = networkData.networkStats || [];
+    const timestamp = new Date(networkData.timestamp || Date.now());
+    const local = this.calendar.localTime(timestamp);
+
     const features = {
       // Connection-based features
-      totalConnections: networkData.connections.length,
-      establishedConnections: this.countByState(
-        networkData.connections,
-        "ESTABLISHED"
-      ),
-      listeningPorts: this.countByState(networkData.connections, "LISTEN"),
+      totalConnections: connections.length,
+      establishedConnections: this.countByState(connections, "ESTABLISHED"),
+      listeningPorts: this.countByState(connections, "LISTEN"),
 
       // Protocol distribution
-      tcpConnections: this.countByProtocol(networkData.connections, "tcp"),
-      udpConnections: this.countByProtocol(networkData.connections, "udp"),
+      tcpConnections: this.countByProtocol(connections, "tcp"),
+      udpConnections: this.countByProtocol(connections, "udp"),
 
       // Port analysis
-      highPorts: this.countHighPorts(networkData.connections),
-      privilegedPorts: this.countPrivilegedPorts(networkData.connections),
+      highPorts: this.countHighPorts(connections),
+      privilegedPorts: this.countPrivilegedPorts(connections),
 
       // External connections (potential threat indicator)
-      externalConnections: this.countExternalConnections(
-        networkData.connections
-      ),
+      externalConnections: this.countExternalConnections(connections),
 
       // Traffic volume features
-      totalBytesReceived: this.sumNetworkStats(
-        networkData.networkStats,
+      bytesReceivedRate: this.calculateRate(
+        networkData,
+        previous,
         "bytesReceived"
       ),
-      totalBytesSent: this.sumNetworkStats(
-        networkData.networkStats,
-        "bytesSent"
-      ),
-      totalPackets:
-        this.sumNetworkStats(networkData.networkStats, "packetsReceived") +
-        this.sumNetworkStats(networkData.networkStats, "packetsSent"),
+      bytesSentRate: this.calculateRate(networkData, previous, "bytesSent"),
+      packetRate:
+        this.calculateRate(networkData, previous, "packetsReceived") +
+        this.calculateRate(networkData, previous, "packetsSent"),
 
       // Time-based features
-      hourOfDay: new Date().getHours(),
-      isOffHours: this.isOffHours(),
+      hourOfDay: local.hour,
+      isOffHours: !local.workingHours,
 
       // Calculated risk indicators
-      portDiversity: this.calculatePortDiversity(networkData.connections),
-      connectionEntropy: this.calculateConnectionEntropy(
-        networkData.connections
-      ),
+      portDiversity: this.calculatePortDiversity(connections),
+      connectionEntropy: this.calculateConnectionEntropy(connections),
     };
 
     return this.normalizeFeatures(features);
@@ -75,6 +102,21 @@ class NetworkFeatureExtractor {
     return stats.reduce((sum, s) => sum + (s[key] || 0), 0);
   }
 
+  // Counters reset on reboot or interface changes; treat drops as no traffic
+  calculateRate(current, previous, key) {
+    if (!previous?.networkStats?.length || !current.networkStats?.length) {
+      return 0;
+    }
+    const elapsedSeconds =
+      (new Date(current.timestamp) - new Date(previous.timestamp)) / 1000;
+    if (!(elapsedSeconds > 0)) return 0;
+
+    const delta =
+      this.sumNetworkStats(current.networkStats, key) -
+      this.sumNetworkStats(previous.networkStats, key);
+    return Math.max(delta, 0) / elapsedSeconds;
+  }
+
   isInternalIP(ip) {
     if (!ip) return true;
     return (
@@ -90,17 +132,51 @@ class NetworkFeatureExtractor {
     return ports.size / Math.max(connections.length, 1);
   }
 
+  // Shannon entropy of remote peers, normalized to 0-1; low values mean
+  // traffic is concentrated on few hosts
+  calculateConnectionEntropy(connections) {
+    if (connections.length < 2) return 0;
+
+    const counts = new Map();
+    connections.forEach((conn) => {
+      counts.set(conn.remoteIP, (counts.get(conn.remoteIP) || 0) + 1);
+    });
+    if (counts.size < 2) return 0;
+
+    let entropy = 0;
+    counts.forEach((count) => {
+      const p = count / connections.length;
+      entropy -= p * Math.log2(p);
+    });
+    return entropy / Math.log2(counts.size);
+  }
+
   normalizeFeatures(features) {
     // Normalize features to 0-1 range for ML models
     return {
-      totalConnections: Math.min(features.totalConnections / 100, 1),
-      externalConnections: Math.min(features.externalConnections / 20, 1),
-      portDiversity: features.portDiversity,
+      totalConnections: logScale(features.totalConnections, 1000),
+      establishedConnections: logScale(features.establishedConnections, 1000),
+      listeningPorts: logScale(features.listeningPorts, 200),
+      tcpConnections: logScale(features.tcpConnections, 1000),
+      udpConnections: logScale(features.udpConnections, 500),
+      highPorts: logScale(features.highPorts, 1000),
+      privilegedPorts: logScale(features.privilegedPorts, 500),
+      externalConnections: logScale(features.externalConnections, 500),
+      bytesReceivedRate: logScale(features.bytesReceivedRate, 1e9),
+      bytesSentRate: logScale(features.bytesSentRate, 1e9),
+      packetRate: logScale(features.packetRate, 1e6),
+      hourOfDay: features.hourOfDay / 23,
       isOffHours: features.isOffHours ? 1 : 0,
-      // ... normalize other features
+      portDiversity: features.portDiversity,
+      connectionEntropy: features.connectionEntropy,
       rawFeatures: features, // Keep raw for analysis
     };
   }
+
+  toVector(normalized) {
+    return FEATURE_NAMES.map((name) => normalized[name]);
+  }
 }
 
 module.exports = NetworkFeatureExtractor;
+module.exports.FEATURE_NAMES = FEATURE_NAMES;
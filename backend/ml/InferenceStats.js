@@ -0,0 +1,69 @@
+const MAX_LATENCIES = 1000; // Percentiles cover the most recent inferences
+
+const round = (value) => Math.round(value * 100) / 100;
+
+function percentile(sorted, p) {
+  if (!sorted.length) return null;
+  const index = Math.min(
+    sorted.length - 1,
+    Math.max(Math.ceil((p / 100) * sorted.length) - 1, 0)
+  );
+  return round(sorted[index]);
+}
+
+// Running counters for live model inference, reported to the ML dashboard
+class InferenceStats {
+  constructor() {
+    this.reset();
+  }
+
+  reset() {
+    this.processedSamples = 0;
+    this.unscoredSamples = 0; // No trained model or rejected by data checks
+    this.threatsDetected = 0;
+    this.classDistribution = {};
+    this.latencies = [];
+    this.modelVersion = null;
+    this.lastInferenceAt = null;
+  }
+
+  record({ predictedClass, detected, latencyMs, modelVersion, timestamp }) {
+    this.processedSamples++;
+    if (detected) this.threatsDetected++;
+    this.classDistribution[predictedClass] =
+      (this.classDistribution[predictedClass] || 0) + 1;
+    this.modelVersion = modelVersion;
+    this.lastInferenceAt = new Date(timestamp ?? Date.now());
+
+    this.latencies.push(latencyMs);
+    if (this.latencies.length > MAX_LATENCIES) this.latencies.shift();
+  }
+
+  recordUnscored() {
+    this.unscoredSamples++;
+  }
+
+  toJSON() {
+    const sorted = [...this.latencies].sort((a, b) => a - b);
+    const mean = sorted.length
+      ? sorted.reduce((sum, latency) => sum + latency, 0) / sorted.length
+      : null;
+
+    return {
+      processedSamples: this.processedSamples,
+      unscoredSamples: this.unscoredSamples,
+      threatsDetected: this.threatsDetected,
+      processingTimeMs: mean === null ? null : round(mean),
+      latency: {
+        p50: percentile(sorted, 50),
+        p95: percentile(sorted, 95),
+        p99: percentile(sorted, 99),
+      },
+      modelVersion: this.modelVersion,
+      classDistribution: this.classDistribution,
+      lastInferenceAt: this.lastInferenceAt,
+    };
+  }
+}
+
+module.exports = InferenceStats;
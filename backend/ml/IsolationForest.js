@@ -0,0 +1,132 @@
+const { createRandom } = require("../utils/random");
+
+const EULER_GAMMA = 0.5772156649;
+
+// Average path length of an unsuccessful BST search over n points; used to
+// normalize isolation depths
+function averagePathLength(n) {
+  if (n > 2) return 2 * (Math.log(n - 1) + EULER_GAMMA) - (2 * (n - 1)) / n;
+  if (n === 2) return 1;
+  return 0;
+}
+
+// Isolation forest (Liu, Ting & Zhou, 2008). Anomalies are isolated by fewer
+// random splits, so short average paths give scores close to 1 while normal
+// points sit around 0.5 or below. Pure JavaScript, no native addons.
+class IsolationForest {
+  constructor(options = {}) {
+    this.treeCount = options.treeCount || 100;
+    this.maxSampleSize = options.sampleSize || 256;
+    this.seed = options.seed ?? 42; // Fixed by default so retraining is reproducible
+    this.trees = [];
+    this.sampleSize = 0;
+    this.dimensions = 0;
+  }
+
+  fit(samples) {
+    if (!samples.length) {
+      throw new Error("Cannot train an isolation forest without samples");
+    }
+
+    const random = createRandom(this.seed);
+    this.dimensions = samples[0].length;
+    this.sampleSize = Math.min(this.maxSampleSize, samples.length);
+    const heightLimit = Math.ceil(Math.log2(Math.max(this.sampleSize, 2)));
+
+    this.trees = [];
+    for (let i = 0; i < this.treeCount; i++) {
+      const subsample = this.subsample(samples, this.sampleSize, random);
+      this.trees.push(this.buildTree(subsample, 0, heightLimit, random));
+    }
+    return this;
+  }
+
+  // Partial Fisher-Yates shuffle: sampling without replacement
+  subsample(samples, size, random) {
+    const indices = samples.map((_, index) => index);
+    for (let i = 0; i < size; i++) {
+      const j = i + Math.floor(random() * (indices.length - i));
+      [indices[i], indices[j]] = [indices[j], indices[i]];
+    }
+    return indices.slice(0, size).map((index) => samples[index]);
+  }
+
+  // Nodes use short keys to keep persisted models small:
+  // leaf { s: size }, split { f: feature, v: value, l: left, r: right }
+  buildTree(samples, depth, heightLimit, random) {
+    if (depth >= heightLimit || samples.length <= 1) {
+      return { s: samples.length };
+    }
+
+    // Only features that still vary can split this node
+    const candidates = [];
+    for (let feature = 0; feature < this.dimensions; feature++) {
+      let min = Infinity;
+      let max = -Infinity;
+      samples.forEach((sample) => {
+        min = Math.min(min, sample[feature]);
+        max = Math.max(max, sample[feature]);
+      });
+      if (max > min) candidates.push({ feature, min, max });
+    }
+    if (!candidates.length) return { s: samples.length };
+
+    const { feature, min, max } =
+      candidates[Math.floor(random() * candidates.length)];
+    const value = min + random() * (max - min);
+
+    const left = samples.filter((sample) => sample[feature] < value);
+    const right = samples.filter((sample) => sample[feature] >= value);
+
+    return {
+      f: feature,
+      v: value,
+      l: this.buildTree(left, depth + 1, heightLimit, random),
+      r: this.buildTree(right, depth + 1, heightLimit, random),
+    };
+  }
+
+  pathLength(vector, node, depth = 0) {
+    if (node.s !== undefined) return depth + averagePathLength(node.s);
+    const next = vector[node.f] < node.v ? node.l : node.r;
+    return this.pathLength(vector, next, depth + 1);
+  }
+
+  // Anomaly score in [0, 1]
+  score(vector) {
+    if (!this.trees.length) {
+      throw new Error("Isolation forest has not been trained");
+    }
+
+    const meanPath =
+      this.trees.reduce((sum, tree) => sum + this.pathLength(vector, tree), 0) /
+      this.trees.length;
+    const normalizer = averagePathLength(this.sampleSize) || 1;
+    return Math.pow(2, -meanPath / normalizer);
+  }
+
+  toJSON() {
+    return {
+      treeCount: this.treeCount,
+      sampleSize: this.sampleSize,
+      maxSampleSize: this.maxSampleSize,
+      dimensions: this.dimensions,
+      seed: this.seed,
+      trees: this.trees,
+    };
+  }
+
+  static fromJSON(data) {
+    const forest = new IsolationForest({
+      treeCount: data.treeCount,
+      sampleSize: data.maxSampleSize,
+      seed: data.seed,
+    });
+    forest.sampleSize = data.sampleSize;
+    forest.dimensions = data.dimensions;
+    forest.trees = data.trees;
+    return forest;
+  }
+}
+
+module.exports = IsolationForest;
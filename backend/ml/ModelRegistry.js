@@ -0,0 +1,147 @@
+const fs = require("fs");
+const path = require("path");
+
+const INDEX_FILE = "registry.json";
+const ARTIFACT_DIR = "models";
+const ROLLBACK_DEPTH = 3; // Recently active versions never pruned
+
+// Versioned store of trained model artifacts on disk. The index records each
+// version's metadata and the promotion history used for rollback; artifacts
+// live in one JSON file per version.
+class ModelRegistry {
+  constructor(directory, options = {}) {
+    this.directory = directory;
+    this.maxVersions = options.maxVersions || 10;
+    this.index = { nextVersion: 1, activeVersion: null, versions: [], history: [] };
+  }
+
+  get indexPath() {
+    return path.join(this.directory, INDEX_FILE);
+  }
+
+  artifactPath(version) {
+    return path.join(this.directory, ARTIFACT_DIR, `${version}.json`);
+  }
+
+  async load() {
+    await fs.promises.mkdir(path.join(this.directory, ARTIFACT_DIR), {
+      recursive: true,
+    });
+    if (fs.existsSync(this.indexPath)) {
+      this.index = JSON.parse(await fs.promises.readFile(this.indexPath, "utf8"));
+    }
+    return this;
+  }
+
+  async save() {
+    // Write then rename so a crash never leaves a truncated index
+    const temporary = `${this.indexPath}.tmp`;
+    await fs.promises.writeFile(temporary, JSON.stringify(this.index, null, 2));
+    await fs.promises.rename(temporary, this.indexPath);
+  }
+
+  list() {
+    return this.index.versions.map((entry) => ({
+      ...entry,
+      active: entry.version === this.index.activeVersion,
+    }));
+  }
+
+  get(version) {
+    return this.index.versions.find((entry) => entry.version === version) || null;
+  }
+
+  getActive() {
+    return this.index.activeVersion ? this.get(this.index.activeVersion) : null;
+  }
+
+  getHistory() {
+    return this.index.history;
+  }
+
+  // Store a new candidate version; metadata carries training window, feature
+  // schema and evaluation metrics
+  async register(artifact, metadata) {
+    const version = `v${this.index.nextVersion++}`;
+    await fs.promises.writeFile(
+      this.artifactPath(version),
+      JSON.stringify(artifact)
+    );
+
+    const entry = { version, createdAt: new Date(), ...metadata };
+    this.index.versions.push(entry);
+    await this.prune();
+    await this.save();
+    return entry;
+  }
+
+  async loadArtifact(version) {
+    return JSON.parse(
+      await fs.promises.readFile(this.artifactPath(version), "utf8")
+    );
+  }
+
+  async promote(version, promotedBy = null, reason = "promote") {
+    if (!this.get(version)) {
+      throw new Error(`Unknown model version ${version}`);
+    }
+
+    this.index.activeVersion = version;
+    this.index.history.push({ version, promotedAt: new Date(), promotedBy, reason });
+    await this.save();
+    return this.get(version);
+  }
+
+  // Versions that have been active, oldest first, with rolled-back ones
+  // removed: a promotion pushes its version and a rollback returns to the
+  // entry below, so repeated rollbacks keep walking back
+  activationStack() {
+    const stack = [];
+    this.index.history.forEach((entry) => {
+      const at = stack.lastIndexOf(entry.version, -2);
+      if (entry.reason === "rollback" && at !== -1) {
+        stack.length = at + 1;
+      } else {
+        stack.push(entry.version);
+      }
+    });
+    return stack;
+  }
+
+  // Version that was active before the current one, if still stored
+  getRollbackTarget() {
+    const current = this.index.activeVersion;
+    const previous = this.activationStack()
+      .reverse()
+      .find((version) => version !== current && this.get(version));
+    return previous ? this.get(previous) : null;
+  }
+
+  // Drop the oldest artifacts beyond maxVersions, keeping the ones rollback
+  // would return to next
+  async prune() {
+    const protectedVersions = new Set();
+    this.activationStack()
+      .reverse()
+      .forEach((version) => {
+        if (protectedVersions.size < ROLLBACK_DEPTH) {
+          protectedVersions.add(version);
+        }
+      });
+    const removable = this.index.versions.filter(
+      (entry) => !protectedVersions.has(entry.version)
+    );
+    const excess = this.index.versions.length - this.maxVersions;
+    const removed = removable.slice(0, Math.max(excess, 0));
+
+    for (const entry of removed) {
+      await fs.promises.rm(this.artifactPath(entry.version), { force: true });
+    }
+    const removedVersions = new Set(removed.map((entry) => entry.version));
+    this.index.versions = this.index.versions.filter(
+      (entry) => !removedVersions.has(entry.version)
+    );
+  }
+}
+
+module.exports = ModelRegistry;
@@ -1,182 +0,0 @@
-const tf = require("@tensorflow/tfjs-node");
-
-class HackathonMLModels {
-  constructor() {
-    this.models = {};
-    this.isReady = false;
-  }
-
-  async initialize() {
-    console.log("🤖 Initializing ML Models for Hackathon Demo...");
-
-    // Initialize multiple models for impressive demo
-    await Promise.all([
-      this.initAnomalyDetector(),
-      this.initThreatClassifier(),
-      this.initRiskScorer(),
-    ]);
-
-    this.isReady = true;
-    console.log("✅ All ML models ready!");
-  }
-
-  async initAnomalyDetector() {
-    // Autoencoder for anomaly detection
-    this.models.anomalyDetector = tf.sequential({
-      layers: [
-        tf.layers.dense({ inputShape: [15], units: 10, activation: "relu" }),
-        tf.layers.dense({ units: 5, activation: "relu" }),
-        tf.layers.dense({ units: 2, activation: "relu" }), // Bottleneck
-        tf.layers.dense({ units: 5, activation: "relu" }),
-        tf.layers.dense({ units: 10, activation: "relu" }),
-        tf.layers.dense({ units: 15, activation: "sigmoid" }),
-      ],
-    });
-
-    this.models.anomalyDetector.compile({
-      optimizer: "adam",
-      loss: "meanSquaredError",
-    });
-  }
-
-  async initThreatClassifier() {
-    // Multi-class threat classifier
-    this.models.threatClassifier = tf.sequential({
-      layers: [
-        tf.layers.dense({ inputShape: [15], units: 32, activation: "relu" }),
-        tf.layers.dropout({ rate: 0.3 }),
-        tf.layers.dense({ units: 16, activation: "relu" }),
-        tf.layers.dense({ units: 5, activation: "softmax" }), // 5 threat types
-      ],
-    });
-
-    this.models.threatClassifier.compile({
-      optimizer: "adam",
-      loss: "categoricalCrossentropy",
-      metrics: ["accuracy"],
-    });
-  }
-
-  async initRiskScorer() {
-    // Risk scoring model
-    this.models.riskScorer = tf.sequential({
-      layers: [
-        tf.layers.dense({ inputShape: [15], units: 20, activation: "relu" }),
-        tf.layers.dense({ units: 10, activation: "relu" }),
-        tf.layers.dense({ units: 1, activation: "sigmoid" }),
-      ],
-    });
-
-    this.models.riskScorer.compile({
-      optimizer: "adam",
-      loss: "binaryCrossentropy",
-    });
-  }
-
-  async analyzeNetworkData(features) {
-    if (!this.isReady) return this.getDemoResults();
-
-    const featureArray = this.extractFeatureArray(features);
-    const tensorInput = tf.tensor2d([featureArray]);
-
-    try {
-      // Run all models in parallel for demo speed
-      const [anomalyScore, threatClass, riskScore] = await Promise.all([
-        this.detectAnomaly(tensorInput),
-        this.classifyThreat(tensorInput),
-        this.scoreRisk(tensorInput),
-      ]);
-
-      tensorInput.dispose();
-
-      return {
-        anomalyScore,
-        threatClass,
-        riskScore,
-        overallThreatLevel: this.calculateThreatLevel(anomalyScore, riskScore),
-        confidence: this.calculateConfidence(
-          anomalyScore,
-          threatClass,
-          riskScore
-        ),
-        timestamp: Date.now(),
-        modelVersion: "1.0-hackathon",
-      };
-    } catch (error) {
-      console.error("ML Analysis Error:", error);
-      return this.getDemoResults(); // Fallback for demo
-    }
-  }
-
-  async detectAnomaly(tensorInput) {
-    const reconstruction = this.models.anomalyDetector.predict(tensorInput);
-    const mse = tf.losses.meanSquaredError(tensorInput, reconstruction);
-    const score = await mse.data();
-
-    reconstruction.dispose();
-    mse.dispose();
-
-    return Math.min(score[0] * 5, 1.0); // Scale for demo
-  }
-
-  async classifyThreat(tensorInput) {
-    const prediction = this.models.threatClassifier.predict(tensorInput);
-    const probabilities = await prediction.data();
-
-    const threatTypes = [
-      "BENIGN",
-      "MALWARE",
-      "DDoS",
-      "INTRUSION",
-      "DATA_BREACH",
-    ];
-    const maxIndex = probabilities.indexOf(Math.max(...probabilities));
-
-    prediction.dispose();
-
-    return {
-      type: threatTypes[maxIndex],
-      confidence: probabilities[maxIndex],
-      probabilities: Object.fromEntries(
-        threatTypes.map((type, i) => [type, probabilities[i]])
-      ),
-    };
-  }
-
-  getDemoResults() {
-    // Fallback demo results for hackathon presentation
-    const demoScenarios = [
-      { anomalyScore: 0.15, threatType: "BENIGN", riskScore: 0.2 },
-      { anomalyScore: 0.75, threatType: "MALWARE", riskScore: 0.8 },
-      { anomalyScore: 0.45, threatType: "INTRUSION", riskScore: 0.6 },
-      { anomalyScore: 0.9, threatType: "DDoS", riskScore: 0.95 },
-    ];
-
-    const scenario =
-      demoScenarios[Math.floor(Math.random() * demoScenarios.length)];
-
-    return {
-      anomalyScore: scenario.anomalyScore,
-      threatClass: { type: scenario.threatType, confidence: 0.85 },
-      riskScore: scenario.riskScore,
-      overallThreatLevel: this.calculateThreatLevel(
-        scenario.anomalyScore,
-        scenario.riskScore
-      ),
-      confidence: 0.85,
-      timestamp: Date.now(),
-      modelVersion: "1.0-hackathon-demo",
-    };
-  }
-
-  calculateThreatLevel(anomalyScore, riskScore) {
-    const combinedScore = (anomalyScore + riskScore) / 2;
-
-    if (combinedScore >= 0.8) return "CRITICAL";
-    if (combinedScore >= 0.6) return "HIGH";
-    if (combinedScore >= 0.3) return "MEDIUM";
-    return "LOW";
-  }
-}
-
-module.exports = HackathonMLModels;
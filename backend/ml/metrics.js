@@ -0,0 +1,61 @@
+const round = (value) =>
+  value === null ? null : Math.round(value * 1000) / 1000;
+
+// ROC-AUC as the probability that a random positive outscores a random
+// negative (Mann-Whitney U), with ties counted as half
+function rocAuc(examples) {
+  const positives = examples.filter((example) => example.label);
+  const negatives = examples.filter((example) => !example.label);
+  if (!positives.length || !negatives.length) return null;
+
+  let wins = 0;
+  positives.forEach((positive) => {
+    negatives.forEach((negative) => {
+      if (positive.score > negative.score) wins += 1;
+      else if (positive.score === negative.score) wins += 0.5;
+    });
+  });
+  return wins / (positives.length * negatives.length);
+}
+
+// Binary classification metrics for { score, label } examples at a threshold
+function evaluateBinary(examples, threshold) {
+  let truePositives = 0;
+  let falsePositives = 0;
+  let falseNegatives = 0;
+  let trueNegatives = 0;
+
+  examples.forEach(({ score, label }) => {
+    const predicted = score > threshold;
+    if (predicted && label) truePositives++;
+    else if (predicted) falsePositives++;
+    else if (label) falseNegatives++;
+    else trueNegatives++;
+  });
+
+  const precision =
+    truePositives + falsePositives > 0
+      ? truePositives / (truePositives + falsePositives)
+      : null;
+  const recall =
+    truePositives + falseNegatives > 0
+      ? truePositives / (truePositives + falseNegatives)
+      : null;
+
+  return {
+    examples: examples.length,
+    positives: truePositives + falseNegatives,
+    negatives: falsePositives + trueNegatives,
+    threshold,
+    precision: round(precision),
+    recall: round(recall),
+    f1:
+      precision !== null && recall !== null && precision + recall > 0
+        ? round((2 * precision * recall) / (precision + recall))
+        : null,
+    rocAuc: round(rocAuc(examples)),
+    confusion: { truePositives, falsePositives, falseNegatives, trueNegatives },
+  };
+}
+
+module.exports = { evaluateBinary, rocAuc };
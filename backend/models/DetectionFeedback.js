@@ -0,0 +1,43 @@
+const mongoose = require("mongoose");
+
+const VERDICTS = ["TRUE_POSITIVE", "FALSE_POSITIVE"];
+
+// Analyst verdict on a detected threat. Detector keys and entities are copied
+// from the threat so statistics survive threat retention cleanup.
+const detectionFeedbackSchema = new mongoose.Schema(
+  {
+    threat: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ThreatData",
+      required: true,
+      unique: true, // Latest verdict wins
+    },
+    verdict: { type: String, enum: VERDICTS, required: true, index: true },
+    notes: String,
+    analyst: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    analystUsername: String,
+
+    // Snapshot of the threat at review time
+    threatTimestamp: Date,
+    threatCategory: String,
+    threatLevel: String,
+    threatScore: Number,
+    sourceIP: String,
+    destinationIP: String,
+    protocol: String,
+    // Rule ids, or the detection method for engines without rules
+    detectors: [{ type: String, index: true }],
+    // Snapshot-level detections carry no connection entity; ML feedback
+    // matches them to feature history by timestamp
+    realTime: { type: Boolean, default: false },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+detectionFeedbackSchema.index({ createdAt: -1 });
+detectionFeedbackSchema.index({ verdict: 1, sourceIP: 1 });
+
+module.exports = mongoose.model("DetectionFeedback", detectionFeedbackSchema);
+module.exports.VERDICTS = VERDICTS;
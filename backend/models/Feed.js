@@ -0,0 +1,60 @@
+const mongoose = require("mongoose");
+const ThreatData = require("./ThreatData");
+const { INDICATOR_TYPES } = require("./Indicator");
+
+const FEED_FORMATS = ["plaintext", "csv", "misp"];
+
+// Threat intelligence feed refreshed on a schedule. Each refresh replaces the
+// indicators the feed contributed to the IOC store under source "feed:<name>".
+const feedSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+      match: [/^[\w.-]+$/, "name may only contain letters, digits, '.', '_' and '-'"],
+    },
+    location: { type: String, required: true, trim: true }, // http(s) URL or file path
+    format: { type: String, enum: FEED_FORMATS, required: true },
+    // plaintext: column, commentPrefixes
+    // csv: delimiter, header, valueColumn, typeColumn, confidenceColumn,
+    //      descriptionColumn
+    // misp: toIdsOnly
+    parserOptions: { type: mongoose.Schema.Types.Mixed, default: {} },
+    refreshCron: { type: String, default: "0 */6 * * *" },
+
+    // Defaults for indicators the feed does not qualify itself; the type is
+    // guessed from each value when unset
+    type: { type: String, enum: INDICATOR_TYPES },
+    confidence: { type: Number, min: 0, max: 1, default: 0.5 },
+    threatCategory: {
+      type: String,
+      enum: ThreatData.schema.path("threatCategory").enumValues,
+    },
+    ttlDays: { type: Number, min: 0 }, // Listed indicators never expire when unset
+
+    enabled: { type: Boolean, default: true },
+
+    lastRun: {
+      startedAt: Date,
+      finishedAt: Date,
+      status: { type: String, enum: ["success", "failed"] },
+      error: String,
+      fetched: Number, // Indicators parsed from the feed
+      added: Number,
+      removed: Number,
+      unchanged: Number,
+      rejected: Number,
+    },
+    lastSuccessAt: Date,
+
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+module.exports = mongoose.model("Feed", feedSchema);
+module.exports.FEED_FORMATS = FEED_FORMATS;
@@ -0,0 +1,33 @@
+const mongoose = require("mongoose");
+
+const INDICATOR_TYPES = ["ip", "cidr", "domain", "url", "hash"];
+
+// Indicator of compromise from one source. The same value may be listed by
+// several feeds; each keeps its own confidence and lifetime.
+const indicatorSchema = new mongoose.Schema(
+  {
+    type: { type: String, enum: INDICATOR_TYPES, required: true },
+    // Normalized: lowercase domains and hashes, "*.example.com" for
+    // subdomains only, canonical URLs, networks as CIDR
+    value: { type: String, required: true },
+    source: { type: String, required: true, index: true }, // Feed name
+    confidence: { type: Number, min: 0, max: 1, default: 0.5 },
+    threatCategory: String,
+    description: String,
+    tags: [String],
+    stixId: { type: String, index: true, sparse: true }, // STIX indicator it came from
+    firstSeen: { type: Date, default: Date.now },
+    lastSeen: { type: Date, default: Date.now },
+    // Removed by MongoDB once passed; never expires when unset
+    expiresAt: { type: Date, expires: 0 },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+indicatorSchema.index({ type: 1, value: 1, source: 1 }, { unique: true });
+indicatorSchema.index({ value: 1 });
+
+module.exports = mongoose.model("Indicator", indicatorSchema);
+module.exports.INDICATOR_TYPES = INDICATOR_TYPES;
@@ -0,0 +1,44 @@
+const mongoose = require("mongoose");
+const { INDICATOR_TYPES } = require("./Indicator");
+
+// An indicator of compromise seen in a stored threat or in archived
+// telemetry, found by a retro-hunt
+const sightingSchema = new mongoose.Schema(
+  {
+    indicatorType: { type: String, enum: INDICATOR_TYPES, required: true },
+    indicatorValue: { type: String, required: true }, // As listed, e.g. a CIDR range
+    sources: [String], // Feeds listing the indicator when it was hunted
+
+    kind: { type: String, enum: ["threat", "connection", "dns"], required: true },
+    // Identifies the matched event, so later hunts do not count it again
+    eventKey: { type: String, required: true },
+    threat: { type: mongoose.Schema.Types.ObjectId, ref: "ThreatData" },
+    field: String, // Threat field or telemetry attribute that matched
+    value: String, // Observed value, e.g. the address inside the CIDR range
+
+    hostIP: String, // Local host involved
+    remoteIP: String,
+    remotePort: Number,
+    process: String,
+    domain: String,
+    firstSeen: { type: Date, required: true },
+    lastSeen: Date,
+    count: { type: Number, default: 1 }, // Connections or lookups in the record
+
+    huntId: String,
+    trigger: { type: String, enum: ["indicator-added", "manual"] },
+    alert: { type: mongoose.Schema.Types.ObjectId, ref: "ThreatData" }, // Retroactive alert
+  },
+  {
+    timestamps: true,
+  }
+);
+
+sightingSchema.index(
+  { indicatorType: 1, indicatorValue: 1, eventKey: 1 },
+  { unique: true }
+);
+sightingSchema.index({ indicatorValue: 1, firstSeen: -1 });
+sightingSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model("Sighting", sightingSchema);
@@ -0,0 +1,65 @@
+const mongoose = require("mongoose");
+const ThreatData = require("./ThreatData");
+const { parseCIDR } = require("../utils/ipUtils");
+
+const MATCH_FIELDS = [
+  "sourceIP",
+  "destinationIP",
+  "port",
+  "process",
+  "ruleId",
+  "threatCategory",
+];
+
+const address = {
+  type: String,
+  trim: true,
+  validate: {
+    validator: (value) => !value || Boolean(parseCIDR(value)),
+    message: (props) => `${props.value} is not an IP address or CIDR range`,
+  },
+};
+
+// Allowlist entry for known-good activity. Threats matching every set field
+// are dropped before they are stored or broadcast.
+const suppressionSchema = new mongoose.Schema(
+  {
+    match: {
+      sourceIP: address, // Address or CIDR range
+      destinationIP: address,
+      port: { type: Number, min: 0, max: 65535 },
+      process: { type: String, trim: true },
+      // Rule id, or the detection method for engines without rules
+      ruleId: { type: String, trim: true },
+      threatCategory: {
+        type: String,
+        enum: ThreatData.schema.path("threatCategory").enumValues,
+      },
+    },
+    reason: { type: String, required: true, trim: true },
+    owner: { type: String, required: true, trim: true },
+    enabled: { type: Boolean, default: true },
+    expiresAt: Date, // Never expires when unset
+
+    // Threats swallowed by this suppression
+    hits: { type: Number, default: 0 },
+    lastHitAt: Date,
+
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// A suppression with nothing to match would silence every detection
+suppressionSchema.pre("validate", function (next) {
+  const match = this.match || {};
+  if (!MATCH_FIELDS.some((field) => match[field] != null && match[field] !== "")) {
+    this.invalidate("match", `Set at least one of ${MATCH_FIELDS.join(", ")}`);
+  }
+  next();
+});
+
+module.exports = mongoose.model("Suppression", suppressionSchema);
+module.exports.MATCH_FIELDS = MATCH_FIELDS;
@@ -0,0 +1,24 @@
+const mongoose = require("mongoose");
+
+// Audit trail of suppression changes
+const suppressionHistorySchema = new mongoose.Schema(
+  {
+    suppression: { type: mongoose.Schema.Types.ObjectId, index: true },
+    action: {
+      type: String,
+      enum: ["CREATE", "UPDATE", "DELETE"],
+      required: true,
+    },
+    before: mongoose.Schema.Types.Mixed, // Suppression before the change
+    after: mongoose.Schema.Types.Mixed,
+    changedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    changedByUsername: String,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+suppressionHistorySchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model("SuppressionHistory", suppressionHistorySchema);
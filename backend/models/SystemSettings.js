@@ -0,0 +1,178 @@
+const mongoose = require("mongoose");
+
+const score = (defaultValue) => ({
+  type: Number,
+  min: 0,
+  max: 1,
+  default: defaultValue,
+});
+
+const positive = (defaultValue) => ({
+  type: Number,
+  min: 0,
+  default: defaultValue,
+});
+
+const hour = (defaultValue) => ({
+  type: Number,
+  min: 0,
+  max: 23,
+  default: defaultValue,
+});
+
+const systemSettingsSchema = new mongoose.Schema(
+  {
+    // Single document holding the active settings
+    key: { type: String, default: "system", unique: true },
+    version: { type: Number, default: 1 },
+
+    detection: {
+      // Engine weights used by combineAnalysisResults(); must sum to 1
+      weights: {
+        signature: score(0.3),
+        anomaly: score(0.25),
+        behavioral: score(0.25),
+        ml: score(0.2),
+      },
+      threatIntelBoost: score(0.3),
+      autoBlock: { type: Boolean, default: true },
+      autoBlockThreshold: score(0.7),
+      reportThreshold: score(0.1), // Minimum score for real-time threats
+      // Lower bounds of each threat level; LOW is everything below medium
+      levels: {
+        medium: score(0.3),
+        high: score(0.6),
+        critical: score(0.8),
+      },
+    },
+
+    anomaly: {
+      packetSize: positive(2000),
+      portNumber: { type: Number, min: 0, max: 65535, default: 8000 },
+      dataTransferRate: positive(5000),
+      payloadEntropy: score(0.7),
+      requestFrequency: positive(50),
+    },
+
+    behavioral: {
+      // Working hours for sites in config/sites.yml that do not set their own
+      businessHoursStart: hour(9),
+      businessHoursEnd: hour(17),
+      offHoursTransferRate: positive(2000),
+      requestFrequency: positive(30),
+      rapidConnectionDuration: positive(5),
+      rapidConnectionFrequency: positive(10),
+      // Learned entity baselines are only scored after this warm-up
+      baselineWarmupHours: positive(24),
+      baselineMinObservations: positive(50),
+      // Standard deviations above the baseline that count as a deviation
+      baselineDeviation: positive(3),
+    },
+
+    ml: {
+      detectionThreshold: score(0.5),
+      // Drop confirmed threats from, and reinforce false positives in, training
+      useFeedback: { type: Boolean, default: true },
+      // Activate retrained models immediately instead of waiting for an admin
+      autoPromote: { type: Boolean, default: false },
+      // Per-feature drift against the active model's training data; PSI above
+      // 0.25 is conventionally a significant shift
+      driftPsiThreshold: positive(0.25),
+      driftKsThreshold: score(0.2),
+    },
+
+    // Periodic outbound connections from one process to one IP:port
+    beaconing: {
+      minConnections: positive(8),
+      minConfidence: score(0.75),
+      // The agent samples every 2s, so faster callbacks cannot be timed
+      minIntervalSeconds: positive(10),
+      maxIntervalSeconds: positive(6 * 60 * 60),
+    },
+
+    // Port scans (many ports on one host) and host sweeps (one port across
+    // many hosts) from a single source
+    scanning: {
+      windowSeconds: positive(60),
+      verticalPorts: positive(15),
+      horizontalHosts: positive(20),
+      // Share of a sweep's attempts that failed or stayed half-open
+      minFailedRatio: score(0.5),
+      // Slow scans stay under the short-window thresholds
+      slowWindowHours: positive(24),
+      slowVerticalPorts: positive(50),
+      slowHorizontalHosts: positive(100),
+    },
+
+    // Resolver query logs
+    dns: {
+      windowSeconds: positive(300),
+      // Generated-looking domains (0-1 score) a client must resolve in the
+      // window before it is reported
+      dgaThreshold: score(0.65),
+      dgaMinDomains: positive(3),
+      // Tunnelling: distinct subdomains of one domain in the window, their
+      // average length, and the share of TXT/NULL lookups
+      tunnelMinQueries: positive(40),
+      tunnelNameLength: positive(30),
+      tunnelTxtRatio: score(0.5),
+      // Domains only count as newly observed after this much DNS history
+      newDomainWarmupHours: positive(24),
+      newDomainRetentionDays: positive(30),
+    },
+
+    // Outbound volume per host, process and destination
+    exfiltration: {
+      windowSeconds: positive(300),
+      // Bytes sent to one destination in a window before it is considered
+      minBytes: positive(10 * 1024 * 1024),
+      // Bytes sent per byte received that make a transfer look like an upload
+      uploadRatio: positive(3),
+    },
+
+    // Searching history for indicators as they are added
+    retroHunt: {
+      enabled: { type: Boolean, default: true },
+      lookbackDays: positive(30),
+    },
+
+    logRetentionDays: { type: Number, min: 1, max: 3650, default: 30 },
+
+    updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Cross-field rules that per-path validators cannot express
+systemSettingsSchema.pre("validate", function (next) {
+  const { weights, levels } = this.detection;
+
+  const weightSum =
+    weights.signature + weights.anomaly + weights.behavioral + weights.ml;
+  if (Math.abs(weightSum - 1) > 0.001) {
+    this.invalidate(
+      "detection.weights",
+      `Engine weights must sum to 1 (got ${Math.round(weightSum * 1000) / 1000})`
+    );
+  }
+
+  if (!(levels.medium < levels.high && levels.high < levels.critical)) {
+    this.invalidate(
+      "detection.levels",
+      "Level cut-offs must increase: medium < high < critical"
+    );
+  }
+
+  if (this.behavioral.businessHoursStart >= this.behavioral.businessHoursEnd) {
+    this.invalidate(
+      "behavioral.businessHoursStart",
+      "Business hours must start before they end"
+    );
+  }
+
+  next();
+});
+
+module.exports = mongoose.model("SystemSettings", systemSettingsSchema);
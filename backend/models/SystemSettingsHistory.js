@@ -0,0 +1,28 @@
+const mongoose = require("mongoose");
+
+const systemSettingsHistorySchema = new mongoose.Schema(
+  {
+    version: { type: Number, required: true, index: true },
+    changes: [
+      {
+        path: String,
+        from: mongoose.Schema.Types.Mixed,
+        to: mongoose.Schema.Types.Mixed,
+      },
+    ],
+    settings: mongoose.Schema.Types.Mixed, // Full snapshot after the change
+    changedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    changedByUsername: String,
+    reason: String,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+systemSettingsHistorySchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model(
+  "SystemSettingsHistory",
+  systemSettingsHistorySchema
+);
@@ -1,5 +1,17 @@
 const mongoose = require("mongoose");
 
+// Where an address is and who operates it, from the GeoIP databases
+const location = {
+  country: String,
+  countryCode: String,
+  city: String,
+  latitude: Number,
+  longitude: Number,
+  asn: Number,
+  organization: String,
+  isp: String,
+};
+
 const threatDataSchema = new mongoose.Schema(
   {
     // Basic packet information
@@ -19,6 +31,7 @@ const threatDataSchema = new mongoose.Schema(
         "SMB",
         "RDP",
         "Telnet",
+        "DNS",
         "MIXED", // For real network data with multiple protocols
         "UNKNOWN", // For cases where protocol is not determined
       ],
@@ -30,13 +43,8 @@ const threatDataSchema = new mongoose.Schema(
     payloadSize: { type: Number, default: 0 },
 
     // Geolocation data
-    sourceLocation: {
-      country: String,
-      city: String,
-      latitude: Number,
-      longitude: Number,
-      isp: String,
-    },
+    sourceLocation: location,
+    destinationLocation: location,
 
     // Advanced threat analysis
     threatScore: { type: Number, min: 0, max: 1, required: true, index: true },
@@ -61,6 +69,11 @@ const threatDataSchema = new mongoose.Schema(
         "BENIGN",
         "INSIDER_THREAT",
         "APT",
+        "C2_BEACONING",
+        "RECONNAISSANCE",
+        "DGA",
+        "DNS_TUNNELING",
+        "SUSPICIOUS_DOMAIN",
       ],
       default: "UNKNOWN",
     },
@@ -75,12 +88,75 @@ const threatDataSchema = new mongoose.Schema(
             "ANOMALY", 
             "BEHAVIORAL", 
             "ML_MODEL",
+            "SIGMA", // Translated Sigma rule
+            "CORRELATION", // Multi-stage sequence rule
+            "BEACONING", // Periodic outbound callbacks
+            "SCAN_DETECTION", // Port scans and host sweeps
+            "DNS_ANALYSIS", // Resolver query logs
+            "EXFILTRATION", // Outbound volume against baselines
+            "RETRO_HUNT", // Past activity matching a newly added indicator
             "REAL_TIME_NETWORK_ANALYSIS", // For real network monitoring
             "BASIC", // For fallback analysis
           ],
         },
         confidence: { type: Number, min: 0, max: 1 },
         details: String,
+        ruleId: String, // Detection rule that fired, if any
+        ruleName: String,
+        techniques: [String], // ATT&CK technique IDs this method detected
+      },
+    ],
+
+    // How the threat score was produced
+    scoreExplanation: {
+      model: String, // weighted_engines, indicator_sum, sequence_rule, beaconing, scan, dns, exfiltration, retro_hunt, fallback
+      finalScore: Number,
+      rawScore: Number, // Before capping at 1.0
+      capped: Boolean,
+      engines: [
+        {
+          engine: String,
+          score: Number,
+          weight: Number,
+          weightedScore: Number,
+          aggregation: String, // How contributions combine: sum, max, sigmoid
+          capped: Boolean,
+          contributions: [
+            {
+              factor: String,
+              label: String,
+              value: mongoose.Schema.Types.Mixed,
+              points: Number,
+            },
+          ],
+        },
+      ],
+      boosts: [{ factor: String, label: String, points: Number }],
+    },
+
+    // Threat intelligence indicators matching the threat's entities
+    intelMatches: [
+      {
+        field: String, // Threat field that matched, e.g. destinationIP
+        value: String,
+        indicator: String, // Listed value, e.g. a CIDR range or parent domain
+        type: { type: String },
+        source: String, // Feed that supplied the indicator
+        confidence: Number,
+        threatCategory: String,
+        stixId: String, // STIX indicator, for feeds imported from STIX
+      },
+    ],
+
+    // MITRE ATT&CK mapping, one entry per technique and tactic
+    mitreAttack: [
+      {
+        tacticId: String,
+        tacticName: String,
+        techniqueId: String,
+        techniqueName: String,
+        subTechniqueId: String,
+        subTechniqueName: String,
       },
     ],
 
@@ -108,12 +184,115 @@ const threatDataSchema = new mongoose.Schema(
     relatedThreats: [
       { type: mongoose.Schema.Types.ObjectId, ref: "ThreatData" },
     ],
+    correlation: {
+      ruleId: String, // Sequence rule that produced this alert
+      bindings: mongoose.Schema.Types.Mixed, // Entities the steps joined on
+      steps: [
+        {
+          step: String,
+          threatId: String,
+          threatCategory: String,
+          sourceIP: String,
+          destinationIP: String,
+          timestamp: Date,
+        },
+      ],
+      startedAt: Date,
+      completedAt: Date,
+    },
+
+    // Periodic callbacks that raised a C2_BEACONING threat
+    beaconing: {
+      process: String,
+      remoteIP: String,
+      remotePort: Number,
+      connections: Number, // Connection starts analysed
+      intervalMs: Number, // Estimated callback interval (median gap)
+      jitter: Number, // Median absolute deviation / interval
+      cv: Number, // Coefficient of variation of the gaps
+      autocorrelation: Number,
+      confidence: Number,
+      firstSeen: Date,
+      lastSeen: Date,
+    },
+
+    // Port scan or host sweep that raised a RECONNAISSANCE threat
+    scan: {
+      type: { type: String, enum: ["VERTICAL", "HORIZONTAL"] },
+      slow: Boolean, // Found over the long window only
+      direction: { type: String, enum: ["inbound", "outbound"] },
+      targetHost: String, // Vertical scans
+      targetPort: Number, // Horizontal scans
+      distinctPorts: Number,
+      distinctHosts: Number,
+      attempts: Number,
+      failed: Number,
+      halfOpen: Number,
+      failedRatio: Number, // (failed + halfOpen) / attempts
+      windowMs: Number,
+      ports: [Number], // Sample of the probed ports
+      hosts: [String], // Sample of the probed hosts
+      firstSeen: Date,
+      lastSeen: Date,
+    },
+
+    // DNS lookups behind a DGA, DNS_TUNNELING or SUSPICIOUS_DOMAIN threat
+    dns: {
+      kind: {
+        type: String,
+        enum: ["DGA", "TUNNELING", "KNOWN_BAD", "NEW_DOMAIN"],
+      },
+      domain: String,
+      domains: [String], // Sample of the names looked up
+      queries: Number,
+      uniqueSubdomains: Number,
+      averageNameLength: Number,
+      txtRatio: Number,
+      nxdomainRatio: Number,
+      dgaScore: Number,
+      signals: [String], // Tunnelling signals that fired
+      firstSeen: Date,
+      lastSeen: Date,
+    },
+
+    // Outbound transfer that raised a DATA_EXFILTRATION threat
+    exfiltration: {
+      process: String,
+      destinationIP: String,
+      destinationPorts: [Number],
+      bytesOut: Number,
+      bytesIn: Number,
+      uploadRatio: Number, // bytesOut / bytesIn
+      baselineMean: Number, // Host's usual outbound bytes per window
+      baselineDeviation: Number, // Standard deviations above that mean
+      reputation: { type: String, enum: ["malicious", "new", "known", "unknown"] },
+      windowStart: Date,
+      windowEnd: Date,
+    },
+
+    // Retroactive alert: stored threats and telemetry that matched an
+    // indicator added after the fact
+    retroHunt: {
+      huntId: String,
+      indicator: String,
+      indicatorType: String,
+      sources: [String],
+      sightings: Number, // New sightings behind this alert
+      hosts: [String], // Local hosts involved
+      firstSeen: Date,
+      lastSeen: Date,
+    },
 
     // Metadata
     processed: { type: Boolean, default: false },
     falsePositive: { type: Boolean, default: false },
+    verdict: { type: String, enum: ["TRUE_POSITIVE", "FALSE_POSITIVE"] },
+    verdictAt: Date,
     analystNotes: String,
 
+    // Registry version of the ML model that scored this threat
+    modelVersion: { type: String, index: true },
+
     // Performance metrics
     processingTime: Number, // milliseconds
     detectionLatency: Number, // milliseconds
@@ -129,6 +308,7 @@ const threatDataSchema = new mongoose.Schema(
 threatDataSchema.index({ sourceIP: 1, timestamp: -1 });
 threatDataSchema.index({ threatLevel: 1, timestamp: -1 });
 threatDataSchema.index({ threatCategory: 1, threatScore: -1 });
+threatDataSchema.index({ "mitreAttack.techniqueId": 1, timestamp: -1 });
 
 // Virtual for threat age
 threatDataSchema.virtual("threatAge").get(function () {
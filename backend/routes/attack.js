@@ -0,0 +1,85 @@
+const express = require("express");
+const router = express.Router();
+const ThreatData = require("../models/ThreatData");
+const logger = require("../utils/logger");
+
+// Parse ?from=&to= (ISO dates) or ?hours= into a time range
+function parseTimeRange(query) {
+  const to = query.to ? new Date(query.to) : new Date();
+  const from = query.from
+    ? new Date(query.from)
+    : new Date(to.getTime() - (parseInt(query.hours) || 24) * 60 * 60 * 1000);
+
+  if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime())) {
+    return null;
+  }
+  return { from, to };
+}
+
+// Tactic x technique matrix: detection coverage plus techniques fired in range
+router.get("/matrix", async (req, res) => {
+  try {
+    const engine = req.app.locals.threatDetectionEngine;
+    if (!engine?.attackMapper) {
+      return res.status(503).json({ error: "Detection engine not available" });
+    }
+
+    const range = parseTimeRange(req.query);
+    if (!range) {
+      return res.status(400).json({ error: "Invalid 'from' or 'to' date" });
+    }
+
+    // Sub-technique hits are counted against the sub-technique itself;
+    // techniques that span several tactics are counted once per threat
+    const hits = await ThreatData.aggregate([
+      { $match: { timestamp: { $gte: range.from, $lte: range.to } } },
+      { $unwind: "$mitreAttack" },
+      {
+        $group: {
+          _id: {
+            $ifNull: ["$mitreAttack.subTechniqueId", "$mitreAttack.techniqueId"],
+          },
+          threats: { $addToSet: "$_id" },
+          lastSeen: { $max: "$timestamp" },
+        },
+      },
+    ]);
+
+    const fired = new Map(
+      hits.map((hit) => [
+        hit._id,
+        { count: hit.threats.length, lastSeen: hit.lastSeen },
+      ])
+    );
+    const coverage = engine.attackMapper.getCoverage(engine.ruleEngine.rules);
+
+    res.json({
+      from: range.from,
+      to: range.to,
+      ...engine.attackMapper.buildMatrix(coverage, fired),
+    });
+  } catch (error) {
+    logger.error("ATT&CK matrix error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Look up a single technique in the bundled dataset
+router.get("/techniques/:id", (req, res) => {
+  const engine = req.app.locals.threatDetectionEngine;
+  if (!engine?.attackMapper) {
+    return res.status(503).json({ error: "Detection engine not available" });
+  }
+
+  const technique = engine.attackMapper.getTechnique(req.params.id);
+  if (!technique) {
+    return res.status(404).json({ error: "Technique not found" });
+  }
+
+  res.json({
+    ...technique,
+    mapping: engine.attackMapper.resolve([technique.id]),
+  });
+});
+
+module.exports = router;
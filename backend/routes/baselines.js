@@ -0,0 +1,29 @@
+const express = require("express");
+const router = express.Router();
+const entityBaselines = require("../services/entityBaselines");
+
+const ENTITY_TYPES = ["host", "service"];
+
+// Entities with a learned baseline, most recently seen first
+router.get("/", (req, res) => {
+  const { type, search } = req.query;
+  if (type && !ENTITY_TYPES.includes(type)) {
+    return res
+      .status(400)
+      .json({ error: `type must be one of ${ENTITY_TYPES.join(", ")}` });
+  }
+
+  const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
+  res.json(entityBaselines.list({ type, search, limit }));
+});
+
+// Full baseline for one host (by IP) or service (by process name)
+router.get("/:type/:id", (req, res) => {
+  const baseline = entityBaselines.get(`${req.params.type}:${req.params.id}`);
+  if (!baseline) {
+    return res.status(404).json({ error: "No baseline for this entity" });
+  }
+  res.json(baseline);
+});
+
+module.exports = router;
@@ -0,0 +1,51 @@
+const express = require("express");
+const router = express.Router();
+const logger = require("../utils/logger");
+const detectionFeedback = require("../services/detectionFeedback");
+
+const parseDays = (value) => Math.min(Math.max(parseInt(value) || 30, 1), 365);
+
+// Recent analyst verdicts
+router.get("/", async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+    res.json(await detectionFeedback.getRecent(limit));
+  } catch (error) {
+    logger.error("Get detection feedback error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// False-positive rate and precision per rule/engine over time
+router.get("/stats", async (req, res) => {
+  try {
+    const bucket = req.query.bucket === "week" ? "week" : "day";
+    res.json(
+      await detectionFeedback.getStats({
+        days: parseDays(req.query.days),
+        bucket,
+      })
+    );
+  } catch (error) {
+    logger.error("Get feedback stats error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Suppression candidates for recurring false positives
+router.get("/suggestions", async (req, res) => {
+  try {
+    const minFalsePositives = parseInt(req.query.minFalsePositives) || undefined;
+    res.json(
+      await detectionFeedback.getSuppressionSuggestions({
+        days: parseDays(req.query.days),
+        minFalsePositives,
+      })
+    );
+  } catch (error) {
+    logger.error("Get suppression suggestions error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+module.exports = router;
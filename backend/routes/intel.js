@@ -0,0 +1,318 @@
+const express = require("express");
+const router = express.Router();
+const logger = require("../utils/logger");
+const { requireRole } = require("../middleware/auth");
+const threatIntel = require("../services/threatIntel");
+const stixImporter = require("../services/stixImporter");
+const feedManager = require("../services/feedManager");
+const retroHunt = require("../services/retroHunt");
+const geoEnricher = require("../services/geoEnricher");
+const { FeedValidationError } = require("../services/feedManager");
+const { INDICATOR_TYPES } = require("../models/Indicator");
+
+const MANUAL_SOURCE = "manual";
+
+const canManage = requireRole(["admin", "analyst"]);
+// Feeds read arbitrary URLs and files, so only admins define them
+const canConfigure = requireRole(["admin"]);
+
+const sendValidationError = (res, error) =>
+  res.status(400).json({ error: error.message, details: error.details });
+
+// Indicators of compromise; filter by ?type=, ?source= and ?search=
+router.get("/indicators", async (req, res) => {
+  try {
+    const { type, source, search } = req.query;
+    if (type && !INDICATOR_TYPES.includes(type)) {
+      return res
+        .status(400)
+        .json({ error: `type must be one of ${INDICATOR_TYPES.join(", ")}` });
+    }
+    const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+    res.json({
+      indicators: await threatIntel.list({ type, source, search, limit, offset }),
+      total: threatIntel.size,
+    });
+  } catch (error) {
+    logger.error("Get indicators error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Indicator counts by type and feed
+router.get("/indicators/stats", (req, res) => {
+  try {
+    res.json(threatIntel.stats());
+  } catch (error) {
+    logger.error("Get indicator stats error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Indicators matching an IP, domain, URL or hash (?value=)
+router.get("/indicators/lookup", (req, res) => {
+  try {
+    if (!req.query.value) {
+      return res.status(400).json({ error: "value is required" });
+    }
+    res.json({ value: req.query.value, matches: threatIntel.match(req.query.value) });
+  } catch (error) {
+    logger.error("Indicator lookup error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Add indicators by hand. Body: { indicators: [{ type, value, confidence,
+// threatCategory, description, tags, expiresAt }], source, ttlDays }
+router.post("/indicators", canManage, async (req, res) => {
+  try {
+    const { indicators, source = MANUAL_SOURCE, ttlDays } = req.body || {};
+    if (!Array.isArray(indicators) || indicators.length === 0) {
+      return res.status(400).json({ error: "indicators must be a non-empty array" });
+    }
+    const result = await threatIntel.upsert(indicators, { source, ttlDays });
+    logger.info(
+      `🛡️ ${result.accepted} indicators added to ${source} by ${req.user?.username}`
+    );
+    res.status(result.accepted > 0 ? 201 : 400).json(result);
+  } catch (error) {
+    logger.error("Add indicators error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Remove a value (?type=&value=), from one feed with ?source= or from all
+router.delete("/indicators", canManage, async (req, res) => {
+  try {
+    const { type, value, source } = req.query;
+    if (!value) {
+      return res.status(400).json({ error: "value is required" });
+    }
+    const removed = await threatIntel.remove(type, value, { source });
+    if (!removed) {
+      return res.status(404).json({ error: "Indicator not found" });
+    }
+    logger.info(`🛡️ Indicator ${value} removed by ${req.user?.username}`);
+    res.json({ removed });
+  } catch (error) {
+    logger.error("Remove indicator error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Import the indicators of a STIX 2.1 bundle (the request body) into
+// ?source=, "stix-upload" by default
+router.post("/stix", canManage, async (req, res) => {
+  try {
+    const bundle = req.body;
+    if (!bundle || bundle.type !== "bundle" || !Array.isArray(bundle.objects)) {
+      return res.status(400).json({ error: "Body must be a STIX 2.1 bundle" });
+    }
+    const result = await stixImporter.importBundle(bundle, {
+      source: req.query.source || undefined,
+    });
+    logger.info(`🛡️ STIX bundle ${bundle.id} imported by ${req.user?.username}`);
+    res.json(result);
+  } catch (error) {
+    logger.error("STIX import error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// TAXII collection polling state
+router.get("/taxii", (req, res) => {
+  try {
+    res.json(stixImporter.getTaxiiStatus());
+  } catch (error) {
+    logger.error("Get TAXII status error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Poll the TAXII collection now instead of waiting for the schedule
+router.post("/taxii/poll", canManage, async (req, res) => {
+  try {
+    if (!stixImporter.taxii) {
+      return res.status(400).json({ error: "TAXII polling is not configured" });
+    }
+    res.json(await stixImporter.pollTaxii());
+  } catch (error) {
+    logger.error("TAXII poll error:", error);
+    res.status(502).json({ error: "TAXII poll failed", details: error.message });
+  }
+});
+
+// Search stored threats and archived telemetry for one value. Body: { value,
+// type, lookbackDays, alert }; alert raises retroactive alerts for new
+// sightings, as automatic hunts do
+router.post("/hunt", canManage, async (req, res) => {
+  try {
+    const { value, type, lookbackDays, alert = false } = req.body || {};
+    if (!value) {
+      return res.status(400).json({ error: "value is required" });
+    }
+    if (type && !INDICATOR_TYPES.includes(type)) {
+      return res
+        .status(400)
+        .json({ error: `type must be one of ${INDICATOR_TYPES.join(", ")}` });
+    }
+    const days = lookbackDays === undefined ? undefined : Number(lookbackDays);
+    if (days !== undefined && !(days > 0)) {
+      return res.status(400).json({ error: "lookbackDays must be a positive number" });
+    }
+
+    const hunt = await retroHunt.huntValue(type, value, {
+      lookbackDays: days,
+      alert: Boolean(alert),
+      requestedBy: req.user?.username,
+    });
+    if (!hunt) {
+      return res.status(400).json({ error: `${value} is not a valid indicator` });
+    }
+    res.json(hunt);
+  } catch (error) {
+    logger.error("Retro-hunt error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Queued indicators and the latest hunts
+router.get("/hunt", canManage, (req, res) => {
+  try {
+    res.json(retroHunt.getStatus());
+  } catch (error) {
+    logger.error("Get retro-hunt status error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Sightings, newest first; filter by ?value=, ?type= or ?huntId=
+router.get("/sightings", canManage, async (req, res) => {
+  try {
+    const { value, type, huntId } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
+    res.json({
+      sightings: await retroHunt.listSightings({ value, type, huntId, limit }),
+    });
+  } catch (error) {
+    logger.error("Get sightings error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Feeds with their last refresh and current indicator count
+router.get("/feeds", canManage, (req, res) => {
+  try {
+    res.json({ feeds: feedManager.list() });
+  } catch (error) {
+    logger.error("Get feeds error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+router.get("/feeds/:id", canManage, (req, res) => {
+  try {
+    const feed = feedManager.get(req.params.id);
+    if (!feed) {
+      return res.status(404).json({ error: "Feed not found" });
+    }
+    res.json({ feed });
+  } catch (error) {
+    logger.error("Get feed error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Body: { name, location, format, parserOptions, refreshCron, type,
+// confidence, threatCategory, ttlDays, enabled }
+router.post("/feeds", canConfigure, async (req, res) => {
+  try {
+    const feed = await feedManager.create(req.body || {}, req.user);
+    res.status(201).json({ message: "Feed created", feed });
+  } catch (error) {
+    if (error instanceof FeedValidationError) {
+      return sendValidationError(res, error);
+    }
+    logger.error("Create feed error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+router.put("/feeds/:id", canConfigure, async (req, res) => {
+  try {
+    const feed = await feedManager.update(req.params.id, req.body || {}, req.user);
+    if (!feed) {
+      return res.status(404).json({ error: "Feed not found" });
+    }
+    res.json({ message: "Feed updated", feed });
+  } catch (error) {
+    if (error instanceof FeedValidationError) {
+      return sendValidationError(res, error);
+    }
+    logger.error("Update feed error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+router.delete("/feeds/:id", canConfigure, async (req, res) => {
+  try {
+    const feed = await feedManager.remove(req.params.id, req.user);
+    if (!feed) {
+      return res.status(404).json({ error: "Feed not found" });
+    }
+    res.json({ message: "Feed deleted" });
+  } catch (error) {
+    logger.error("Delete feed error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Refresh a feed now instead of waiting for its schedule
+router.post("/feeds/:id/refresh", canManage, async (req, res) => {
+  try {
+    const feed = await feedManager.refresh(req.params.id);
+    if (!feed) {
+      return res.status(404).json({ error: "Feed not found" });
+    }
+    res.status(feed.lastRun.status === "success" ? 200 : 502).json({ feed });
+  } catch (error) {
+    logger.error("Refresh feed error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Loaded GeoIP databases and lookup cache
+router.get("/geoip", (req, res) => {
+  try {
+    res.json(geoEnricher.stats());
+  } catch (error) {
+    logger.error("Get GeoIP status error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Location and network owner of an address (?ip=)
+router.get("/geoip/lookup", (req, res) => {
+  try {
+    if (!req.query.ip) {
+      return res.status(400).json({ error: "ip is required" });
+    }
+    res.json({ ip: req.query.ip, location: geoEnricher.lookup(req.query.ip) });
+  } catch (error) {
+    logger.error("GeoIP lookup error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Re-read the database files now rather than on the next change check
+router.post("/geoip/reload", canConfigure, async (req, res) => {
+  try {
+    res.json(await geoEnricher.reload());
+  } catch (error) {
+    logger.error("Reload GeoIP databases error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,80 @@
+const express = require("express");
+const router = express.Router();
+const { requireRole } = require("../middleware/auth");
+const logger = require("../utils/logger");
+const anomalyModel = require("../services/anomalyModel");
+
+// Anomaly model status and training history size
+router.get("/model", (req, res) => {
+  res.json(anomalyModel.getStatus());
+});
+
+// Retrain the anomaly model now instead of waiting for the scheduled run
+router.post("/model/retrain", requireRole(["admin"]), async (req, res) => {
+  try {
+    if (anomalyModel.training) {
+      return res.status(409).json({ error: "Training already in progress" });
+    }
+
+    const result = await anomalyModel.train();
+    if (!result) {
+      return res.status(409).json({
+        error: "Not enough feature history to train the anomaly model",
+        ...anomalyModel.getStatus(),
+      });
+    }
+
+    logger.info(`🤖 Anomaly model retrained by ${req.user.username}`);
+    res.json(result);
+  } catch (error) {
+    logger.error("Retrain anomaly model error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Per-feature drift against the active model's training data, plus
+// snapshots rejected by the data-quality checks
+router.get("/drift", (req, res) => {
+  res.json(anomalyModel.getDriftStatus());
+});
+
+// Registered model versions with evaluation metrics and promotion history
+router.get("/models", (req, res) => {
+  res.json(anomalyModel.listModels());
+});
+
+// Roll back to the previously active model version
+router.post("/models/rollback", requireRole(["admin"]), async (req, res) => {
+  try {
+    const model = await anomalyModel.rollback(req.user);
+    if (!model) {
+      return res
+        .status(409)
+        .json({ error: "No previous model version to roll back to" });
+    }
+    res.json({ message: `Rolled back to ${model.version}`, model });
+  } catch (error) {
+    logger.error("Roll back model error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+router.post(
+  "/models/:version/promote",
+  requireRole(["admin"]),
+  async (req, res) => {
+    try {
+      if (!anomalyModel.registry.get(req.params.version)) {
+        return res.status(404).json({ error: "Model version not found" });
+      }
+
+      const model = await anomalyModel.promote(req.params.version, req.user);
+      res.json({ message: `Promoted ${model.version}`, model });
+    } catch (error) {
+      logger.error("Promote model error:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
+module.exports = router;
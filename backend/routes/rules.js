@@ -0,0 +1,68 @@
+const express = require("express");
+const router = express.Router();
+const { requireRole } = require("../middleware/auth");
+const logger = require("../utils/logger");
+
+const getRuleEngine = (req) =>
+  req.app.locals.threatDetectionEngine?.ruleEngine || null;
+
+// List loaded detection rules, load errors and windowed aggregation state
+router.get("/", (req, res) => {
+  const ruleEngine = getRuleEngine(req);
+  if (!ruleEngine) {
+    return res.status(503).json({ error: "Detection engine not available" });
+  }
+
+  res.json({
+    rules: ruleEngine.getRules(),
+    loadErrors: ruleEngine.loadErrors,
+    aggregation: ruleEngine.aggregator.getStats(),
+  });
+});
+
+// Sigma translation report, including rules that could not be translated
+router.get("/sigma/report", (req, res) => {
+  const ruleEngine = getRuleEngine(req);
+  if (!ruleEngine) {
+    return res.status(503).json({ error: "Detection engine not available" });
+  }
+
+  const report = ruleEngine.sigmaLoader.getReport();
+  res.json({
+    translated: report.filter((entry) => entry.translated).length,
+    rejected: report.filter((entry) => !entry.translated).length,
+    report,
+  });
+});
+
+// In-flight partial matches of sequence rules, for debugging correlation
+router.get("/correlation/state", (req, res) => {
+  const engine = req.app.locals.threatDetectionEngine;
+  if (!engine?.sequenceCorrelator) {
+    return res.status(503).json({ error: "Detection engine not available" });
+  }
+
+  res.json(engine.sequenceCorrelator.getState());
+});
+
+// Reload rule files from disk without restarting
+router.post("/reload", requireRole(["admin", "analyst"]), (req, res) => {
+  try {
+    const ruleEngine = getRuleEngine(req);
+    if (!ruleEngine) {
+      return res.status(503).json({ error: "Detection engine not available" });
+    }
+
+    const rules = ruleEngine.reload();
+    res.json({
+      message: "Detection rules reloaded",
+      count: rules.length,
+      loadErrors: ruleEngine.loadErrors,
+    });
+  } catch (error) {
+    logger.error("Rule reload error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+module.exports = router;
@@ -2,6 +2,9 @@ const express = require("express");
 const router = express.Router();
 const User = require("../models/User");
 const logger = require("../utils/logger");
+const { requireRole } = require("../middleware/auth");
+const systemSettings = require("../services/systemSettings");
+const { SettingsValidationError } = require("../services/systemSettings");
 
 // Get user settings
 router.get("/", async (req, res) => {
@@ -48,20 +51,12 @@ router.put("/", async (req, res) => {
 });
 
 // Get system settings (admin only)
-router.get("/system", async (req, res) => {
+router.get("/system", requireRole(["admin"]), (req, res) => {
   try {
-    if (req.user.role !== "admin") {
-      return res.status(403).json({ error: "Access denied" });
-    }
-
-    // TODO: Implement system settings logic
     res.json({
-      message: "System settings endpoint",
-      settings: {
-        threatDetectionLevel: "high",
-        autoBlock: true,
-        logRetention: 30
-      }
+      settings: systemSettings.get(),
+      version: systemSettings.version,
+      updatedAt: systemSettings.updatedAt,
     });
   } catch (error) {
     logger.error("Get system settings error:", error);
@@ -69,4 +64,39 @@ router.get("/system", async (req, res) => {
   }
 });
 
+// Update system settings (admin only); changes apply to the running engine
+router.put("/system", requireRole(["admin"]), async (req, res) => {
+  try {
+    const { reason, ...changes } = req.body || {};
+    const result = await systemSettings.update(changes, req.user, reason);
+
+    res.json({
+      message:
+        result.changes.length > 0
+          ? "System settings updated successfully"
+          : "No changes to apply",
+      ...result,
+    });
+  } catch (error) {
+    if (error instanceof SettingsValidationError) {
+      return res
+        .status(400)
+        .json({ error: error.message, details: error.details });
+    }
+    logger.error("Update system settings error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// System settings change history (admin only)
+router.get("/system/history", requireRole(["admin"]), async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+    res.json({ history: await systemSettings.getHistory(limit) });
+  } catch (error) {
+    logger.error("Get system settings history error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
 module.exports = router; 
\ No newline at end of file
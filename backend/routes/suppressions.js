@@ -0,0 +1,115 @@
+const express = require("express");
+const router = express.Router();
+const logger = require("../utils/logger");
+const { requireRole } = require("../middleware/auth");
+const suppressions = require("../services/suppressions");
+const { SuppressionValidationError } = require("../services/suppressions");
+
+const canManage = requireRole(["admin", "analyst"]);
+
+const sendValidationError = (res, error) =>
+  res.status(400).json({ error: error.message, details: error.details });
+
+// Suppressions, newest first; ?active=true|false filters by state
+router.get("/", canManage, (req, res) => {
+  try {
+    const active =
+      req.query.active === undefined ? undefined : req.query.active === "true";
+    res.json({ suppressions: suppressions.list({ active }) });
+  } catch (error) {
+    logger.error("Get suppressions error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Audit trail across all suppressions, including deleted ones
+router.get("/history", canManage, async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+    res.json({ history: await suppressions.getHistory({ limit }) });
+  } catch (error) {
+    logger.error("Get suppression history error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+router.get("/:id", canManage, (req, res) => {
+  try {
+    const suppression = suppressions.get(req.params.id);
+    if (!suppression) {
+      return res.status(404).json({ error: "Suppression not found" });
+    }
+    res.json({ suppression });
+  } catch (error) {
+    logger.error("Get suppression error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+router.get("/:id/history", canManage, async (req, res) => {
+  try {
+    if (!suppressions.get(req.params.id)) {
+      return res.status(404).json({ error: "Suppression not found" });
+    }
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+    res.json({
+      history: await suppressions.getHistory({
+        suppression: req.params.id,
+        limit,
+      }),
+    });
+  } catch (error) {
+    logger.error("Get suppression history error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Body: { match: { sourceIP, destinationIP, port, process, ruleId,
+// threatCategory }, reason, owner, expiresAt, enabled }
+router.post("/", canManage, async (req, res) => {
+  try {
+    const suppression = await suppressions.create(req.body || {}, req.user);
+    res.status(201).json({ message: "Suppression created", suppression });
+  } catch (error) {
+    if (error instanceof SuppressionValidationError) {
+      return sendValidationError(res, error);
+    }
+    logger.error("Create suppression error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+router.put("/:id", canManage, async (req, res) => {
+  try {
+    const suppression = await suppressions.update(
+      req.params.id,
+      req.body || {},
+      req.user
+    );
+    if (!suppression) {
+      return res.status(404).json({ error: "Suppression not found" });
+    }
+    res.json({ message: "Suppression updated", suppression });
+  } catch (error) {
+    if (error instanceof SuppressionValidationError) {
+      return sendValidationError(res, error);
+    }
+    logger.error("Update suppression error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+router.delete("/:id", canManage, async (req, res) => {
+  try {
+    const suppression = await suppressions.remove(req.params.id, req.user);
+    if (!suppression) {
+      return res.status(404).json({ error: "Suppression not found" });
+    }
+    res.json({ message: "Suppression deleted" });
+  } catch (error) {
+    logger.error("Delete suppression error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+module.exports = router;
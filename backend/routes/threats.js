@@ -2,6 +2,7 @@ const express = require("express");
 const router = express.Router();
 const ThreatData = require("../models/ThreatData");
 const { requireRole } = require("../middleware/auth");
+const detectionFeedback = require("../services/detectionFeedback");
 
 // Test connectivity
 router.get("/test", (req, res) => {
@@ -75,28 +76,57 @@ router.post(
   }
 );
 
+// Record an analyst verdict (TRUE_POSITIVE or FALSE_POSITIVE)
+router.patch(
+  "/:id/verdict",
+  requireRole(["admin", "analyst"]),
+  async (req, res) => {
+    try {
+      const verdict = detectionFeedback.normalizeVerdict(req.body.verdict);
+      if (!verdict) {
+        return res
+          .status(400)
+          .json({ error: "verdict must be TRUE_POSITIVE or FALSE_POSITIVE" });
+      }
+
+      const result = await detectionFeedback.recordVerdict(
+        req.params.id,
+        verdict,
+        req.user,
+        req.body.notes
+      );
+      if (!result) {
+        return res.status(404).json({ error: "Threat not found" });
+      }
+
+      res.json({ message: `Threat marked as ${verdict}`, ...result });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  }
+);
+
 // Mark threat as false positive
 router.patch(
   "/:id/false-positive",
   requireRole(["admin", "analyst"]),
   async (req, res) => {
     try {
-      const { id } = req.params;
-
-      const threat = await ThreatData.findByIdAndUpdate(
-        id,
-        {
-          falsePositive: true,
-          analystNotes: "Marked as false positive by security analyst",
-        },
-        { new: true }
+      const result = await detectionFeedback.recordVerdict(
+        req.params.id,
+        "FALSE_POSITIVE",
+        req.user,
+        req.body?.notes
       );
 
-      if (!threat) {
+      if (!result) {
         return res.status(404).json({ error: "Threat not found" });
       }
 
-      res.json({ message: "Threat marked as false positive", threat });
+      res.json({
+        message: "Threat marked as false positive",
+        threat: result.threat,
+      });
     } catch (error) {
       res.status(500).json({ error: error.message });
     }
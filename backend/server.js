@@ -3,6 +3,7 @@ const http = require("http");
 const socketIo = require("socket.io");
 const WebSocket = require("ws");
 const mongoose = require("mongoose");
+const { isDatabaseConnected } = require("./utils/database");
 const cors = require("cors");
 const helmet = require("helmet"); 
 const schedulerService = require("./services/scheduler");
@@ -21,6 +22,13 @@ const threatsRoutes = require("./routes/threats");
 const analyticsRoutes = require("./routes/analytics");
 const usersRoutes = require("./routes/users");
 const settingsRoutes = require("./routes/settings");
+const rulesRoutes = require("./routes/rules");
+const attackRoutes = require("./routes/attack");
+const mlRoutes = require("./routes/ml");
+const feedbackRoutes = require("./routes/feedback");
+const baselinesRoutes = require("./routes/baselines");
+const suppressionsRoutes = require("./routes/suppressions");
+const intelRoutes = require("./routes/intel");
 
 class AdvancedCyberSecurityServer {
   constructor() {
@@ -126,6 +134,13 @@ class AdvancedCyberSecurityServer {
       this.app.use("/api/analytics", authMiddleware, analyticsRoutes);
       this.app.use("/api/users", authMiddleware, usersRoutes);
       this.app.use("/api/settings", authMiddleware, settingsRoutes);
+      this.app.use("/api/rules", authMiddleware, rulesRoutes);
+      this.app.use("/api/attack", authMiddleware, attackRoutes);
+      this.app.use("/api/ml", authMiddleware, mlRoutes);
+      this.app.use("/api/feedback", authMiddleware, feedbackRoutes);
+      this.app.use("/api/baselines", authMiddleware, baselinesRoutes);
+      this.app.use("/api/suppressions", authMiddleware, suppressionsRoutes);
+      this.app.use("/api/intel", authMiddleware, intelRoutes);
     } else {
       // NEW: fallback routes for degraded mode
       this.setupDegradedRoutes();
@@ -589,6 +604,7 @@ class AdvancedCyberSecurityServer {
         this.wss,
         this
       );
+      this.app.locals.threatDetectionEngine = this.threatDetectionEngine;
 
       // Lazy-load agents; continue without them if unavailable
       let RealNetworkTelemetryAgent;
@@ -962,7 +978,7 @@ class AdvancedCyberSecurityServer {
     // Close HTTP server
     this.server.close(() => {
       // Only close MongoDB connection if it's connected
-      if (mongoose.connection && mongoose.connection.readyState === 1) {
+      if (isDatabaseConnected()) {
         mongoose.connection.close();
       }
       process.exit(0);
@@ -0,0 +1,329 @@
+const fs = require("fs");
+const path = require("path");
+const logger = require("../../utils/logger");
+
+const DEFAULT_DATASET_PATH = path.join(
+  __dirname,
+  "../../data/attack/enterprise-attack.json"
+);
+
+const TECHNIQUE_ID = /^(T\d{4})(\.\d{3})?$/;
+
+// Techniques implied by the heuristic checks of the built-in detectors.
+// Rule-based detections carry their own `mitre` list instead.
+const INDICATOR_TECHNIQUES = {
+  SUSPICIOUS_CONNECTION: ["T1021"],
+  NETWORK_ERRORS: ["T1498"],
+  HIGH_EXTERNAL_CONNECTIONS: ["T1071"],
+  HIGH_INTERNAL_CONNECTIONS: ["T1046"],
+};
+
+const DETECTOR_TECHNIQUES = {
+  ANOMALY: {
+    nonStandardPort: ["T1571"],
+    highTransferRate: ["T1048"],
+    highEntropy: ["T1573"],
+    highFrequency: ["T1498"],
+  },
+  BEHAVIORAL: {
+    offHoursTransfer: ["T1029"],
+    highFrequency: ["T1110"],
+    rapidConnections: ["T1046"],
+  },
+  REAL_TIME_NETWORK_ANALYSIS: INDICATOR_TECHNIQUES,
+  BEACONING: {
+    periodicCallbacks: ["T1071", "T1573"],
+  },
+  // Scans from outside are pre-compromise reconnaissance, scans from a local
+  // host are discovery
+  SCANNING: {
+    inboundVertical: ["T1595"],
+    inboundHorizontal: ["T1595.001"],
+    outboundVertical: ["T1046"],
+    outboundHorizontal: ["T1046", "T1018"],
+  },
+  DNS: {
+    dga: ["T1568.002"],
+    tunneling: ["T1071.004", "T1572", "T1048.003"],
+    knownBadDomain: ["T1071.004"],
+  },
+  EXFILTRATION: {
+    volume: ["T1048"],
+    knownBadDestination: ["T1041"],
+  },
+};
+
+// Used when a detector only knows the threat category (e.g. the ML model)
+const CATEGORY_TECHNIQUES = {
+  MALWARE: ["T1071"],
+  PHISHING: ["T1566"],
+  DDoS: ["T1498"],
+  DDOS: ["T1498"],
+  BRUTE_FORCE: ["T1110"],
+  DATA_EXFILTRATION: ["T1041"],
+  APT: ["T1071", "T1041"],
+};
+
+// Resolves technique IDs against a bundled, offline ATT&CK dataset. Accepts
+// either the compact bundled format or a full STIX 2.x enterprise bundle.
+class AttackMapper {
+  constructor(options = {}) {
+    this.datasetPath =
+      options.datasetPath ||
+      process.env.ATTACK_DATASET_PATH ||
+      DEFAULT_DATASET_PATH;
+    this.tactics = [];
+    this.tacticsByShortName = new Map();
+    this.techniques = new Map();
+    this.version = null;
+    this.complete = false;
+    this.unknownTechniques = new Set();
+  }
+
+  load() {
+    try {
+      const dataset = JSON.parse(fs.readFileSync(this.datasetPath, "utf8"));
+      const { tactics, techniques, version } =
+        dataset.type === "bundle" ? this.parseStixBundle(dataset) : dataset;
+
+      this.tactics = tactics;
+      this.techniques = new Map(
+        techniques.map((technique) => [technique.id, technique])
+      );
+      this.version = version || null;
+      // STIX bundles and extracts generated from one list every technique
+      this.complete = dataset.type === "bundle" || dataset.complete === true;
+      this.tacticsByShortName = new Map(
+        tactics.map((tactic) => [tactic.shortName, tactic])
+      );
+
+      logger.info(
+        `🗺️ Loaded ATT&CK dataset ${this.version || "(unversioned)"}: ${tactics.length} tactics, ${techniques.length} techniques`
+      );
+      if (!this.complete) {
+        logger.warn(
+          "⚠️ The ATT&CK dataset is a partial subset; the coverage matrix leaves out techniques it does not list. Run `npm run update-attack` to bundle the complete extract."
+        );
+      }
+    } catch (error) {
+      logger.error(`Failed to load ATT&CK dataset ${this.datasetPath}:`, error);
+      this.tactics = [];
+      this.techniques = new Map();
+      this.tacticsByShortName = new Map();
+    }
+
+    return this;
+  }
+
+  parseStixBundle(bundle) {
+    const externalId = (object) =>
+      object.external_references?.find(
+        (reference) => reference.source_name === "mitre-attack"
+      )?.external_id;
+    const active = (object) => !object.revoked && !object.x_mitre_deprecated;
+
+    const tacticObjects = bundle.objects.filter(
+      (object) => object.type === "x-mitre-tactic" && active(object)
+    );
+    const matrix = bundle.objects.find(
+      (object) => object.type === "x-mitre-matrix"
+    );
+    const order = matrix?.tactic_refs || tacticObjects.map((tactic) => tactic.id);
+
+    const tactics = order
+      .map((ref) => tacticObjects.find((tactic) => tactic.id === ref))
+      .filter(Boolean)
+      .map((tactic) => ({
+        id: externalId(tactic),
+        shortName: tactic.x_mitre_shortname,
+        name: tactic.name,
+      }));
+
+    const techniques = bundle.objects
+      .filter((object) => object.type === "attack-pattern" && active(object))
+      .map((object) => {
+        const id = externalId(object);
+        return {
+          id,
+          name: object.name,
+          tactics: (object.kill_chain_phases || [])
+            .filter((phase) => phase.kill_chain_name === "mitre-attack")
+            .map((phase) => phase.phase_name),
+          ...(object.x_mitre_is_subtechnique && { parent: id.split(".")[0] }),
+        };
+      })
+      .filter((technique) => technique.id);
+
+    const version = bundle.objects.find(
+      (object) => object.type === "x-mitre-collection"
+    )?.x_mitre_version;
+
+    return { tactics, techniques, version };
+  }
+
+  getTechnique(techniqueId) {
+    return this.techniques.get(String(techniqueId).toUpperCase()) || null;
+  }
+
+  // Expand technique IDs into one entry per (technique, tactic) pair, the
+  // shape stored on ThreatData.mitreAttack
+  resolve(techniqueIds) {
+    const entries = [];
+    const seen = new Set();
+
+    new Set(techniqueIds.map((id) => String(id).toUpperCase())).forEach(
+      (techniqueId) => {
+        const technique = this.techniques.get(techniqueId);
+        if (!technique) {
+          if (!this.unknownTechniques.has(techniqueId)) {
+            this.unknownTechniques.add(techniqueId);
+            logger.warn(`Unknown ATT&CK technique ${techniqueId}`);
+          }
+          // Kept without a tactic, so a dataset older than the rule that
+          // names the technique does not lose it
+          const [, parentId, subId] = techniqueId.match(TECHNIQUE_ID) || [];
+          if (parentId && !seen.has(`|${techniqueId}`)) {
+            seen.add(`|${techniqueId}`);
+            entries.push({
+              tacticId: null,
+              tacticName: null,
+              techniqueId: parentId,
+              techniqueName: this.techniques.get(parentId)?.name || null,
+              subTechniqueId: subId ? techniqueId : null,
+              subTechniqueName: null,
+            });
+          }
+          return;
+        }
+
+        const parent = technique.parent
+          ? this.techniques.get(technique.parent)
+          : technique;
+
+        technique.tactics.forEach((shortName) => {
+          const tactic = this.tacticsByShortName.get(shortName);
+          const key = `${tactic?.id}|${technique.id}`;
+          if (!tactic || seen.has(key)) return;
+          seen.add(key);
+
+          entries.push({
+            tacticId: tactic.id,
+            tacticName: tactic.name,
+            techniqueId: parent?.id || technique.parent,
+            techniqueName: parent?.name || null,
+            subTechniqueId: technique.parent ? technique.id : null,
+            subTechniqueName: technique.parent ? technique.name : null,
+          });
+        });
+      }
+    );
+
+    return entries;
+  }
+
+  // Technique IDs referenced by a threat's detection methods
+  collectTechniques(threat) {
+    return (threat.detectionMethods || []).flatMap(
+      (method) => method.techniques || []
+    );
+  }
+
+  mapThreat(threat) {
+    return this.resolve(this.collectTechniques(threat));
+  }
+
+  // Techniques the deployed rules and built-in detectors can detect,
+  // as a Map of technique ID -> detection sources
+  getCoverage(rules = []) {
+    const coverage = new Map();
+    const add = (techniqueId, source) => {
+      const id = String(techniqueId).toUpperCase();
+      if (!coverage.has(id)) coverage.set(id, new Set());
+      coverage.get(id).add(source);
+    };
+
+    rules
+      .filter((rule) => rule.enabled)
+      .forEach((rule) => rule.mitre.forEach((id) => add(id, `rule:${rule.id}`)));
+
+    Object.entries(DETECTOR_TECHNIQUES).forEach(([detector, checks]) =>
+      Object.values(checks).forEach((ids) =>
+        ids.forEach((id) => add(id, `detector:${detector}`))
+      )
+    );
+    Object.values(CATEGORY_TECHNIQUES).forEach((ids) =>
+      ids.forEach((id) => add(id, "detector:ML_MODEL"))
+    );
+
+    return coverage;
+  }
+
+  // Tactic x technique matrix. `coverage` maps technique IDs to detection
+  // sources, `fired` maps technique IDs to { count, lastSeen }.
+  buildMatrix(coverage, fired = new Map()) {
+    const cell = (technique) => {
+      const sources = Array.from(coverage.get(technique.id) || []);
+      const hits = fired.get(technique.id);
+      return {
+        id: technique.id,
+        name: technique.name,
+        covered: sources.length > 0,
+        coveredBy: sources,
+        fired: hits?.count || 0,
+        lastSeen: hits?.lastSeen || null,
+      };
+    };
+
+    const subTechniques = new Map();
+    this.techniques.forEach((technique) => {
+      if (!technique.parent) return;
+      if (!subTechniques.has(technique.parent)) {
+        subTechniques.set(technique.parent, []);
+      }
+      subTechniques.get(technique.parent).push(technique);
+    });
+
+    // Techniques under several tactics are only counted once in the summary
+    const seen = { techniques: new Set(), covered: new Set(), fired: new Set() };
+    const tactics = this.tactics.map((tactic) => {
+      const techniques = Array.from(this.techniques.values())
+        .filter(
+          (technique) =>
+            !technique.parent && technique.tactics.includes(tactic.shortName)
+        )
+        .map((technique) => {
+          const entry = cell(technique);
+          entry.subTechniques = (subTechniques.get(technique.id) || []).map(cell);
+
+          // A parent counts as covered/fired through any of its sub-techniques
+          entry.covered =
+            entry.covered || entry.subTechniques.some((sub) => sub.covered);
+          entry.fired += entry.subTechniques.reduce(
+            (sum, sub) => sum + sub.fired,
+            0
+          );
+
+          seen.techniques.add(entry.id);
+          if (entry.covered) seen.covered.add(entry.id);
+          if (entry.fired > 0) seen.fired.add(entry.id);
+          return entry;
+        })
+        .sort((a, b) => a.id.localeCompare(b.id));
+
+      return { ...tactic, techniques };
+    });
+
+    const summary = {
+      techniques: seen.techniques.size,
+      covered: seen.covered.size,
+      fired: seen.fired.size,
+    };
+
+    return { version: this.version, complete: this.complete, summary, tactics };
+  }
+}
+
+module.exports = AttackMapper;
+module.exports.INDICATOR_TECHNIQUES = INDICATOR_TECHNIQUES;
+module.exports.DETECTOR_TECHNIQUES = DETECTOR_TECHNIQUES;
+module.exports.CATEGORY_TECHNIQUES = CATEGORY_TECHNIQUES;
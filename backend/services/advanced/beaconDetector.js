@@ -0,0 +1,201 @@
+const { isPrivateIP } = require("../../utils/ipUtils");
+const {
+  socketKey,
+  listeningPorts,
+  isOutbound,
+} = require("../../utils/connections");
+
+const MAX_STARTS = 64; // Connection starts kept per channel
+const MAX_CHANNELS = Number(process.env.BEACON_MAX_CHANNELS || 5000);
+// Starts closer together than this are one burst (the agent samples every 2s)
+const BURST_MS = 2000;
+const FULL_CONFIDENCE_INTERVALS = 12;
+const REALERT_MS = 60 * 60 * 1000;
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2
+    ? sorted[middle]
+    : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+// Peak normalised autocorrelation of the binned start series at lags around
+// the expected interval. Bins are smoothed over their neighbours so jittered
+// starts still line up.
+function periodicity(starts, expectedMs) {
+  const binMs = Math.max(BURST_MS, expectedMs / 8);
+  const length = Math.floor((starts[starts.length - 1] - starts[0]) / binMs) + 1;
+  const counts = new Array(length).fill(0);
+  starts.forEach((start) => counts[Math.floor((start - starts[0]) / binMs)]++);
+
+  const series = counts.map(
+    (count, i) => (counts[i - 1] || 0) + count + (counts[i + 1] || 0)
+  );
+  const mean = series.reduce((sum, value) => sum + value, 0) / length;
+  const variance = series.reduce((sum, value) => sum + (value - mean) ** 2, 0);
+  if (!variance) return 0;
+
+  const expectedLag = expectedMs / binMs;
+  const minLag = Math.max(1, Math.floor(expectedLag * 0.5));
+  const maxLag = Math.min(length - 1, Math.ceil(expectedLag * 1.5));
+
+  let best = 0;
+  for (let lag = minLag; lag <= maxLag; lag++) {
+    let sum = 0;
+    for (let t = 0; t + lag < length; t++) {
+      sum += (series[t] - mean) * (series[t + lag] - mean);
+    }
+    best = Math.max(best, sum / variance);
+  }
+  return best;
+}
+
+// Regularity of the gaps between connection starts on one channel
+function analyzeStarts(starts) {
+  const intervals = starts.slice(1).map((start, i) => start - starts[i]);
+  const mean = intervals.reduce((sum, gap) => sum + gap, 0) / intervals.length;
+  const std = Math.sqrt(
+    intervals.reduce((sum, gap) => sum + (gap - mean) ** 2, 0) /
+      intervals.length
+  );
+  const medianInterval = median(intervals);
+  // Median absolute deviation relative to the median gap
+  const jitter =
+    median(intervals.map((gap) => Math.abs(gap - medianInterval))) /
+    medianInterval;
+  const cv = std / mean;
+  const autocorrelation = periodicity(starts, medianInterval);
+
+  const regularity =
+    0.4 * (1 - Math.min(cv, 1)) +
+    0.3 * (1 - Math.min(jitter, 1)) +
+    0.3 * Math.max(autocorrelation, 0);
+  const sampleFactor = Math.min(1, intervals.length / FULL_CONFIDENCE_INTERVALS);
+
+  return {
+    intervals: intervals.length,
+    intervalMs: Math.round(medianInterval),
+    meanIntervalMs: Math.round(mean),
+    jitter: round(jitter),
+    cv: round(cv),
+    autocorrelation: round(autocorrelation),
+    confidence: round(regularity * (0.6 + 0.4 * sampleFactor)),
+  };
+}
+
+// Finds implant-style callbacks: a local process that keeps opening new
+// connections to the same external IP:port at a steady interval. Fed one
+// network snapshot at a time; a connection counts as started when its
+// socket first appears (agents stamp `firstSeen`, else the snapshot time).
+class BeaconDetector {
+  constructor() {
+    this.channels = new Map(); // process|remoteIP:remotePort -> channel
+    this.previousSockets = new Set();
+  }
+
+  // Record connection starts from a snapshot; returns channels that now look
+  // like beacons under `options` (the `beaconing` system settings)
+  observe(networkData, options) {
+    const now = new Date(networkData.timestamp || Date.now()).getTime();
+    const connections = networkData.connections || [];
+    const listening = listeningPorts(connections);
+
+    const sockets = new Set();
+    const touched = new Set();
+    connections
+      .filter((connection) => isOutbound(connection, listening))
+      .filter((connection) => !isPrivateIP(connection.remoteIP))
+      .forEach((connection) => {
+        const socket = socketKey(connection);
+        sockets.add(socket);
+        if (this.previousSockets.has(socket)) return;
+
+        const key = `${connection.process || "Unknown"}|${connection.remoteIP}:${connection.remotePort}`;
+        const start = connection.firstSeen || now;
+        this.addStart(key, connection, start);
+        touched.add(key);
+      });
+    this.previousSockets = sockets;
+
+    this.expire(now, options);
+
+    return Array.from(touched)
+      .map((key) => this.evaluate(key, now, options))
+      .filter(Boolean);
+  }
+
+  addStart(key, connection, start) {
+    let channel = this.channels.get(key);
+    if (!channel) {
+      if (this.channels.size >= MAX_CHANNELS) {
+        // Evict the channel that has been quiet the longest
+        const [oldest] = Array.from(this.channels.entries()).sort(
+          ([, a], [, b]) => a.lastStart - b.lastStart
+        );
+        this.channels.delete(oldest[0]);
+      }
+      channel = {
+        key,
+        process: connection.process || "Unknown",
+        localIP: connection.localIP,
+        remoteIP: connection.remoteIP,
+        remotePort: connection.remotePort,
+        protocol: connection.protocol,
+        starts: [],
+        lastStart: start,
+        lastAlertAt: null,
+      };
+      this.channels.set(key, channel);
+    }
+
+    // Parallel sockets opened in one burst are a single callback
+    if (start - channel.lastStart < BURST_MS && channel.starts.length) return;
+    channel.starts.push(start);
+    channel.lastStart = start;
+    if (channel.starts.length > MAX_STARTS) channel.starts.shift();
+  }
+
+  // Channels silent for twice the longest interval of interest are dropped
+  expire(now, { maxIntervalSeconds }) {
+    const cutoff = now - 2 * maxIntervalSeconds * 1000;
+    this.channels.forEach((channel, key) => {
+      if (channel.lastStart < cutoff) this.channels.delete(key);
+    });
+  }
+
+  evaluate(key, now, options) {
+    const channel = this.channels.get(key);
+    if (!channel || channel.starts.length < options.minConnections) return null;
+    if (channel.lastAlertAt && now - channel.lastAlertAt < REALERT_MS) {
+      return null;
+    }
+
+    const analysis = analyzeStarts(channel.starts);
+    const intervalSeconds = analysis.intervalMs / 1000;
+    if (
+      intervalSeconds < options.minIntervalSeconds ||
+      intervalSeconds > options.maxIntervalSeconds ||
+      analysis.confidence < options.minConfidence
+    ) {
+      return null;
+    }
+
+    channel.lastAlertAt = now;
+    return {
+      process: channel.process,
+      localIP: channel.localIP,
+      remoteIP: channel.remoteIP,
+      remotePort: channel.remotePort,
+      protocol: channel.protocol,
+      connections: channel.starts.length,
+      firstSeen: new Date(channel.starts[0]),
+      lastSeen: new Date(channel.lastStart),
+      ...analysis,
+    };
+  }
+}
+
+module.exports = BeaconDetector;
@@ -0,0 +1,344 @@
+const DomainNgramModel = require("../../ml/DomainNgramModel");
+const observedDomains = require("../observedDomains");
+const threatIntel = require("../threatIntel");
+
+const MAX_TRACKED = Number(process.env.DNS_MAX_TRACKED || 5000);
+const MAX_EVENTS = 2000; // Per client or per client and domain
+const SAMPLE_SIZE = 20;
+const DIGEST_MS = 60 * 60 * 1000; // Newly observed domains are reported hourly
+const KNOWN_BAD_REALERT_MS = 60 * 60 * 1000;
+const MIN_DGA_LABEL_LENGTH = 8; // Shorter labels are too noisy to judge
+// Mean entropy (bits per character) of encoded payloads in subdomains
+const ENCODED_ENTROPY = 3.5;
+
+// Reverse lookups and local names are not domains anyone registered
+const IGNORED_SUFFIXES = [
+  "in-addr.arpa",
+  "ip6.arpa",
+  "home.arpa",
+  "local",
+  "localhost",
+  "lan",
+  "internal",
+];
+
+// TLDs with a history of cheap, abused registrations
+const SUSPICIOUS_TLDS = new Set([
+  "xyz", "top", "tk", "ml", "ga", "cf", "gq", "zip", "mov", "click",
+  "country", "kim", "work", "link", "support", "rest", "cam", "icu", "buzz",
+  "onion",
+]);
+
+// Second-level labels under country TLDs that are not registrable themselves
+const GENERIC_SECOND_LEVEL = new Set([
+  "co", "com", "net", "org", "gov", "ac", "edu", "ne", "or",
+]);
+
+const TUNNEL_QTYPES = new Set(["TXT", "NULL"]);
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+function entropy(text) {
+  const counts = {};
+  for (const char of text) counts[char] = (counts[char] || 0) + 1;
+  return -Object.values(counts).reduce((sum, count) => {
+    const p = count / text.length;
+    return sum + p * Math.log2(p);
+  }, 0);
+}
+
+// "a.b.example.co.uk" -> { domain: "example.co.uk", label: "example",
+// subdomain: "a.b", tld: "uk" }
+function splitName(name) {
+  const labels = name.split(".").filter(Boolean);
+  if (labels.length < 2) return null;
+  const tld = labels[labels.length - 1];
+  const registrableLength =
+    labels.length > 2 &&
+    tld.length === 2 &&
+    GENERIC_SECOND_LEVEL.has(labels[labels.length - 2])
+      ? 3
+      : 2;
+  if (labels.length < registrableLength) return null;
+  return {
+    domain: labels.slice(-registrableLength).join("."),
+    label: labels[labels.length - registrableLength],
+    subdomain: labels.slice(0, -registrableLength).join("."),
+    tld,
+  };
+}
+
+const matchesDomain = (name, domain) =>
+  name === domain || name.endsWith(`.${domain}`);
+
+// Detectors over resolver query logs: algorithmically generated domains,
+// DNS tunnelling, lookups of listed suspicious domains and newly observed
+// domains. Stateful across snapshots; findings carry their own score.
+class DnsThreatDetector {
+  constructor(options = {}) {
+    this.ngramModel = options.ngramModel || new DomainNgramModel();
+    this.clients = new Map(); // client -> { dga, newDomains, alerts }
+    this.channels = new Map(); // client|domain -> { queries, lastAlert }
+  }
+
+  // 0 (ordinary name) to 1 (random-looking) for a registrable label
+  dgaScore(label) {
+    if (label.length < MIN_DGA_LABEL_LENGTH) return 0;
+    const digits = (label.match(/\d/g) || []).length;
+    const mixed = digits && digits < label.length ? digits / label.length : 0;
+    return round(
+      0.7 * this.ngramModel.score(label) +
+        0.2 * Math.min(Math.max((entropy(label) - 2.5) / 1.5, 0), 1) +
+        0.1 * Math.min(mixed * 2, 1)
+    );
+  }
+
+  // `queries` are resolver log records; `context` has the snapshot time and
+  // the client to assume when a log has none
+  analyze(queries, options, context) {
+    const now = context.time.getTime();
+    const findings = [];
+    const touchedClients = new Set();
+    const touchedChannels = new Set();
+
+    queries.forEach((record) => {
+      const name = String(record.query || "").toLowerCase();
+      if (IGNORED_SUFFIXES.some((suffix) => matchesDomain(name, suffix))) return;
+      const parts = splitName(name);
+      if (!parts) return;
+
+      const client = record.client || context.defaultClient || "Unknown";
+      const time = record.timestamp ? new Date(record.timestamp).getTime() : now;
+      const query = { ...record, name, time, client, ...parts };
+      const state = this.getClient(client);
+
+      const [listed] = threatIntel.matchDomain(name);
+      if (listed) {
+        const finding = this.knownBadFinding(query, listed, state, now);
+        if (finding) findings.push(finding);
+      }
+
+      const dgaScore = this.dgaScore(parts.label);
+      if (dgaScore >= options.dgaThreshold) {
+        state.dga.push({ time, domain: parts.domain, rcode: record.rcode, dgaScore });
+        if (state.dga.length > MAX_EVENTS) state.dga.shift();
+      }
+
+      if (observedDomains.observe(parts.domain, new Date(time), options)) {
+        if (!state.newDomains.some((entry) => entry.domain === parts.domain)) {
+          state.newDomains.push({
+            domain: parts.domain,
+            time,
+            dgaScore,
+            suspiciousTld: SUSPICIOUS_TLDS.has(parts.tld),
+          });
+          if (state.newDomains.length > SAMPLE_SIZE * 5) state.newDomains.shift();
+        }
+      }
+
+      if (parts.subdomain) {
+        const key = `${client}|${parts.domain}`;
+        const channel = this.getChannel(key);
+        channel.queries.push(query);
+        if (channel.queries.length > MAX_EVENTS) channel.queries.shift();
+        touchedChannels.add(key);
+      }
+      touchedClients.add(client);
+    });
+
+    const windowStart = now - options.windowSeconds * 1000;
+    touchedClients.forEach((client) => {
+      const state = this.clients.get(client);
+      state.dga = state.dga.filter((entry) => entry.time > windowStart);
+      const dga = this.dgaFinding(client, state, now, options);
+      if (dga) findings.push(dga);
+      const newDomains = this.newDomainFinding(client, state, now);
+      if (newDomains) findings.push(newDomains);
+    });
+    touchedChannels.forEach((key) => {
+      const channel = this.channels.get(key);
+      channel.queries = channel.queries.filter((query) => query.time > windowStart);
+      const tunnel = this.tunnelFinding(channel, now, options);
+      if (tunnel) findings.push(tunnel);
+    });
+
+    return findings;
+  }
+
+  getClient(client) {
+    if (!this.clients.has(client)) {
+      if (this.clients.size >= MAX_TRACKED) {
+        this.clients.delete(this.clients.keys().next().value);
+      }
+      this.clients.set(client, { dga: [], newDomains: [], alerts: new Map() });
+    }
+    return this.clients.get(client);
+  }
+
+  getChannel(key) {
+    if (!this.channels.has(key)) {
+      if (this.channels.size >= MAX_TRACKED) {
+        this.channels.delete(this.channels.keys().next().value);
+      }
+      this.channels.set(key, { queries: [], lastAlert: null });
+    }
+    return this.channels.get(key);
+  }
+
+  // `listed` is the matching threat intelligence indicator
+  knownBadFinding(query, listed, state, now) {
+    const alertKey = `KNOWN_BAD|${listed.value}`;
+    const lastAlert = state.alerts.get(alertKey);
+    if (lastAlert !== undefined && now - lastAlert < KNOWN_BAD_REALERT_MS) {
+      return null;
+    }
+    state.alerts.set(alertKey, now);
+
+    return {
+      kind: "KNOWN_BAD",
+      client: query.client,
+      server: query.server || null,
+      domain: listed.value,
+      domains: [query.name],
+      queries: 1,
+      score: 0.7,
+      details: `${query.client} resolved ${query.name}, listed as ${listed.value} by ${listed.source}`,
+      firstSeen: new Date(query.time),
+      lastSeen: new Date(query.time),
+    };
+  }
+
+  dgaFinding(client, state, now, options) {
+    const domains = [...new Set(state.dga.map((entry) => entry.domain))];
+    if (domains.length < options.dgaMinDomains) return null;
+    const lastAlert = state.alerts.get("DGA");
+    if (lastAlert !== undefined && now - lastAlert < options.windowSeconds * 1000) {
+      return null;
+    }
+    state.alerts.set("DGA", now);
+
+    // Generated names mostly go unregistered, so NXDOMAIN answers add weight
+    const answered = state.dga.filter((entry) => entry.rcode);
+    const nxdomainRatio = answered.length
+      ? answered.filter((entry) => entry.rcode === "NXDOMAIN").length /
+        answered.length
+      : null;
+    const dgaScore = Math.max(...state.dga.map((entry) => entry.dgaScore));
+
+    return {
+      kind: "DGA",
+      client,
+      server: null,
+      domain: domains[domains.length - 1],
+      domains: domains.slice(-SAMPLE_SIZE),
+      queries: state.dga.length,
+      dgaScore,
+      nxdomainRatio: nxdomainRatio === null ? null : round(nxdomainRatio),
+      score: round(
+        Math.min(
+          1,
+          0.5 + 0.03 * domains.length + 0.2 * (nxdomainRatio || 0)
+        )
+      ),
+      details: `${client} resolved ${domains.length} algorithmically generated-looking domains within ${options.windowSeconds}s${
+        nxdomainRatio === null ? "" : ` (${Math.round(nxdomainRatio * 100)}% NXDOMAIN)`
+      }`,
+      firstSeen: new Date(state.dga[0].time),
+      lastSeen: new Date(state.dga[state.dga.length - 1].time),
+    };
+  }
+
+  // Hourly digest per client of domains nobody on the network resolved before
+  newDomainFinding(client, state, now) {
+    if (!state.newDomains.length) return null;
+    const lastAlert = state.alerts.get("NEW_DOMAIN");
+    if (lastAlert !== undefined && now - lastAlert < DIGEST_MS) return null;
+    state.alerts.set("NEW_DOMAIN", now);
+
+    const entries = state.newDomains;
+    state.newDomains = [];
+    const suspicious = entries.filter((entry) => entry.suspiciousTld);
+    const dgaScore = Math.max(...entries.map((entry) => entry.dgaScore));
+
+    return {
+      kind: "NEW_DOMAIN",
+      client,
+      server: null,
+      domain: (suspicious[0] || entries[0]).domain,
+      domains: entries.map((entry) => entry.domain).slice(0, SAMPLE_SIZE),
+      queries: entries.length,
+      dgaScore,
+      score: round(
+        Math.min(1, 0.2 + (suspicious.length ? 0.3 : 0) + 0.2 * dgaScore)
+      ),
+      details: `${client} resolved ${entries.length} newly observed domain${
+        entries.length === 1 ? "" : "s"
+      }${
+        suspicious.length
+          ? `, ${suspicious.length} under suspicious TLDs (${suspicious
+              .slice(0, 5)
+              .map((entry) => entry.domain)
+              .join(", ")})`
+          : ""
+      }`,
+      firstSeen: new Date(entries[0].time),
+      lastSeen: new Date(entries[entries.length - 1].time),
+    };
+  }
+
+  // Many distinct, long or encoded subdomains of one domain, or mostly TXT
+  // lookups, from one client
+  tunnelFinding(channel, now, options) {
+    const { queries } = channel;
+    if (!queries.length) return null;
+    if (channel.lastAlert !== null && now - channel.lastAlert < options.windowSeconds * 1000) {
+      return null;
+    }
+
+    const subdomains = [...new Set(queries.map((query) => query.subdomain))];
+    const averageNameLength =
+      subdomains.reduce((sum, subdomain) => sum + subdomain.length, 0) /
+      subdomains.length;
+    const averageEntropy =
+      subdomains.reduce(
+        (sum, subdomain) => sum + entropy(subdomain.replace(/\./g, "")),
+        0
+      ) / subdomains.length;
+    const txtRatio =
+      queries.filter((query) => TUNNEL_QTYPES.has(query.qtype)).length /
+      queries.length;
+
+    const signals = {
+      volume: subdomains.length >= options.tunnelMinQueries,
+      longNames: averageNameLength >= options.tunnelNameLength,
+      encoded: averageEntropy >= ENCODED_ENTROPY,
+      txtHeavy: txtRatio >= options.tunnelTxtRatio && queries.length >= 10,
+    };
+    const raised = Object.keys(signals).filter((signal) => signals[signal]);
+    // Long or encoded names alone are common (CDNs, anti-virus lookups)
+    if (raised.length < 2 || !(signals.volume || signals.txtHeavy)) return null;
+    channel.lastAlert = now;
+
+    const [first] = queries;
+    return {
+      kind: "TUNNELING",
+      client: first.client,
+      server: first.server || null,
+      domain: first.domain,
+      domains: subdomains
+        .slice(-SAMPLE_SIZE)
+        .map((subdomain) => `${subdomain}.${first.domain}`),
+      queries: queries.length,
+      uniqueSubdomains: subdomains.length,
+      averageNameLength: round(averageNameLength),
+      txtRatio: round(txtRatio),
+      signals: raised,
+      score: round(Math.min(1, 0.4 + 0.15 * raised.length)),
+      details: `${first.client} sent ${queries.length} queries for ${subdomains.length} distinct subdomains of ${first.domain} within ${options.windowSeconds}s (${raised.join(", ")})`,
+      firstSeen: new Date(first.time),
+      lastSeen: new Date(queries[queries.length - 1].time),
+    };
+  }
+}
+
+module.exports = DnsThreatDetector;
@@ -0,0 +1,295 @@
+const entityBaselines = require("../entityBaselines");
+const threatIntel = require("../threatIntel");
+const { isPrivateIP } = require("../../utils/ipUtils");
+const {
+  socketKey,
+  listeningPorts,
+  isOutbound,
+} = require("../../utils/connections");
+
+const MAX_FLOWS = Number(process.env.EXFIL_MAX_FLOWS || 5000); // Per window
+const REALERT_MS = 60 * 60 * 1000;
+const METRIC = "outboundBytes"; // Per window, learned on hosts and services
+
+const POINTS = {
+  base: 0.3,
+  asymmetry: 0.2,
+  baseline: 0.25,
+  malicious: 0.35,
+  newPeer: 0.1,
+  maxVolume: 0.15,
+};
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+const megabytes = (bytes) => `${Math.round(bytes / 104857.6) / 10} MB`;
+
+// Large uploads from a host to one external destination. Byte counters per
+// socket come from agent snapshots and are summed per host, process and
+// destination over fixed windows. A window's transfer is reported when it is
+// large and something else makes it suspicious: it is mostly one-way, the
+// host or process does not usually send that much, or the destination is
+// known bad or new to the host.
+class ExfiltrationDetector {
+  constructor() {
+    this.counters = null; // socket -> { sent, received }, from the last snapshot
+    this.window = null; // { start, end, flows, hosts, services }
+    this.alerts = new Map(); // flow -> time of the last alert
+  }
+
+  // Add a snapshot's traffic; returns transfers found in windows that closed.
+  // `options` are the `exfiltration` system settings; `context` holds the
+  // behavioural `baselineDeviation`.
+  observe(networkData, options, context = {}) {
+    const now = new Date(networkData.timestamp || Date.now()).getTime();
+    const windowMs = options.windowSeconds * 1000;
+
+    let findings = [];
+    if (this.window && now >= this.window.end) {
+      findings = this.evaluate(options, context);
+      this.window = null;
+    }
+    if (!this.window) {
+      const start = Math.floor(now / windowMs) * windowMs;
+      this.window = {
+        start,
+        end: start + windowMs,
+        flows: new Map(),
+        hosts: new Map(),
+        services: new Map(),
+      };
+    }
+
+    this.addDeltas(networkData, now);
+    return findings;
+  }
+
+  // Bytes moved by each socket since the last snapshot. The first snapshot
+  // only sets the starting counters; a socket that is new or whose counters
+  // went backwards (reused) counts from zero.
+  addDeltas(networkData, now) {
+    const connections = (networkData.connections || []).filter(
+      (connection) =>
+        connection.remoteIP &&
+        connection.state !== "LISTEN" &&
+        Number.isFinite(connection.bytesSent)
+    );
+    const listening = listeningPorts(networkData.connections || []);
+    const previous = this.counters;
+    this.counters = new Map();
+
+    connections.forEach((connection) => {
+      const socket = socketKey(connection);
+      const current = {
+        sent: connection.bytesSent,
+        received: connection.bytesReceived || 0,
+      };
+      this.counters.set(socket, current);
+      if (!previous) return;
+
+      // Servers answering external clients send more than they receive by
+      // design, so only connections the host opened count
+      if (isPrivateIP(connection.remoteIP) || !isOutbound(connection, listening)) {
+        return;
+      }
+
+      const last = previous.get(socket);
+      const reset =
+        !last || current.sent < last.sent || current.received < last.received;
+      this.addFlow(
+        connection,
+        reset ? current.sent : current.sent - last.sent,
+        reset ? current.received : current.received - last.received,
+        now
+      );
+    });
+  }
+
+  addFlow(connection, bytesOut, bytesIn, now) {
+    const { flows, hosts, services } = this.window;
+    const process = connection.process || "Unknown";
+    const key = `${connection.localIP}|${process}|${connection.remoteIP}`;
+
+    let flow = flows.get(key);
+    if (!flow) {
+      if (flows.size >= MAX_FLOWS) return;
+      flow = {
+        key,
+        localIP: connection.localIP,
+        process,
+        remoteIP: connection.remoteIP,
+        protocol: connection.protocol,
+        ports: new Set(),
+        bytesOut: 0,
+        bytesIn: 0,
+        // Decided on first sight, before this snapshot is learned
+        newPeer: entityBaselines.isNewPeer(
+          `host:${connection.localIP}`,
+          connection.remoteIP,
+          now
+        ),
+      };
+      flows.set(key, flow);
+    }
+    flow.ports.add(connection.remotePort);
+    flow.bytesOut += bytesOut;
+    flow.bytesIn += bytesIn;
+
+    hosts.set(connection.localIP, (hosts.get(connection.localIP) || 0) + bytesOut);
+    if (process !== "Unknown") {
+      services.set(process, (services.get(process) || 0) + bytesOut);
+    }
+  }
+
+  evaluate(options, context) {
+    const { start, end, flows, hosts, services } = this.window;
+    const time = new Date(end);
+    // Hosts and processes with findings stay out of the baselines
+    const flaggedHosts = new Set();
+    const flaggedServices = new Set();
+
+    // Deviation of the host's window total, or failing that the process's
+    const deviation = (flow) =>
+      entityBaselines.deviation(
+        `host:${flow.localIP}`,
+        METRIC,
+        hosts.get(flow.localIP),
+        time
+      ) ||
+      (services.has(flow.process)
+        ? entityBaselines.deviation(
+            `service:${flow.process}`,
+            METRIC,
+            services.get(flow.process),
+            time
+          )
+        : null);
+
+    const findings = [];
+    flows.forEach((flow) => {
+      if (flow.bytesOut < options.minBytes) return;
+
+      const lastAlert = this.alerts.get(flow.key);
+      if (lastAlert !== undefined && end - lastAlert < REALERT_MS) {
+        flaggedHosts.add(flow.localIP);
+        flaggedServices.add(flow.process);
+        return;
+      }
+
+      const finding = this.describe(flow, deviation(flow), options, context, {
+        listed: threatIntel.matchIP(flow.remoteIP),
+        start,
+        end,
+      });
+      if (!finding) return;
+
+      this.alerts.set(flow.key, end);
+      flaggedHosts.add(flow.localIP);
+      flaggedServices.add(flow.process);
+      findings.push(finding);
+    });
+
+    this.alerts.forEach((alertTime, key) => {
+      if (end - alertTime >= REALERT_MS) this.alerts.delete(key);
+    });
+
+    // Normal windows teach the baselines what a host usually sends
+    hosts.forEach((bytes, ip) => {
+      if (!flaggedHosts.has(ip)) {
+        entityBaselines.learnMetrics(`host:${ip}`, { [METRIC]: bytes }, time);
+      }
+    });
+    services.forEach((bytes, process) => {
+      if (!flaggedServices.has(process)) {
+        entityBaselines.learnMetrics(`service:${process}`, { [METRIC]: bytes }, time);
+      }
+    });
+
+    return findings;
+  }
+
+  describe(flow, deviation, options, context, { listed, start, end }) {
+    const uploadRatio = flow.bytesOut / Math.max(flow.bytesIn, 1);
+    const reputation = listed.length
+      ? "malicious"
+      : flow.newPeer === null
+        ? "unknown"
+        : flow.newPeer
+          ? "new"
+          : "known";
+
+    const factors = [];
+    if (uploadRatio >= options.uploadRatio) {
+      factors.push({
+        factor: "asymmetry",
+        label: `Sent ${Math.round(uploadRatio * 10) / 10}x more than received`,
+        value: round(uploadRatio),
+        points: POINTS.asymmetry,
+      });
+    }
+    if (deviation && deviation.z >= context.baselineDeviation) {
+      factors.push({
+        factor: "baseline",
+        label: `Outbound volume ${deviation.z.toFixed(1)}σ above the usual ${megabytes(deviation.mean)} per window`,
+        value: round(deviation.z),
+        points: POINTS.baseline,
+      });
+    }
+    if (reputation === "malicious") {
+      factors.push({
+        factor: "knownBadDestination",
+        label: `${flow.remoteIP} is listed by ${[
+          ...new Set(listed.map((indicator) => indicator.source)),
+        ].join(", ")}`,
+        value: flow.remoteIP,
+        points: POINTS.malicious,
+      });
+    } else if (reputation === "new") {
+      factors.push({
+        factor: "newDestination",
+        label: `First contact between ${flow.localIP} and ${flow.remoteIP}`,
+        value: flow.remoteIP,
+        points: POINTS.newPeer,
+      });
+    }
+    // Volume alone is ordinary (backups, uploads); it needs corroboration
+    if (!factors.length) return null;
+
+    factors.unshift({
+      factor: "volume",
+      label: `${megabytes(flow.bytesOut)} sent to ${flow.remoteIP} in ${Math.round((end - start) / 60000)} min`,
+      value: flow.bytesOut,
+      points:
+        POINTS.base +
+        Math.min(
+          POINTS.maxVolume,
+          0.05 * Math.log2(flow.bytesOut / options.minBytes)
+        ),
+    });
+
+    return {
+      localIP: flow.localIP,
+      process: flow.process,
+      remoteIP: flow.remoteIP,
+      protocol: flow.protocol,
+      ports: [...flow.ports].sort((a, b) => a - b),
+      bytesOut: flow.bytesOut,
+      bytesIn: flow.bytesIn,
+      uploadRatio: round(uploadRatio),
+      baselineMean: deviation ? Math.round(deviation.mean) : null,
+      baselineDeviation: deviation ? round(deviation.z) : null,
+      reputation,
+      windowStart: new Date(start),
+      windowEnd: new Date(end),
+      factors,
+      score: round(
+        Math.min(
+          1,
+          factors.reduce((sum, factor) => sum + factor.points, 0)
+        )
+      ),
+    };
+  }
+}
+
+module.exports = ExfiltrationDetector;
@@ -0,0 +1,572 @@
+const fs = require("fs");
+const path = require("path");
+const yaml = require("js-yaml");
+const logger = require("../../utils/logger");
+const ThreatData = require("../../models/ThreatData");
+const SigmaLoader = require("./sigmaLoader");
+const WindowedAggregator = require("./windowedAggregator");
+const { parseDuration } = require("../../utils/duration");
+const { parseCIDR, ipInCIDR } = require("../../utils/ipUtils");
+
+const DEFAULT_RULES_DIR = path.join(__dirname, "../../rules");
+const RULE_FILE_EXTENSIONS = [".yml", ".yaml", ".json"];
+const RULE_SCOPES = ["event", "connection"];
+const RULE_TYPES = ["match", "threshold", "sequence"];
+const AGGREGATE_FUNCTIONS = ["count", "distinct_count", "sum"];
+const WINDOW_TYPES = ["sliding", "tumbling"];
+
+// Loose equality so YAML numbers match the string ports systeminformation reports
+function looseEquals(actual, expected) {
+  if (actual === expected) return true;
+  if (actual === null || actual === undefined) return false;
+  if (typeof expected === "number" || typeof actual === "number") {
+    return Number(actual) === Number(expected) && String(actual).trim() !== "";
+  }
+  if (typeof expected === "string" && typeof actual === "string") {
+    return actual.toLowerCase() === expected.toLowerCase();
+  }
+  return false;
+}
+
+function toTimestamp(value) {
+  if (value === undefined || value === null) return Date.now();
+  const time = value instanceof Date ? value.getTime() : new Date(value).getTime();
+  return Number.isNaN(time) ? Date.now() : time;
+}
+
+function toNumber(value) {
+  if (value === null || value === undefined || value === "") return NaN;
+  return Number(value);
+}
+
+const OPERATORS = {
+  equals: (actual, expected) => looseEquals(actual, expected),
+  not_equals: (actual, expected) => !looseEquals(actual, expected),
+  in: (actual, expected) => expected.some((value) => looseEquals(actual, value)),
+  not_in: (actual, expected) =>
+    !expected.some((value) => looseEquals(actual, value)),
+  contains: (actual, expected) =>
+    typeof actual === "string" &&
+    actual.toLowerCase().includes(String(expected).toLowerCase()),
+  startswith: (actual, expected) =>
+    typeof actual === "string" &&
+    actual.toLowerCase().startsWith(String(expected).toLowerCase()),
+  endswith: (actual, expected) =>
+    typeof actual === "string" &&
+    actual.toLowerCase().endsWith(String(expected).toLowerCase()),
+  regex: (actual, expected) =>
+    actual !== null && actual !== undefined && expected.test(String(actual)),
+  gt: (actual, expected) => toNumber(actual) > expected,
+  gte: (actual, expected) => toNumber(actual) >= expected,
+  lt: (actual, expected) => toNumber(actual) < expected,
+  lte: (actual, expected) => toNumber(actual) <= expected,
+  cidr: (actual, expected) =>
+    typeof actual === "string" &&
+    expected.some((range) => ipInCIDR(actual, range)),
+};
+
+const LEAF_KEYS = new Set(["field", "flags", "exists"]);
+
+// Resolve a dotted path, flattening arrays along the way
+function resolveField(source, fieldPath) {
+  let values = [source];
+
+  for (const key of fieldPath.split(".")) {
+    const next = [];
+    values.forEach((value) => {
+      if (value === null || value === undefined) return;
+      const child = value[key];
+      if (Array.isArray(child)) {
+        next.push(...child);
+      } else if (child !== undefined) {
+        next.push(child);
+      }
+    });
+    values = next;
+    if (values.length === 0) break;
+  }
+
+  return values;
+}
+
+function compileCondition(condition, location) {
+  if (!condition || typeof condition !== "object" || Array.isArray(condition)) {
+    throw new Error(`${location}: condition must be an object`);
+  }
+
+  if (condition.all || condition.any) {
+    const key = condition.all ? "all" : "any";
+    if (!Array.isArray(condition[key]) || condition[key].length === 0) {
+      throw new Error(`${location}: '${key}' must be a non-empty list`);
+    }
+    const children = condition[key].map((child, index) =>
+      compileCondition(child, `${location}.${key}[${index}]`)
+    );
+    return key === "all"
+      ? (event) => children.every((child) => child(event))
+      : (event) => children.some((child) => child(event));
+  }
+
+  if (condition.not) {
+    const child = compileCondition(condition.not, `${location}.not`);
+    return (event) => !child(event);
+  }
+
+  if (typeof condition.field !== "string" || !condition.field) {
+    throw new Error(`${location}: leaf condition requires a 'field'`);
+  }
+
+  const { field } = condition;
+
+  if (condition.exists !== undefined) {
+    const shouldExist = Boolean(condition.exists);
+    return (event) => (resolveField(event, field).length > 0) === shouldExist;
+  }
+
+  const operatorKeys = Object.keys(condition).filter(
+    (key) => !LEAF_KEYS.has(key)
+  );
+  if (operatorKeys.length !== 1 || !OPERATORS[operatorKeys[0]]) {
+    throw new Error(
+      `${location}: expected exactly one operator of ${Object.keys(
+        OPERATORS
+      ).join(", ")}`
+    );
+  }
+
+  const operator = operatorKeys[0];
+  let expected = condition[operator];
+
+  if (operator === "regex") {
+    // The compiled regex is shared by every event, so stateful flags would
+    // carry lastIndex from one test to the next
+    const flags = String(condition.flags ?? "i");
+    if (/[gy]/.test(flags)) {
+      throw new Error(`${location}: regex flags 'g' and 'y' are not supported`);
+    }
+    try {
+      expected = new RegExp(String(expected), flags);
+    } catch (error) {
+      throw new Error(`${location}: ${error.message}`);
+    }
+  } else if (operator === "in" || operator === "not_in") {
+    if (!Array.isArray(expected)) {
+      throw new Error(`${location}: '${operator}' expects a list`);
+    }
+  } else if (operator === "cidr") {
+    expected = [].concat(expected).map((range) => {
+      const parsed = parseCIDR(String(range));
+      if (!parsed) {
+        throw new Error(`${location}: invalid CIDR range '${range}'`);
+      }
+      return parsed;
+    });
+  } else if (["gt", "gte", "lt", "lte"].includes(operator)) {
+    expected = Number(expected);
+    if (Number.isNaN(expected)) {
+      throw new Error(`${location}: '${operator}' expects a number`);
+    }
+  }
+
+  const test = OPERATORS[operator];
+
+  // Negative operators must hold for every value, positive ones for any value
+  if (operator === "not_equals" || operator === "not_in") {
+    return (event) =>
+      resolveField(event, field).every((actual) => test(actual, expected));
+  }
+
+  return (event) =>
+    resolveField(event, field).some((actual) => test(actual, expected));
+}
+
+class DetectionRuleEngine {
+  constructor(options = {}) {
+    this.rulesDir =
+      options.rulesDir || process.env.RULES_DIR || DEFAULT_RULES_DIR;
+    this.rules = [];
+    this.loadErrors = [];
+    this.sigmaLoader = new SigmaLoader(options.sigma);
+    this.aggregator = new WindowedAggregator(options.aggregation);
+    this.validCategories = new Set(
+      ThreatData.schema.path("threatCategory").enumValues
+    );
+  }
+
+  loadRules() {
+    const rules = [];
+    const loadErrors = [];
+    const seenIds = new Set();
+
+    let files = [];
+    try {
+      files = fs
+        .readdirSync(this.rulesDir)
+        .filter((file) =>
+          RULE_FILE_EXTENSIONS.includes(path.extname(file).toLowerCase())
+        )
+        .sort();
+    } catch (error) {
+      logger.warn(`Rules directory not readable: ${this.rulesDir}`, {
+        error: error.message,
+      });
+    }
+
+    files.forEach((file) => {
+      const filePath = path.join(this.rulesDir, file);
+      let definitions;
+
+      try {
+        definitions = this.parseRuleFile(filePath);
+      } catch (error) {
+        loadErrors.push({ file, error: error.message });
+        return;
+      }
+
+      definitions.forEach((definition, index) => {
+        try {
+          const rule = this.compileRule(definition, `${file}[${index}]`);
+          if (seenIds.has(rule.id)) {
+            throw new Error(`duplicate rule id '${rule.id}'`);
+          }
+          seenIds.add(rule.id);
+          rules.push({ ...rule, file });
+        } catch (error) {
+          loadErrors.push({ file, rule: definition?.id, error: error.message });
+        }
+      });
+    });
+
+    // Sigma rules are translated into the same rule definitions
+    const sigmaDefinitions = this.sigmaLoader.load();
+    sigmaDefinitions.forEach(({ file, definition }) => {
+      try {
+        const rule = this.compileRule(definition, `sigma/${file}`);
+        if (seenIds.has(rule.id)) {
+          throw new Error(`duplicate rule id '${rule.id}'`);
+        }
+        seenIds.add(rule.id);
+        rules.push({ ...rule, file: `sigma/${file}` });
+      } catch (error) {
+        loadErrors.push({ file, rule: definition.id, error: error.message });
+      }
+    });
+
+    loadErrors.forEach((entry) =>
+      logger.warn(`Skipping invalid detection rule in ${entry.file}`, entry)
+    );
+
+    this.rules = rules;
+    this.loadErrors = loadErrors;
+    this.aggregator.registerRules(
+      rules.filter((rule) => rule.type === "threshold")
+    );
+    logger.info(
+      `📜 Loaded ${rules.length} detection rules from ${files.length} files and ${sigmaDefinitions.length} Sigma rules`
+    );
+
+    return rules;
+  }
+
+  parseRuleFile(filePath) {
+    const content = fs.readFileSync(filePath, "utf8");
+    const parsed =
+      path.extname(filePath).toLowerCase() === ".json"
+        ? JSON.parse(content)
+        : yaml.load(content);
+
+    if (!parsed) return [];
+    if (Array.isArray(parsed)) return parsed;
+    if (Array.isArray(parsed.rules)) return parsed.rules;
+    return [parsed];
+  }
+
+  compileRule(definition, location) {
+    if (!definition || typeof definition !== "object") {
+      throw new Error(`${location}: rule must be an object`);
+    }
+
+    const id = definition.id && String(definition.id);
+    if (!id) {
+      throw new Error(`${location}: rule requires an 'id'`);
+    }
+
+    const severity = Number(definition.severity ?? 0.5);
+    if (Number.isNaN(severity) || severity < 0 || severity > 1) {
+      throw new Error(`${location}: severity must be between 0 and 1`);
+    }
+
+    const type = definition.type || "match";
+    if (!RULE_TYPES.includes(type)) {
+      throw new Error(`${location}: type must be one of ${RULE_TYPES.join(", ")}`);
+    }
+
+    // Sequence rules run over recorded threats rather than raw events
+    const scope = type === "sequence" ? "threat" : definition.scope || "event";
+    if (type !== "sequence" && !RULE_SCOPES.includes(scope)) {
+      throw new Error(
+        `${location}: scope must be one of ${RULE_SCOPES.join(", ")}`
+      );
+    }
+
+    if (definition.category && !this.validCategories.has(definition.category)) {
+      throw new Error(
+        `${location}: unknown threat category '${definition.category}'`
+      );
+    }
+
+    const mitre = []
+      .concat(definition.mitre || [])
+      .map((technique) => String(technique).toUpperCase());
+
+    // Threshold and sequence rules may omit the condition and aggregate every event
+    const hasCondition = definition.condition !== undefined;
+    if (type === "match" && !hasCondition) {
+      throw new Error(`${location}: rule requires a 'condition'`);
+    }
+
+    const rule = {
+      id,
+      name: definition.name || id,
+      description: definition.description || "",
+      type,
+      scope,
+      severity,
+      category: definition.category || null,
+      mitre,
+      enabled: definition.enabled !== false,
+      source: definition.source || "native",
+      condition: definition.condition,
+      test: hasCondition
+        ? compileCondition(definition.condition, `${location}.condition`)
+        : () => true,
+    };
+
+    if (type === "threshold") {
+      Object.assign(rule, this.compileThreshold(definition, location));
+    } else if (type === "sequence") {
+      Object.assign(rule, this.compileSequence(definition, location));
+    }
+
+    return rule;
+  }
+
+  compileThreshold(definition, location) {
+    const groupBy = [].concat(definition.groupBy || []).map(String);
+    if (groupBy.length === 0) {
+      throw new Error(`${location}: threshold rules require 'groupBy'`);
+    }
+
+    const aggregate =
+      typeof definition.aggregate === "string"
+        ? { function: definition.aggregate }
+        : { function: "count", ...definition.aggregate };
+    if (!AGGREGATE_FUNCTIONS.includes(aggregate.function)) {
+      throw new Error(
+        `${location}: aggregate must be one of ${AGGREGATE_FUNCTIONS.join(", ")}`
+      );
+    }
+    if (aggregate.function !== "count" && !aggregate.field) {
+      throw new Error(
+        `${location}: '${aggregate.function}' requires an aggregate field`
+      );
+    }
+
+    const windowMs = parseDuration(definition.window);
+    if (!(windowMs > 0)) {
+      throw new Error(`${location}: 'window' must be a duration like 60s or 5m`);
+    }
+
+    const windowType = definition.windowType || "sliding";
+    if (!WINDOW_TYPES.includes(windowType)) {
+      throw new Error(
+        `${location}: windowType must be one of ${WINDOW_TYPES.join(", ")}`
+      );
+    }
+
+    const threshold = Number(definition.threshold);
+    if (!(threshold > 0)) {
+      throw new Error(`${location}: 'threshold' must be a positive number`);
+    }
+    // Groups track at most maxEventsPerGroup distinct values
+    const { maxEventsPerGroup } = this.aggregator;
+    if (aggregate.function === "distinct_count" && threshold > maxEventsPerGroup) {
+      throw new Error(
+        `${location}: distinct_count threshold ${threshold} can never be reached; groups track at most ${maxEventsPerGroup} distinct values (RULE_MAX_EVENTS_PER_GROUP)`
+      );
+    }
+
+    const cooldownMs =
+      definition.cooldown === undefined
+        ? windowMs
+        : parseDuration(definition.cooldown);
+    if (!(cooldownMs >= 0)) {
+      throw new Error(`${location}: 'cooldown' must be a duration`);
+    }
+
+    return {
+      groupBy,
+      aggregate: { function: aggregate.function, field: aggregate.field || null },
+      window: definition.window,
+      windowMs,
+      windowType,
+      threshold,
+      cooldownMs,
+    };
+  }
+
+  compileSequence(definition, location) {
+    if (!Array.isArray(definition.steps) || definition.steps.length < 2) {
+      throw new Error(`${location}: sequence rules require at least two 'steps'`);
+    }
+
+    const steps = definition.steps.map((step, index) => {
+      const stepLocation = `${location}.steps[${index}]`;
+      if (!step || typeof step !== "object") {
+        throw new Error(`${stepLocation}: step must be an object`);
+      }
+
+      const bind = step.bind || {};
+      if (typeof bind !== "object" || Array.isArray(bind)) {
+        throw new Error(`${stepLocation}: 'bind' must map entity names to fields`);
+      }
+
+      return {
+        name: step.name || `step${index + 1}`,
+        condition: step.condition,
+        bind,
+        test: compileCondition(step.condition, `${stepLocation}.condition`),
+      };
+    });
+
+    // Steps after the first must join on at least one entity bound earlier
+    const bound = new Set(Object.keys(steps[0].bind));
+    steps.slice(1).forEach((step, index) => {
+      const names = Object.keys(step.bind);
+      if (!names.some((name) => bound.has(name))) {
+        throw new Error(
+          `${location}.steps[${index + 1}]: must bind an entity shared with an earlier step`
+        );
+      }
+      names.forEach((name) => bound.add(name));
+    });
+
+    const withinMs = parseDuration(definition.within);
+    if (!(withinMs > 0)) {
+      throw new Error(`${location}: 'within' must be a duration like 15m`);
+    }
+
+    return { steps, within: definition.within, withinMs };
+  }
+
+  reload() {
+    return this.loadRules();
+  }
+
+  // Evaluate every enabled rule of the given scope against one event.
+  // Threshold rules only accumulate when options.aggregate is not false, so
+  // callers can re-evaluate an event without counting it twice.
+  evaluate(event, scope = "event", options = {}) {
+    const matches = [];
+    const aggregate = options.aggregate !== false;
+    const timestamp = toTimestamp(options.timestamp);
+
+    this.rules.forEach((rule) => {
+      if (!rule.enabled || rule.scope !== scope) return;
+      if (rule.type === "threshold" && !aggregate) return;
+
+      try {
+        if (!rule.test(event)) return;
+
+        if (rule.type === "threshold") {
+          const aggregation = this.observe(rule, event, timestamp);
+          if (aggregation) {
+            matches.push({ ...this.toMatch(rule), aggregation });
+          }
+          return;
+        }
+
+        matches.push(this.toMatch(rule));
+      } catch (error) {
+        logger.error(`Detection rule ${rule.id} failed to evaluate:`, error);
+      }
+    });
+
+    return matches;
+  }
+
+  observe(rule, event, timestamp) {
+    const groupValues = rule.groupBy.map(
+      (field) => resolveField(event, field)[0]
+    );
+    if (groupValues.some((value) => value === undefined || value === null)) {
+      return null;
+    }
+
+    let value = null;
+    if (rule.aggregate.function !== "count") {
+      value = resolveField(event, rule.aggregate.field)[0];
+      if (value === undefined || value === null) return null;
+      if (rule.aggregate.function === "sum") {
+        value = Number(value);
+        if (!Number.isFinite(value)) return null;
+      } else {
+        value = String(value);
+      }
+    }
+
+    return this.aggregator.observe(rule, groupValues, value, timestamp);
+  }
+
+  toMatch(rule) {
+    return {
+      ruleId: rule.id,
+      name: rule.name,
+      type: rule.type,
+      severity: rule.severity,
+      category: rule.category,
+      mitre: rule.mitre,
+      scope: rule.scope,
+      source: rule.source,
+    };
+  }
+
+  // Shape a rule match as a ThreatData detectionMethods entry
+  toDetectionMethod(match, details) {
+    return {
+      method: match.source === "sigma" ? "SIGMA" : "SIGNATURE",
+      ruleId: match.ruleId,
+      ruleName: match.name,
+      confidence: match.severity,
+      details: details || this.describeMatch(match),
+      techniques: match.mitre,
+    };
+  }
+
+  describeMatch(match) {
+    if (!match.aggregation) {
+      return `Rule ${match.ruleId} matched: ${match.name}`;
+    }
+
+    const { aggregation } = match;
+    const group = Object.entries(aggregation.groupBy)
+      .map(([field, value]) => `${field}=${value}`)
+      .join(", ");
+    const measure = aggregation.field
+      ? `${aggregation.function}(${aggregation.field})`
+      : aggregation.function;
+    return `Rule ${match.ruleId} threshold crossed: ${measure}=${aggregation.value} >= ${aggregation.threshold} within ${aggregation.windowMs / 1000}s for ${group}`;
+  }
+
+  getRules() {
+    return this.rules.map(({ test, ...rule }) =>
+      rule.steps
+        ? { ...rule, steps: rule.steps.map(({ test, ...step }) => step) }
+        : rule
+    );
+  }
+}
+
+module.exports = DetectionRuleEngine;
+module.exports.compileCondition = compileCondition;
+module.exports.resolveField = resolveField;
@@ -0,0 +1,220 @@
+const {
+  socketKey,
+  listeningPorts,
+  isOutbound,
+} = require("../../utils/connections");
+
+const MAX_SOURCES = Number(process.env.SCAN_MAX_SOURCES || 5000);
+const MAX_ATTEMPTS = 5000; // Per scanning source, across the slow window
+const SAMPLE_SIZE = 20; // Ports or hosts listed on an alert
+const HALF_OPEN_STATES = new Set(["SYN_SENT", "SYN_RECV"]);
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+function groupDistinct(attempts, by, value) {
+  const groups = new Map();
+  attempts.forEach((attempt) => {
+    if (!groups.has(attempt[by])) groups.set(attempt[by], new Set());
+    groups.get(attempt[by]).add(attempt[value]);
+  });
+  return groups;
+}
+
+// Reconnaissance from one source IP: many ports on one host (vertical) or
+// one port across many hosts (horizontal), in a short window or spread thin
+// over a long one (slow scans). Connection attempts come from agent
+// snapshots; an attempt fails when its socket closes while still half-open.
+class ScanDetector {
+  constructor() {
+    this.sources = new Map(); // source IP -> { attempts, alerts, lastSeen }
+    this.openAttempts = new Map(); // socket -> attempt, from the last snapshot
+  }
+
+  // Record attempts from a snapshot; returns scans found under `options`
+  // (the `scanning` system settings)
+  observe(networkData, options) {
+    const now = new Date(networkData.timestamp || Date.now()).getTime();
+    const connections = (networkData.connections || []).filter(
+      (connection) => connection.state !== "LISTEN" && connection.remoteIP
+    );
+    const listening = listeningPorts(networkData.connections || []);
+    const open = new Map();
+    const touched = new Set();
+
+    connections.forEach((connection) => {
+      const socket = socketKey(connection);
+      let attempt = this.openAttempts.get(socket);
+      if (!attempt) {
+        attempt = this.addAttempt(connection, listening, connection.firstSeen || now);
+        touched.add(attempt.source);
+      }
+      if (!HALF_OPEN_STATES.has(connection.state)) attempt.outcome = "established";
+      open.set(socket, attempt);
+    });
+
+    // Sockets that closed without completing the handshake failed
+    this.openAttempts.forEach((attempt, socket) => {
+      if (!open.has(socket) && attempt.outcome === "half-open") {
+        attempt.outcome = "failed";
+        touched.add(attempt.source);
+      }
+    });
+    this.openAttempts = open;
+
+    this.expire(now, options);
+
+    return Array.from(touched).flatMap((source) =>
+      this.evaluate(source, now, options)
+    );
+  }
+
+  addAttempt(connection, listening, time) {
+    const outbound = isOutbound(connection, listening);
+    const attempt = {
+      source: outbound ? connection.localIP : connection.remoteIP,
+      host: outbound ? connection.remoteIP : connection.localIP,
+      port: outbound ? connection.remotePort : connection.localPort,
+      protocol: connection.protocol,
+      direction: outbound ? "outbound" : "inbound",
+      time,
+      outcome: HALF_OPEN_STATES.has(connection.state) ? "half-open" : "established",
+    };
+
+    let source = this.sources.get(attempt.source);
+    if (!source) {
+      if (this.sources.size >= MAX_SOURCES) {
+        // Evict the source that has been quiet the longest
+        const [oldest] = Array.from(this.sources.entries()).sort(
+          ([, a], [, b]) => a.lastSeen - b.lastSeen
+        );
+        this.sources.delete(oldest[0]);
+      }
+      source = { attempts: [], alerts: new Map(), lastSeen: time };
+      this.sources.set(attempt.source, source);
+    }
+
+    source.attempts.push(attempt);
+    source.lastSeen = Math.max(source.lastSeen, time);
+    if (source.attempts.length > MAX_ATTEMPTS) source.attempts.shift();
+    return attempt;
+  }
+
+  // Attempts older than the slow window no longer count towards any scan
+  expire(now, { slowWindowHours }) {
+    const cutoff = now - slowWindowHours * 60 * 60 * 1000;
+    this.sources.forEach((source, key) => {
+      source.attempts = source.attempts.filter((attempt) => attempt.time >= cutoff);
+      if (!source.attempts.length) this.sources.delete(key);
+    });
+  }
+
+  evaluate(sourceIP, now, options) {
+    const source = this.sources.get(sourceIP);
+    if (!source) return [];
+
+    // Fast windows first, so a burst does not also alert as a slow scan
+    const windows = [
+      {
+        slow: false,
+        windowMs: options.windowSeconds * 1000,
+        ports: options.verticalPorts,
+        hosts: options.horizontalHosts,
+      },
+      {
+        slow: true,
+        windowMs: options.slowWindowHours * 60 * 60 * 1000,
+        ports: options.slowVerticalPorts,
+        hosts: options.slowHorizontalHosts,
+      },
+    ];
+
+    const scans = [];
+    windows.forEach((window) => {
+      const attempts = source.attempts.filter(
+        (attempt) => attempt.time > now - window.windowMs
+      );
+
+      const candidates = [];
+      groupDistinct(attempts, "host", "port").forEach((ports, host) => {
+        if (ports.size >= window.ports) {
+          candidates.push({ type: "VERTICAL", host, threshold: window.ports });
+        }
+      });
+      groupDistinct(attempts, "port", "host").forEach((hosts, port) => {
+        if (hosts.size >= window.hosts) {
+          candidates.push({ type: "HORIZONTAL", port, threshold: window.hosts });
+        }
+      });
+
+      candidates.forEach((candidate) => {
+        const alertKey = `${candidate.type}|${window.slow}`;
+        const lastAlert = source.alerts.get(alertKey);
+        if (lastAlert !== undefined && now - lastAlert < window.windowMs) return;
+
+        const scan = this.describe(sourceIP, candidate, attempts, window);
+        // Clients legitimately reach many hosts on one port (web, DNS), so
+        // sweeps must also go mostly unanswered
+        if (
+          scan.type === "HORIZONTAL" &&
+          scan.failedRatio < options.minFailedRatio
+        ) {
+          return;
+        }
+
+        source.alerts.set(alertKey, now);
+        if (!window.slow) source.alerts.set(`${candidate.type}|true`, now);
+        scans.push(scan);
+      });
+    });
+
+    return scans;
+  }
+
+  describe(sourceIP, candidate, attempts, window) {
+    const vertical = candidate.type === "VERTICAL";
+    const relevant = attempts.filter((attempt) =>
+      vertical ? attempt.host === candidate.host : attempt.port === candidate.port
+    );
+    const failed = relevant.filter((attempt) => attempt.outcome === "failed").length;
+    const halfOpen = relevant.filter(
+      (attempt) => attempt.outcome === "half-open"
+    ).length;
+    const ports = [...new Set(relevant.map((attempt) => attempt.port))];
+    const hosts = [...new Set(relevant.map((attempt) => attempt.host))];
+    const distinct = vertical ? ports.length : hosts.length;
+    const failedRatio = (failed + halfOpen) / relevant.length;
+    const last = relevant[relevant.length - 1];
+
+    return {
+      type: candidate.type,
+      slow: window.slow,
+      direction: last.direction,
+      protocol: last.protocol,
+      sourceIP,
+      targetHost: vertical ? candidate.host : null,
+      targetPort: vertical ? null : candidate.port,
+      distinctPorts: ports.length,
+      distinctHosts: hosts.length,
+      attempts: relevant.length,
+      failed,
+      halfOpen,
+      failedRatio: round(failedRatio),
+      windowMs: window.windowMs,
+      ports: ports.sort((a, b) => a - b).slice(0, SAMPLE_SIZE),
+      hosts: hosts.slice(0, SAMPLE_SIZE),
+      firstSeen: new Date(relevant[0].time),
+      lastSeen: new Date(last.time),
+      // Unanswered probes and scans well past the threshold score higher
+      score: round(
+        Math.min(
+          1,
+          0.5 +
+            0.3 * failedRatio +
+            0.1 * Math.log2(distinct / candidate.threshold)
+        )
+      ),
+    };
+  }
+}
+
+module.exports = ScanDetector;
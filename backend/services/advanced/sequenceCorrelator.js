@@ -0,0 +1,216 @@
+const crypto = require("crypto");
+const logger = require("../../utils/logger");
+const { resolveField } = require("./ruleEngine");
+
+// Event-driven matcher for ordered multi-stage sequence rules. Every recorded
+// threat is offered to process(); partial matches advance when a threat
+// satisfies the next step and agrees with the entities bound so far.
+class SequenceCorrelator {
+  constructor(ruleEngine, options = {}) {
+    this.ruleEngine = ruleEngine;
+    this.maxPartialsPerRule = Number(
+      options.maxPartialsPerRule || process.env.CORRELATION_MAX_PARTIALS || 5000
+    );
+    this.rules = [];
+    this.loadedRules = null;
+    this.partials = new Map(); // ruleId -> Map(partialKey -> partial)
+    this.stats = {
+      processed: 0,
+      started: 0,
+      completed: 0,
+      expired: 0,
+      evicted: 0,
+    };
+  }
+
+  // Pick up sequence rules whenever the rule engine (re)loads its rule set
+  syncRules() {
+    if (this.loadedRules === this.ruleEngine.rules) return;
+    this.loadedRules = this.ruleEngine.rules;
+    this.rules = this.loadedRules.filter((rule) => rule.type === "sequence");
+    const ruleIds = new Set(this.rules.map((rule) => rule.id));
+
+    // Drop in-flight state for rules that were removed or disabled
+    this.partials.forEach((_, ruleId) => {
+      if (!ruleIds.has(ruleId)) this.partials.delete(ruleId);
+    });
+  }
+
+  // Offer one threat to every sequence rule; returns completed sequences
+  process(threat) {
+    const completed = [];
+    const timestamp = new Date(threat.timestamp || Date.now()).getTime();
+    this.syncRules();
+    this.stats.processed++;
+
+    this.rules.forEach((rule) => {
+      if (!rule.enabled) return;
+
+      try {
+        completed.push(...this.processRule(rule, threat, timestamp));
+      } catch (error) {
+        logger.error(`Sequence rule ${rule.id} failed to evaluate:`, error);
+      }
+    });
+
+    return completed;
+  }
+
+  processRule(rule, threat, timestamp) {
+    const partials = this.getRulePartials(rule.id);
+    const completed = [];
+    const advanced = [];
+
+    this.expire(rule, partials, timestamp);
+
+    partials.forEach((partial, key) => {
+      const step = rule.steps[partial.nextStep];
+      if (timestamp < partial.lastTimestamp) return;
+
+      const bindings = this.matchStep(step, threat, partial.bindings);
+      if (!bindings) return;
+
+      partials.delete(key);
+      advanced.push(this.advance(partial, step, threat, bindings, timestamp));
+    });
+
+    // Any threat matching the first step may also open a new sequence
+    const firstStep = rule.steps[0];
+    const bindings = this.matchStep(firstStep, threat, {});
+    if (bindings) {
+      this.stats.started++;
+      advanced.push(
+        this.advance(
+          {
+            id: crypto.randomUUID(),
+            ruleId: rule.id,
+            nextStep: 0,
+            bindings: {},
+            threats: [],
+            startedAt: timestamp,
+            lastTimestamp: timestamp,
+          },
+          firstStep,
+          threat,
+          bindings,
+          timestamp
+        )
+      );
+    }
+
+    advanced.forEach((partial) => {
+      if (partial.nextStep >= rule.steps.length) {
+        this.stats.completed++;
+        completed.push(this.toCompletedSequence(rule, partial));
+        return;
+      }
+
+      // One partial per step and binding set; the newest one lives longest
+      const key = `${partial.nextStep}|${JSON.stringify(partial.bindings)}`;
+      partials.delete(key);
+      partials.set(key, partial);
+    });
+
+    while (partials.size > this.maxPartialsPerRule) {
+      partials.delete(partials.keys().next().value);
+      this.stats.evicted++;
+    }
+
+    return completed;
+  }
+
+  // Returns the merged bindings when the threat satisfies the step
+  matchStep(step, threat, bindings) {
+    if (!step.test(threat)) return null;
+
+    const merged = { ...bindings };
+    for (const [name, field] of Object.entries(step.bind)) {
+      const value = resolveField(threat, field)[0];
+      if (value === undefined || value === null || value === "") return null;
+
+      if (merged[name] !== undefined && String(merged[name]) !== String(value)) {
+        return null;
+      }
+      merged[name] = value;
+    }
+
+    return merged;
+  }
+
+  advance(partial, step, threat, bindings, timestamp) {
+    return {
+      ...partial,
+      nextStep: partial.nextStep + 1,
+      bindings,
+      lastTimestamp: timestamp,
+      threats: [
+        ...partial.threats,
+        {
+          step: step.name,
+          threatId: threat._id ? String(threat._id) : null,
+          threatCategory: threat.threatCategory,
+          sourceIP: threat.sourceIP,
+          destinationIP: threat.destinationIP,
+          timestamp: new Date(timestamp),
+        },
+      ],
+    };
+  }
+
+  expire(rule, partials, now) {
+    partials.forEach((partial, key) => {
+      if (now - partial.startedAt > rule.withinMs) {
+        partials.delete(key);
+        this.stats.expired++;
+      }
+    });
+  }
+
+  toCompletedSequence(rule, partial) {
+    return {
+      rule,
+      bindings: partial.bindings,
+      threats: partial.threats,
+      startedAt: new Date(partial.startedAt),
+      completedAt: new Date(partial.lastTimestamp),
+    };
+  }
+
+  getRulePartials(ruleId) {
+    if (!this.partials.has(ruleId)) {
+      this.partials.set(ruleId, new Map());
+    }
+    return this.partials.get(ruleId);
+  }
+
+  // Snapshot of in-flight partial matches for debugging
+  getState(now = Date.now()) {
+    this.syncRules();
+    return {
+      stats: { ...this.stats },
+      rules: this.rules.map((rule) => {
+        const partials = this.getRulePartials(rule.id);
+        this.expire(rule, partials, now);
+
+        return {
+          ruleId: rule.id,
+          name: rule.name,
+          enabled: rule.enabled,
+          steps: rule.steps.map((step) => step.name),
+          within: rule.within,
+          partials: Array.from(partials.values()).map((partial) => ({
+            id: partial.id,
+            nextStep: rule.steps[partial.nextStep].name,
+            matchedSteps: partial.nextStep,
+            bindings: partial.bindings,
+            threats: partial.threats,
+            startedAt: new Date(partial.startedAt),
+            expiresAt: new Date(partial.startedAt + rule.withinMs),
+          })),
+        };
+      }),
+    };
+  }
+}
+
+module.exports = SequenceCorrelator;
@@ -0,0 +1,525 @@
+const fs = require("fs");
+const path = require("path");
+const yaml = require("js-yaml");
+const logger = require("../../utils/logger");
+
+const DEFAULT_SIGMA_DIR = path.join(__dirname, "../../rules/sigma");
+const DEFAULT_FIELD_MAPPING = path.join(
+  __dirname,
+  "../../config/sigma-field-mapping.yml"
+);
+
+const LEVEL_SEVERITY = {
+  informational: 0.1,
+  low: 0.3,
+  medium: 0.5,
+  high: 0.7,
+  critical: 0.9,
+};
+
+const SUPPORTED_MODIFIERS = new Set([
+  "contains",
+  "startswith",
+  "endswith",
+  "re",
+  "i",
+  "cidr",
+  "all",
+  "gt",
+  "gte",
+  "lt",
+  "lte",
+  "exists",
+]);
+
+const NUMERIC_MODIFIERS = ["gt", "gte", "lt", "lte"];
+const STRING_MODIFIERS = ["contains", "startswith", "endswith"];
+
+function hasWildcard(value) {
+  return /(^|[^\\])[*?]/.test(value);
+}
+
+function unescapeSigma(value) {
+  return value.replace(/\\([*?\\])/g, "$1");
+}
+
+// Convert a Sigma wildcard string into an anchored regular expression source
+function wildcardToRegex(value) {
+  let source = "";
+  for (let i = 0; i < value.length; i++) {
+    const char = value[i];
+    if (char === "\\" && "*?\\".includes(value[i + 1])) {
+      source += `\\${value[i + 1]}`;
+      i++;
+    } else if (char === "*") {
+      source += ".*";
+    } else if (char === "?") {
+      source += ".";
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\/-]/g, "\\$&");
+    }
+  }
+  return `^${source}$`;
+}
+
+function tokenizeCondition(condition) {
+  const tokens = [];
+  const pattern = /\s*(\(|\)|\||[^\s()|]+)/g;
+  let match;
+  while ((match = pattern.exec(condition)) !== null) {
+    tokens.push(match[1]);
+  }
+  return tokens;
+}
+
+// Recursive descent parser for Sigma condition expressions
+function parseCondition(condition) {
+  const tokens = tokenizeCondition(condition);
+  let position = 0;
+
+  const peek = () => tokens[position]?.toLowerCase();
+  const next = () => tokens[position++];
+
+  const parseOr = () => {
+    const children = [parseAnd()];
+    while (peek() === "or") {
+      next();
+      children.push(parseAnd());
+    }
+    return children.length === 1 ? children[0] : { type: "or", children };
+  };
+
+  const parseAnd = () => {
+    const children = [parseNot()];
+    while (peek() === "and") {
+      next();
+      children.push(parseNot());
+    }
+    return children.length === 1 ? children[0] : { type: "and", children };
+  };
+
+  const parseNot = () => {
+    if (peek() === "not") {
+      next();
+      return { type: "not", child: parseNot() };
+    }
+    return parsePrimary();
+  };
+
+  const parsePrimary = () => {
+    const token = next();
+    if (token === undefined) {
+      throw new Error("unexpected end of condition");
+    }
+    if (token === "(") {
+      const expression = parseOr();
+      if (next() !== ")") throw new Error("missing closing parenthesis");
+      return expression;
+    }
+    if (token === "|") {
+      throw new Error("unsupported: aggregation expressions");
+    }
+
+    const lowered = token.toLowerCase();
+    if ((lowered === "1" || lowered === "all" || lowered === "any") && peek() === "of") {
+      next();
+      const target = next();
+      if (!target) throw new Error("missing target after 'of'");
+      return {
+        type: "quantifier",
+        quantifier: lowered === "all" ? "all" : "any",
+        target,
+      };
+    }
+    if (["and", "or", ")", "near"].includes(lowered)) {
+      throw new Error(
+        lowered === "near"
+          ? "unsupported: 'near' operator"
+          : `unexpected token '${token}'`
+      );
+    }
+    return { type: "ref", name: token };
+  };
+
+  const ast = parseOr();
+  if (position < tokens.length) {
+    if (tokens[position] === "|") {
+      throw new Error("unsupported: aggregation expressions");
+    }
+    throw new Error(`unexpected token '${tokens[position]}'`);
+  }
+  return ast;
+}
+
+class SigmaLoader {
+  constructor(options = {}) {
+    this.rulesDir =
+      options.rulesDir || process.env.SIGMA_RULES_DIR || DEFAULT_SIGMA_DIR;
+    this.mappingPath =
+      options.mappingPath ||
+      process.env.SIGMA_FIELD_MAPPING ||
+      DEFAULT_FIELD_MAPPING;
+    this.mapping = null;
+    this.report = [];
+  }
+
+  loadMapping() {
+    try {
+      const mapping = yaml.load(fs.readFileSync(this.mappingPath, "utf8"));
+      this.mapping = {
+        defaultScope: mapping?.defaultScope || null,
+        logsources: mapping?.logsources || [],
+        fields: mapping?.fields || {},
+        keywordFields: mapping?.keywordFields || {},
+        categories: mapping?.categories || {},
+      };
+    } catch (error) {
+      logger.warn(`Sigma field mapping not loaded from ${this.mappingPath}`, {
+        error: error.message,
+      });
+      this.mapping = {
+        defaultScope: null,
+        logsources: [],
+        fields: {},
+        keywordFields: {},
+        categories: {},
+      };
+    }
+    return this.mapping;
+  }
+
+  // Returns [{ file, definition }] ready for DetectionRuleEngine.compileRule
+  load() {
+    this.loadMapping();
+    this.report = [];
+    const definitions = [];
+
+    let files = [];
+    try {
+      files = fs
+        .readdirSync(this.rulesDir)
+        .filter((file) => /\.ya?ml$/i.test(file))
+        .sort();
+    } catch (error) {
+      // A missing Sigma directory simply means no Sigma rules are deployed
+      return definitions;
+    }
+
+    files.forEach((file) => {
+      let documents;
+      try {
+        documents = yaml.loadAll(
+          fs.readFileSync(path.join(this.rulesDir, file), "utf8")
+        );
+      } catch (error) {
+        this.report.push({
+          file,
+          translated: false,
+          unsupported: [`YAML parse error: ${error.message}`],
+        });
+        return;
+      }
+
+      documents = documents.filter(Boolean);
+      if (documents.length > 1) {
+        this.report.push({
+          file,
+          id: documents[0]?.id,
+          title: documents[0]?.title,
+          translated: false,
+          unsupported: ["multi-document rule collections"],
+        });
+        return;
+      }
+
+      const [sigmaRule] = documents;
+      const { definition, unsupported } = this.translate(sigmaRule, file);
+      this.report.push({
+        file,
+        id: sigmaRule?.id,
+        title: sigmaRule?.title,
+        translated: unsupported.length === 0,
+        unsupported,
+      });
+
+      if (unsupported.length === 0) {
+        definitions.push({ file, definition });
+      }
+    });
+
+    const rejected = this.report.filter((entry) => !entry.translated);
+    if (rejected.length > 0) {
+      logger.warn(
+        `⚠️ ${rejected.length} Sigma rules could not be translated`,
+        rejected
+      );
+    }
+
+    return definitions;
+  }
+
+  translate(sigmaRule, file) {
+    const unsupported = [];
+
+    if (!sigmaRule || typeof sigmaRule !== "object") {
+      return { definition: null, unsupported: ["rule is not a YAML mapping"] };
+    }
+    if (!sigmaRule.detection || typeof sigmaRule.detection !== "object") {
+      return { definition: null, unsupported: ["missing detection section"] };
+    }
+    if (sigmaRule.status === "deprecated" || sigmaRule.status === "unsupported") {
+      return {
+        definition: null,
+        unsupported: [`rule status '${sigmaRule.status}'`],
+      };
+    }
+
+    const scope = this.resolveScope(sigmaRule.logsource || {});
+    if (!scope) {
+      unsupported.push(
+        `logsource ${JSON.stringify(sigmaRule.logsource || {})} has no mapping`
+      );
+    }
+
+    const { condition: rawCondition, timeframe, ...selections } =
+      sigmaRule.detection;
+    if (timeframe) {
+      unsupported.push("timeframe (correlation) detections");
+    }
+
+    const translated = {};
+    Object.entries(selections).forEach(([name, body]) => {
+      translated[name] = this.translateSelection(
+        name,
+        body,
+        scope,
+        unsupported
+      );
+    });
+
+    const conditions = [].concat(rawCondition || []);
+    if (conditions.length === 0) {
+      unsupported.push("missing detection condition");
+    }
+
+    let condition = null;
+    const parsedConditions = [];
+    conditions.forEach((expression) => {
+      try {
+        parsedConditions.push(
+          this.translateAst(parseCondition(String(expression)), translated)
+        );
+      } catch (error) {
+        unsupported.push(`condition '${expression}': ${error.message}`);
+      }
+    });
+    if (parsedConditions.length === 1) {
+      condition = parsedConditions[0];
+    } else if (parsedConditions.length > 1) {
+      condition = { any: parsedConditions };
+    }
+
+    const tags = [].concat(sigmaRule.tags || []).map(String);
+    const mitre = tags
+      .filter((tag) => /^attack\.t\d{4}(\.\d{3})?$/i.test(tag))
+      .map((tag) => tag.slice("attack.".length).toUpperCase());
+    const category =
+      tags.map((tag) => this.mapping.categories[tag]).find(Boolean) || null;
+
+    const definition = {
+      id: sigmaRule.id
+        ? String(sigmaRule.id)
+        : `sigma-${path.basename(file).replace(/\.ya?ml$/i, "")}`,
+      name: sigmaRule.title || file,
+      description: sigmaRule.description || "",
+      scope,
+      severity: LEVEL_SEVERITY[sigmaRule.level] ?? LEVEL_SEVERITY.medium,
+      category,
+      mitre,
+      source: "sigma",
+      condition,
+    };
+
+    return { definition, unsupported };
+  }
+
+  resolveScope(logsource) {
+    const entry = this.mapping.logsources.find((candidate) =>
+      ["category", "product", "service"].every(
+        (key) => candidate[key] === undefined || candidate[key] === logsource[key]
+      )
+    );
+    return entry?.scope || this.mapping.defaultScope;
+  }
+
+  translateSelection(name, body, scope, unsupported) {
+    if (Array.isArray(body)) {
+      if (body.every((item) => item && typeof item === "object")) {
+        const maps = body.map((item) =>
+          this.translateMap(item, scope, unsupported)
+        );
+        return maps.length === 1 ? maps[0] : { any: maps };
+      }
+      return this.translateKeywords(name, body, scope, unsupported);
+    }
+
+    if (body && typeof body === "object") {
+      return this.translateMap(body, scope, unsupported);
+    }
+
+    return this.translateKeywords(name, [body], scope, unsupported);
+  }
+
+  translateKeywords(name, keywords, scope, unsupported) {
+    const fields = this.mapping.keywordFields[scope] || [];
+    if (fields.length === 0) {
+      unsupported.push(`keyword search in '${name}' (no keywordFields for ${scope})`);
+      return null;
+    }
+
+    const leaves = [];
+    keywords.forEach((keyword) => {
+      fields.forEach((field) => {
+        leaves.push(this.buildLeaf(field, ["contains"], keyword, unsupported));
+      });
+    });
+    return leaves.length === 1 ? leaves[0] : { any: leaves };
+  }
+
+  translateMap(map, scope, unsupported) {
+    const entries = Object.entries(map);
+    if (entries.length === 0) {
+      unsupported.push("empty selection");
+      return null;
+    }
+
+    const clauses = entries.map(([key, value]) =>
+      this.translateField(key, value, scope, unsupported)
+    );
+    return clauses.length === 1 ? clauses[0] : { all: clauses };
+  }
+
+  translateField(key, value, scope, unsupported) {
+    const [sigmaField, ...modifiers] = key.split("|");
+
+    modifiers
+      .filter((modifier) => !SUPPORTED_MODIFIERS.has(modifier))
+      .forEach((modifier) => unsupported.push(`modifier '${modifier}'`));
+
+    const field = this.mapping.fields[scope]?.[sigmaField];
+    if (!field) {
+      unsupported.push(`unmapped field '${sigmaField}' for ${scope} scope`);
+      return null;
+    }
+
+    if (modifiers.includes("exists")) {
+      return { field, exists: value !== false };
+    }
+
+    if (value === null) {
+      return { field, exists: false };
+    }
+
+    const values = Array.isArray(value) ? value : [value];
+    const leaves = values.map((item) =>
+      item === null
+        ? { field, exists: false }
+        : this.buildLeaf(field, modifiers, item, unsupported)
+    );
+
+    if (leaves.length === 1) return leaves[0];
+    return modifiers.includes("all") ? { all: leaves } : { any: leaves };
+  }
+
+  buildLeaf(field, modifiers, value, unsupported) {
+    if (modifiers.includes("cidr")) {
+      return { field, cidr: String(value) };
+    }
+
+    if (modifiers.includes("re")) {
+      return { field, regex: String(value), flags: modifiers.includes("i") ? "i" : "" };
+    }
+
+    const numeric = NUMERIC_MODIFIERS.find((modifier) =>
+      modifiers.includes(modifier)
+    );
+    if (numeric) {
+      if (Number.isNaN(Number(value))) {
+        unsupported.push(`non-numeric value '${value}' for '${numeric}'`);
+      }
+      return { field, [numeric]: Number(value) };
+    }
+
+    if (typeof value !== "string") {
+      return { field, equals: value };
+    }
+
+    const operator =
+      STRING_MODIFIERS.find((modifier) => modifiers.includes(modifier)) ||
+      "equals";
+
+    if (!hasWildcard(value)) {
+      return { field, [operator]: unescapeSigma(value) };
+    }
+
+    const wrapped = {
+      equals: value,
+      contains: `*${value}*`,
+      startswith: `${value}*`,
+      endswith: `*${value}`,
+    }[operator];
+    return { field, regex: wildcardToRegex(wrapped), flags: "i" };
+  }
+
+  translateAst(node, selections) {
+    switch (node.type) {
+      case "and":
+        return { all: node.children.map((child) => this.translateAst(child, selections)) };
+      case "or":
+        return { any: node.children.map((child) => this.translateAst(child, selections)) };
+      case "not":
+        return { not: this.translateAst(node.child, selections) };
+      case "ref":
+        return this.resolveSelection(node.name, selections);
+      case "quantifier": {
+        const names = this.expandTarget(node.target, selections);
+        if (names.length === 0) {
+          throw new Error(`no selections match '${node.target}'`);
+        }
+        const children = names.map((name) =>
+          this.resolveSelection(name, selections)
+        );
+        if (children.length === 1) return children[0];
+        return node.quantifier === "all" ? { all: children } : { any: children };
+      }
+      default:
+        throw new Error(`unknown condition node '${node.type}'`);
+    }
+  }
+
+  resolveSelection(name, selections) {
+    if (!(name in selections)) {
+      throw new Error(`unknown selection '${name}'`);
+    }
+    if (!selections[name]) {
+      throw new Error(`selection '${name}' could not be translated`);
+    }
+    return selections[name];
+  }
+
+  expandTarget(target, selections) {
+    const names = Object.keys(selections);
+    if (target === "them") {
+      return names.filter((name) => !name.startsWith("_"));
+    }
+    const matcher = new RegExp(wildcardToRegex(target));
+    return names.filter((name) => matcher.test(name));
+  }
+
+  getReport() {
+    return this.report;
+  }
+}
+
+module.exports = SigmaLoader;
+module.exports.parseCondition = parseCondition;
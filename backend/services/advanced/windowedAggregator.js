@@ -0,0 +1,250 @@
+const v8 = require("v8");
+const logger = require("../../utils/logger");
+
+const PRUNE_EVERY = 1000;
+const MEMORY_CHECK_EVERY = 500;
+
+// Stateful count / distinct_count / sum over sliding or tumbling windows,
+// keyed per rule and group. State is bounded per rule and per group and is
+// shed oldest-first when the heap gets close to its limit. Sliding windows
+// count events into at most maxEventsPerGroup time buckets, so counts and
+// sums stay exact however busy a group gets; only distinct values are capped.
+class WindowedAggregator {
+  constructor(options = {}) {
+    this.maxGroupsPerRule = Number(
+      options.maxGroupsPerRule || process.env.RULE_MAX_GROUPS || 10000
+    );
+    this.maxEventsPerGroup = Number(
+      options.maxEventsPerGroup || process.env.RULE_MAX_EVENTS_PER_GROUP || 1000
+    );
+    this.memoryPressureRatio = Number(
+      options.memoryPressureRatio || process.env.RULE_MEMORY_PRESSURE_RATIO || 0.85
+    );
+
+    this.state = new Map(); // ruleId -> Map(groupKey -> group)
+    this.windows = new Map(); // ruleId -> how long idle groups are kept (ms)
+    this.observations = 0;
+    this.evictions = 0;
+  }
+
+  // Record one observation; returns aggregation details when the threshold
+  // is crossed, null otherwise
+  observe(rule, groupValues, value, timestamp) {
+    const { function: fn, field } = rule.aggregate;
+    this.observations++;
+    if (this.observations % PRUNE_EVERY === 0) this.prune(timestamp);
+    if (this.observations % MEMORY_CHECK_EVERY === 0) this.checkMemoryPressure();
+
+    const groups = this.getRuleState(rule.id);
+    const groupKey = JSON.stringify(groupValues);
+    const group = this.touchGroup(groups, groupKey, timestamp);
+
+    const current =
+      rule.windowType === "tumbling"
+        ? this.addTumbling(group, rule, value, timestamp)
+        : this.addSliding(group, rule, value, timestamp);
+
+    if (current < rule.threshold) return null;
+
+    // Tumbling windows fire once per bucket, sliding windows honour a cooldown
+    if (rule.windowType === "tumbling") {
+      if (group.firedBucket === group.bucketStart) return null;
+      group.firedBucket = group.bucketStart;
+    } else {
+      if (
+        group.lastFiredAt !== null &&
+        timestamp - group.lastFiredAt < rule.cooldownMs
+      ) {
+        return null;
+      }
+      group.lastFiredAt = timestamp;
+    }
+
+    const windowStart =
+      rule.windowType === "tumbling" ? group.bucketStart : timestamp - rule.windowMs;
+
+    return {
+      groupBy: Object.fromEntries(
+        rule.groupBy.map((name, index) => [name, groupValues[index]])
+      ),
+      function: fn,
+      field: field || null,
+      value: current,
+      threshold: rule.threshold,
+      windowType: rule.windowType,
+      windowMs: rule.windowMs,
+      windowStart: new Date(windowStart),
+      windowEnd: new Date(timestamp),
+    };
+  }
+
+  getRuleState(ruleId) {
+    if (!this.state.has(ruleId)) {
+      this.state.set(ruleId, new Map());
+    }
+    return this.state.get(ruleId);
+  }
+
+  // Map insertion order doubles as an LRU: re-inserting marks a group as fresh
+  touchGroup(groups, groupKey, timestamp) {
+    let group = groups.get(groupKey);
+    if (group) {
+      groups.delete(groupKey);
+    } else {
+      group = {
+        buckets: [],
+        distinct: new Map(), // value -> when it was last seen
+        sum: 0,
+        count: 0,
+        bucketStart: null,
+        lastFiredAt: null,
+        firedBucket: null,
+      };
+    }
+    group.lastSeen = timestamp;
+    groups.set(groupKey, group);
+
+    while (groups.size > this.maxGroupsPerRule) {
+      groups.delete(groups.keys().next().value);
+      this.evictions++;
+    }
+
+    return group;
+  }
+
+  addSliding(group, rule, value, timestamp) {
+    const { function: fn } = rule.aggregate;
+    const cutoff = timestamp - rule.windowMs;
+
+    if (fn === "distinct_count") {
+      // Last-seen order: values at the front dropped out of the window first
+      for (const [seen, lastSeen] of group.distinct) {
+        if (lastSeen > cutoff) break;
+        group.distinct.delete(seen);
+      }
+      this.trackDistinct(group, value, timestamp);
+      return group.distinct.size;
+    }
+
+    // A bucket expires once its latest event has, so an expiring bucket can
+    // count events up to one bucket width past the window
+    const width = Math.max(1, Math.ceil(rule.windowMs / this.maxEventsPerGroup));
+    let bucket = group.buckets[group.buckets.length - 1];
+    if (!bucket || timestamp >= bucket.start + width) {
+      bucket = { start: timestamp - (timestamp % width), last: timestamp, count: 0, sum: 0 };
+      group.buckets.push(bucket);
+    }
+    bucket.last = Math.max(bucket.last, timestamp);
+    bucket.count++;
+    group.count++;
+    if (fn === "sum") {
+      bucket.sum += value;
+      group.sum += value;
+    }
+
+    while (group.buckets.length > 0 && group.buckets[0].last <= cutoff) {
+      const expired = group.buckets.shift();
+      group.count -= expired.count;
+      group.sum -= expired.sum;
+    }
+
+    return this.currentValue(group, fn);
+  }
+
+  addTumbling(group, rule, value, timestamp) {
+    const { function: fn } = rule.aggregate;
+    const bucketStart = timestamp - (timestamp % rule.windowMs);
+
+    if (group.bucketStart !== bucketStart) {
+      group.bucketStart = bucketStart;
+      group.count = 0;
+      group.distinct = new Map();
+      group.sum = 0;
+    }
+
+    // Tumbling buckets only keep the running aggregate, not each event
+    group.count++;
+    if (fn === "sum") {
+      group.sum += value;
+    } else if (fn === "distinct_count") {
+      this.trackDistinct(group, value, timestamp);
+    }
+    return this.currentValue(group, fn);
+  }
+
+  // Re-inserting keeps the map in last-seen order. New values beyond
+  // maxEventsPerGroup are not tracked, which is why rules cannot ask for more.
+  trackDistinct(group, value, timestamp) {
+    const known = group.distinct.delete(value);
+    if (known || group.distinct.size < this.maxEventsPerGroup) {
+      group.distinct.set(value, timestamp);
+    }
+  }
+
+  currentValue(group, fn) {
+    if (fn === "sum") return group.sum;
+    if (fn === "distinct_count") return group.distinct.size;
+    return group.count;
+  }
+
+  // Drop groups that have been idle for longer than their window
+  prune(now = Date.now()) {
+    this.state.forEach((groups, ruleId) => {
+      const windowMs = this.windows.get(ruleId) ?? 0;
+      groups.forEach((group, key) => {
+        if (now - group.lastSeen > windowMs) {
+          groups.delete(key);
+        }
+      });
+      if (groups.size === 0) this.state.delete(ruleId);
+    });
+  }
+
+  checkMemoryPressure() {
+    const { used_heap_size: used, heap_size_limit: limit } =
+      v8.getHeapStatistics();
+    if (used / limit < this.memoryPressureRatio) return;
+
+    let shed = 0;
+    this.state.forEach((groups) => {
+      const target = Math.floor(groups.size / 2);
+      while (groups.size > target) {
+        groups.delete(groups.keys().next().value);
+        shed++;
+      }
+    });
+    this.evictions += shed;
+    logger.warn(
+      `⚠️ Heap at ${Math.round((used / limit) * 100)}%: shed ${shed} aggregation groups`
+    );
+  }
+
+  registerRules(rules) {
+    // Keep idle groups around long enough to honour their cooldown
+    this.windows = new Map(
+      rules.map((rule) => [rule.id, Math.max(rule.windowMs, rule.cooldownMs)])
+    );
+
+    // Forget state for rules that no longer exist
+    this.state.forEach((groups, ruleId) => {
+      if (!this.windows.has(ruleId)) this.state.delete(ruleId);
+    });
+  }
+
+  getStats() {
+    return {
+      observations: this.observations,
+      evictions: this.evictions,
+      maxGroupsPerRule: this.maxGroupsPerRule,
+      maxEventsPerGroup: this.maxEventsPerGroup,
+      groups: Object.fromEntries(
+        Array.from(this.state.entries()).map(([ruleId, groups]) => [
+          ruleId,
+          groups.size,
+        ])
+      ),
+    };
+  }
+}
+
+module.exports = WindowedAggregator;
@@ -0,0 +1,607 @@
+const fs = require("fs");
+const path = require("path");
+const logger = require("../utils/logger");
+const systemSettings = require("./systemSettings");
+const systemHealth = require("./systemHealth");
+const siteCalendar = require("./siteCalendar");
+const IsolationForest = require("../ml/IsolationForest");
+const ModelRegistry = require("../ml/ModelRegistry");
+const DriftMonitor = require("../ml/DriftMonitor");
+const { evaluateBinary } = require("../ml/metrics");
+const NetworkFeatureExtractor = require("../ml/FeatureExtractor");
+const { FEATURE_NAMES } = require("../ml/FeatureExtractor");
+
+const DATA_DIR =
+  process.env.ML_DATA_DIR || path.join(__dirname, "..", "data", "ml");
+const LEGACY_MODEL_FILE = "anomaly-model.json"; // Pre-registry single model
+const HISTORY_FILE = "feature-history.jsonl";
+const LABELS_FILE = "labels.json";
+
+const MIN_TRAINING_SAMPLES = Number(process.env.ML_MIN_TRAINING_SAMPLES || 200);
+const MAX_TRAINING_SAMPLES = Number(
+  process.env.ML_MAX_TRAINING_SAMPLES || 20000
+);
+const MAX_MODEL_VERSIONS = Number(process.env.ML_REGISTRY_MAX_VERSIONS || 10);
+const ALGORITHM = "isolation_forest";
+// Share of training snapshots expected to be anomalous; sets the cut-off
+const CONTAMINATION = Number(process.env.ML_CONTAMINATION || 0.01);
+const FLUSH_EVERY = 50;
+// Confirmed false positives are normal traffic the model should learn
+const FALSE_POSITIVE_WEIGHT = 5;
+const ROBUST_Z_THRESHOLD = 3;
+const MAD_SCALE = 1.4826; // Makes MAD comparable to a standard deviation
+const DRIFT_WINDOW = Number(process.env.ML_DRIFT_WINDOW || 500);
+const DRIFT_EVALUATE_EVERY = Number(process.env.ML_DRIFT_EVALUATE_EVERY || 50);
+const COUNTER_KEYS = ["bytesReceived", "bytesSent", "packetsReceived", "packetsSent"];
+
+function quantile(values, q) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const position = (sorted.length - 1) * q;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
+
+// Per-feature median and MAD, used to explain which features look unusual
+function robustStats(vectors) {
+  return FEATURE_NAMES.map((_, index) => {
+    const column = vectors.map((vector) => vector[index]);
+    const median = quantile(column, 0.5);
+    const mad = quantile(
+      column.map((value) => Math.abs(value - median)),
+      0.5
+    );
+    return { median, mad };
+  });
+}
+
+function robustZScores(vector, stats) {
+  return stats.map(({ median, mad }, index) => {
+    const scale = Math.max(MAD_SCALE * mad, 0.01);
+    return (vector[index] - median) / scale;
+  });
+}
+
+const maxAbsZ = (zScores) => Math.max(...zScores.map(Math.abs));
+
+// Map raw isolation scores so the training cut-off lands on 0.5, the
+// default ML detection threshold
+function calibrate(score, threshold) {
+  if (score <= threshold) return (0.5 * score) / threshold;
+  return Math.min(0.5 + (0.5 * (score - threshold)) / (1 - threshold), 1);
+}
+
+// Same idea for unbounded z-scores: cut-off at 0.5, approaching 1 far out
+function calibrateZ(z, threshold) {
+  if (z <= threshold) return (0.5 * z) / threshold;
+  return 1 - (0.5 * threshold) / z;
+}
+
+// Unsupervised anomaly model over network snapshots. Feature vectors from
+// every snapshot are kept as training history. An isolation forest trained on
+// that history catches unusual feature combinations; a robust z-score catches
+// values beyond the training range, which the forest cannot isolate from the
+// most extreme training points.
+class AnomalyModelService {
+  constructor() {
+    this.extractor = new NetworkFeatureExtractor({ calendar: siteCalendar });
+    this.registry = new ModelRegistry(path.join(DATA_DIR, "registry"), {
+      maxVersions: MAX_MODEL_VERSIONS,
+    });
+    this.model = null; // Active model; only its version scores snapshots
+    this.driftMonitor = new DriftMonitor({
+      windowSize: DRIFT_WINDOW,
+      evaluateEvery: DRIFT_EVALUATE_EVERY,
+    });
+    this.dataQuality = { checked: 0, rejected: 0, issues: {}, lastIssue: null };
+    this.samples = []; // { t, v } in arrival order
+    this.labels = new Map(); // sample timestamp -> analyst verdict
+    this.pendingSamples = [];
+    this.previousSnapshot = null;
+    this.persistent = false;
+    this.training = false;
+  }
+
+  get legacyModelPath() {
+    return path.join(DATA_DIR, LEGACY_MODEL_FILE);
+  }
+
+  get historyPath() {
+    return path.join(DATA_DIR, HISTORY_FILE);
+  }
+
+  get labelsPath() {
+    return path.join(DATA_DIR, LABELS_FILE);
+  }
+
+  // Restore the trained model and feature history; enables writing to disk
+  async load() {
+    try {
+      await fs.promises.mkdir(DATA_DIR, { recursive: true });
+      await this.registry.load();
+      this.persistent = true;
+      await this.migrateLegacyModel();
+
+      const active = this.registry.getActive();
+      if (active) {
+        this.model = await this.restore(active.version);
+        this.driftMonitor.setBaseline(this.model.baseline, this.model.version);
+      }
+
+      if (fs.existsSync(this.historyPath)) {
+        const lines = (await fs.promises.readFile(this.historyPath, "utf8"))
+          .split("\n")
+          .filter(Boolean)
+          .slice(-MAX_TRAINING_SAMPLES);
+        this.samples = lines
+          .map((line) => {
+            try {
+              return JSON.parse(line);
+            } catch {
+              return null;
+            }
+          })
+          .filter((sample) => sample?.v?.length === FEATURE_NAMES.length);
+      }
+
+      if (fs.existsSync(this.labelsPath)) {
+        this.labels = new Map(
+          JSON.parse(await fs.promises.readFile(this.labelsPath, "utf8"))
+        );
+      }
+
+      logger.info(
+        `🤖 Anomaly model ${
+          this.model ? `${this.model.version} loaded` : "not trained yet"
+        } (${this.samples.length} training samples on disk)`
+      );
+    } catch (error) {
+      logger.error("Failed to load anomaly model:", error);
+    }
+  }
+
+  // Register a model saved before versioning existed as the active version
+  async migrateLegacyModel() {
+    if (!fs.existsSync(this.legacyModelPath)) return;
+
+    if (!this.registry.list().length) {
+      const saved = JSON.parse(
+        await fs.promises.readFile(this.legacyModelPath, "utf8")
+      );
+      const entry = await this.registry.register(saved, this.describe(saved));
+      await this.registry.promote(entry.version, null, "migrated");
+      logger.info(`🤖 Migrated legacy anomaly model to registry as ${entry.version}`);
+    }
+    await fs.promises.rm(this.legacyModelPath, { force: true });
+  }
+
+  async restore(version) {
+    const saved = await this.registry.loadArtifact(version);
+    if (saved.featureNames?.join() !== FEATURE_NAMES.join()) {
+      throw new Error(
+        `Model ${version} uses a different feature schema; retraining required`
+      );
+    }
+    return { ...saved, version, forest: IsolationForest.fromJSON(saved.forest) };
+  }
+
+  // Registry metadata for a model
+  describe(model, metrics = null) {
+    return {
+      algorithm: ALGORITHM,
+      trainedAt: model.trainedAt,
+      trainingWindow: model.trainingWindow,
+      sampleCount: model.sampleCount,
+      usedFeedback: model.usedFeedback,
+      featureNames: model.featureNames,
+      threshold: model.threshold,
+      zThreshold: model.zThreshold,
+      metrics,
+    };
+  }
+
+  // Extract features from a snapshot, keep them for training and score them
+  // when a model is available. Broken snapshots are reported as system
+  // health problems and neither scored nor kept for training.
+  observe(networkData) {
+    this.dataQuality.checked++;
+    const inputIssues = this.checkSnapshot(networkData);
+    if (inputIssues.length) {
+      this.rejectSnapshot(networkData, inputIssues);
+      return null;
+    }
+
+    const features = this.extractor.extractFeatures(
+      networkData,
+      this.previousSnapshot
+    );
+    const vector = this.extractor.toVector(features);
+    const invalid = FEATURE_NAMES.filter(
+      (_, index) => !Number.isFinite(vector[index])
+    );
+    if (invalid.length) {
+      this.rejectSnapshot(networkData, [
+        {
+          type: "INVALID_FEATURES",
+          message: `Non-numeric ML features: ${invalid.join(", ")}`,
+        },
+      ]);
+      return null;
+    }
+
+    // Rates are only computed between snapshots that passed the checks
+    this.previousSnapshot = networkData;
+    this.addSample(vector, networkData.timestamp);
+    this.checkDrift(vector);
+    return this.model ? this.score(vector, features.rawFeatures) : null;
+  }
+
+  // Collector failures and snapshots without usable interface counters
+  checkSnapshot(networkData) {
+    const issues = [];
+    if (networkData.error) {
+      issues.push({
+        type: "COLLECTOR_ERROR",
+        message: `Network collector failed: ${networkData.error}`,
+      });
+    }
+
+    const stats = networkData.networkStats;
+    if (!Array.isArray(stats) || !stats.length) {
+      issues.push({
+        type: "MISSING_NETWORK_STATS",
+        message: "Snapshot has no interface statistics",
+      });
+    } else if (
+      stats.every((stat) => COUNTER_KEYS.every((key) => !Number(stat[key])))
+    ) {
+      issues.push({
+        type: "ZERO_NETWORK_STATS",
+        message: "All interface traffic counters are zero",
+      });
+    }
+
+    if (!Array.isArray(networkData.connections)) {
+      issues.push({
+        type: "MISSING_CONNECTIONS",
+        message: "Snapshot has no connection list",
+      });
+    }
+    return issues;
+  }
+
+  rejectSnapshot(networkData, issues) {
+    this.dataQuality.rejected++;
+    issues.forEach((issue) => {
+      this.dataQuality.issues[issue.type] =
+        (this.dataQuality.issues[issue.type] || 0) + 1;
+      this.dataQuality.lastIssue = {
+        ...issue,
+        timestamp: new Date(networkData.timestamp ?? Date.now()),
+      };
+      systemHealth.report({
+        source: "ml",
+        type: issue.type,
+        severity: "warning",
+        message: `${issue.message}; snapshot not scored`,
+        details: { timestamp: networkData.timestamp ?? null },
+      });
+    });
+  }
+
+  // Compare recent inputs with the active model's training distribution
+  checkDrift(vector) {
+    const { driftPsiThreshold, driftKsThreshold } = systemSettings.get().ml;
+    const report = this.driftMonitor.observe(vector, {
+      psiThreshold: driftPsiThreshold,
+      ksThreshold: driftKsThreshold,
+    });
+    if (!report?.drifted.length) return;
+
+    const worst = report.features
+      .filter((feature) => feature.drifted)
+      .sort((a, b) => b.psi - a.psi)
+      .slice(0, 3)
+      .map((feature) => `${feature.feature} (PSI ${feature.psi}, KS ${feature.ks})`);
+    systemHealth.report({
+      source: "ml",
+      type: "FEATURE_DRIFT",
+      severity: report.drifted.length > FEATURE_NAMES.length / 3 ? "critical" : "warning",
+      message: `Feature drift against model ${report.modelVersion} on ${
+        report.drifted.length
+      } feature(s): ${worst.join(", ")}`,
+      details: { drifted: report.drifted, evaluatedAt: report.evaluatedAt },
+    });
+  }
+
+  getDriftStatus() {
+    const { driftPsiThreshold, driftKsThreshold } = systemSettings.get().ml;
+    return {
+      ...this.driftMonitor.getStatus(),
+      thresholds: { psi: driftPsiThreshold, ks: driftKsThreshold },
+      dataQuality: this.dataQuality,
+      healthEvents: systemHealth.getEvents({ source: "ml", limit: 20 }),
+    };
+  }
+
+  score(vector, rawFeatures = null, model = this.model) {
+    const { forest, threshold, zThreshold, stats } = model;
+    const rawScore = forest.score(vector);
+    const zScores = robustZScores(vector, stats);
+    const threatScore = Math.max(
+      calibrate(rawScore, threshold),
+      calibrateZ(maxAbsZ(zScores), zThreshold)
+    );
+
+    // Features far from the training median explain the score
+    const deviations = FEATURE_NAMES.map((name, index) => ({
+      name,
+      index,
+      z: zScores[index],
+    }))
+      .filter((deviation) => Math.abs(deviation.z) >= ROBUST_Z_THRESHOLD)
+      .sort((a, b) => Math.abs(b.z) - Math.abs(a.z))
+      .slice(0, 5);
+
+    const totalZ = deviations.reduce((sum, d) => sum + Math.abs(d.z), 0);
+    const contributions = deviations.length
+      ? deviations.map((deviation) => ({
+          factor: deviation.name,
+          label: `${deviation.name} ${
+            deviation.z > 0 ? "above" : "below"
+          } training median (z=${deviation.z.toFixed(1)})`,
+          value: rawFeatures ? rawFeatures[deviation.name] : vector[deviation.index],
+          points: (threatScore * Math.abs(deviation.z)) / totalZ,
+        }))
+      : [
+          {
+            factor: "isolationScore",
+            label: "Isolation forest score (no single feature stands out)",
+            value: rawScore,
+            points: threatScore,
+          },
+        ];
+
+    return {
+      threatScore,
+      rawScore,
+      maxZ: maxAbsZ(zScores),
+      contributions,
+      features: rawFeatures,
+      modelVersion: model.version,
+      trainedAt: model.trainedAt,
+    };
+  }
+
+  // Precision, recall and ROC-AUC on snapshots analysts have labelled;
+  // confirmed threats are positives, false positives negatives
+  evaluate(model) {
+    const examples = this.samples
+      .filter((sample) => this.labels.has(sample.t))
+      .map((sample) => ({
+        score: this.score(sample.v, null, model).threatScore,
+        label: this.labels.get(sample.t) === "TRUE_POSITIVE",
+      }));
+    return evaluateBinary(examples, systemSettings.get().ml.detectionThreshold);
+  }
+
+  addSample(vector, timestamp) {
+    const sample = { t: new Date(timestamp ?? Date.now()).getTime(), v: vector };
+    this.samples.push(sample);
+    if (this.samples.length > MAX_TRAINING_SAMPLES) {
+      this.samples.splice(0, this.samples.length - MAX_TRAINING_SAMPLES);
+    }
+
+    if (!this.persistent) return;
+    this.pendingSamples.push(sample);
+    if (this.pendingSamples.length >= FLUSH_EVERY) {
+      this.flushSamples();
+    }
+  }
+
+  async flushSamples() {
+    if (!this.pendingSamples.length) return;
+    const lines = this.pendingSamples.map((sample) => JSON.stringify(sample));
+    this.pendingSamples = [];
+    try {
+      await fs.promises.appendFile(this.historyPath, lines.join("\n") + "\n");
+    } catch (error) {
+      logger.error("Failed to write ML feature history:", error);
+    }
+  }
+
+  // Analyst verdict on a snapshot-level detection; the snapshot's feature
+  // sample shares the detection timestamp
+  async labelSample(timestamp, verdict) {
+    this.labels.set(new Date(timestamp).getTime(), verdict);
+    if (!this.persistent) return;
+    try {
+      await fs.promises.writeFile(
+        this.labelsPath,
+        JSON.stringify([...this.labels])
+      );
+    } catch (error) {
+      logger.error("Failed to write ML feedback labels:", error);
+    }
+  }
+
+  // Training set with analyst feedback applied
+  getTrainingVectors(useFeedback) {
+    if (!useFeedback) return this.samples.map((sample) => sample.v);
+
+    const vectors = [];
+    this.samples.forEach((sample) => {
+      const verdict = this.labels.get(sample.t);
+      if (verdict === "TRUE_POSITIVE") return;
+      const copies = verdict === "FALSE_POSITIVE" ? FALSE_POSITIVE_WEIGHT : 1;
+      for (let i = 0; i < copies; i++) vectors.push(sample.v);
+    });
+    return vectors;
+  }
+
+  async train() {
+    if (this.training) return null;
+    if (this.samples.length < MIN_TRAINING_SAMPLES) {
+      logger.warn(
+        `⚠️ Not enough samples to train anomaly model (${this.samples.length}/${MIN_TRAINING_SAMPLES})`
+      );
+      return null;
+    }
+
+    this.training = true;
+    let candidate;
+    let promoted = false;
+    try {
+      const startTime = Date.now();
+      const { useFeedback, autoPromote } = systemSettings.get().ml;
+      const vectors = this.getTrainingVectors(useFeedback);
+      const forest = new IsolationForest().fit(vectors);
+      const threshold = quantile(
+        vectors.map((vector) => forest.score(vector)),
+        1 - CONTAMINATION
+      );
+      const stats = robustStats(vectors);
+      const baseline = DriftMonitor.buildBaseline(vectors, FEATURE_NAMES);
+      const zThreshold = Math.max(
+        quantile(
+          vectors.map((vector) => maxAbsZ(robustZScores(vector, stats))),
+          1 - CONTAMINATION
+        ),
+        ROBUST_Z_THRESHOLD
+      );
+
+      const model = {
+        forest,
+        threshold,
+        zThreshold,
+        stats,
+        baseline,
+        featureNames: FEATURE_NAMES,
+        sampleCount: vectors.length,
+        usedFeedback: useFeedback,
+        trainingWindow: {
+          from: new Date(this.samples[0].t),
+          to: new Date(this.samples[this.samples.length - 1].t),
+        },
+        trainedAt: new Date(),
+      };
+      const metrics = this.evaluate(model);
+
+      // Labels for samples that aged out of the history are no longer needed
+      const oldest = this.samples[0].t;
+      this.labels.forEach((_, timestamp) => {
+        if (timestamp < oldest) this.labels.delete(timestamp);
+      });
+
+      if (this.persistent) {
+        await this.flushSamples();
+        await fs.promises.writeFile(
+          this.labelsPath,
+          JSON.stringify([...this.labels])
+        );
+        // Trim history on disk to the window kept in memory
+        await fs.promises.writeFile(
+          this.historyPath,
+          this.samples.map((sample) => JSON.stringify(sample)).join("\n") + "\n"
+        );
+        candidate = await this.registry.register(
+          model,
+          this.describe(model, metrics)
+        );
+        model.version = candidate.version;
+      } else {
+        model.version = "unsaved";
+        candidate = { version: model.version, ...this.describe(model, metrics) };
+      }
+
+      logger.info(
+        `🤖 Anomaly model ${model.version} trained on ${
+          vectors.length
+        } samples in ${Date.now() - startTime}ms (cut-off ${threshold.toFixed(
+          3
+        )}, z ${zThreshold.toFixed(1)}, ROC-AUC ${metrics.rocAuc ?? "n/a"})`
+      );
+
+      // The first model always goes live; later ones wait for an admin
+      // unless auto-promotion is enabled
+      if (!this.model || autoPromote || !this.persistent) {
+        await this.activate(model, null, autoPromote ? "auto-promote" : "initial");
+        promoted = true;
+      }
+    } catch (error) {
+      logger.error("Anomaly model training failed:", error);
+      throw error;
+    } finally {
+      this.training = false;
+    }
+
+    return {
+      ...this.getStatus(),
+      candidate,
+      promoted,
+      activeMetrics:
+        this.model && !promoted ? this.evaluate(this.model) : candidate.metrics,
+    };
+  }
+
+  async activate(model, promotedBy, reason) {
+    if (this.persistent) {
+      await this.registry.promote(model.version, promotedBy, reason);
+    }
+    this.model = model;
+    this.driftMonitor.setBaseline(model.baseline, model.version);
+    logger.info(
+      `🤖 Anomaly model ${model.version} is now active (${reason}${
+        promotedBy ? ` by ${promotedBy}` : ""
+      })`
+    );
+  }
+
+  async promote(version, user) {
+    const model = await this.restore(version);
+    await this.activate(model, user?.username || null, "promote");
+    return this.registry.get(version);
+  }
+
+  async rollback(user) {
+    const previous = this.registry.getRollbackTarget();
+    if (!previous) return null;
+
+    const model = await this.restore(previous.version);
+    await this.activate(model, user?.username || null, "rollback");
+    return this.registry.get(previous.version);
+  }
+
+  listModels() {
+    return {
+      activeVersion: this.model?.version || null,
+      versions: this.registry.list(),
+      history: this.registry.getHistory(),
+    };
+  }
+
+  getStatus() {
+    return {
+      trained: Boolean(this.model),
+      training: this.training,
+      algorithm: ALGORITHM,
+      featureNames: FEATURE_NAMES,
+      sampleCount: this.samples.length,
+      labelledSamples: this.labels.size,
+      minTrainingSamples: MIN_TRAINING_SAMPLES,
+      model: this.model
+        ? {
+            version: this.model.version,
+            trainedAt: this.model.trainedAt,
+            sampleCount: this.model.sampleCount,
+            trainingWindow: this.model.trainingWindow,
+            threshold: this.model.threshold,
+            zThreshold: this.model.zThreshold,
+            trees: this.model.forest.treeCount,
+          }
+        : null,
+    };
+  }
+}
+
+module.exports = new AnomalyModelService();
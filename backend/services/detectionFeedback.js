@@ -0,0 +1,255 @@
+const ThreatData = require("../models/ThreatData");
+const DetectionFeedback = require("../models/DetectionFeedback");
+const { VERDICTS } = require("../models/DetectionFeedback");
+const anomalyModel = require("./anomalyModel");
+const logger = require("../utils/logger");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SUGGESTION_MIN_FALSE_POSITIVES = Number(
+  process.env.FEEDBACK_SUGGESTION_MIN_FP || 3
+);
+// Entities a suppression can be scoped to
+const SUGGESTION_FIELDS = ["sourceIP", "destinationIP"];
+const IGNORED_VALUES = new Set(["Unknown", "0.0.0.0", ""]);
+
+// Rule id when a rule fired, otherwise the engine that detected the threat
+const getDetectors = (threat) => [
+  ...new Set(
+    (threat.detectionMethods || [])
+      .map((method) => method.ruleId || method.method)
+      .filter(Boolean)
+  ),
+];
+
+const ratio = (part, total) =>
+  total > 0 ? Math.round((part / total) * 1000) / 1000 : null;
+
+// Analyst verdicts on detections: per-detector precision, suppression
+// suggestions for recurring false positives and labels for ML retraining
+class DetectionFeedbackService {
+  normalizeVerdict(value) {
+    const verdict = String(value || "")
+      .trim()
+      .toUpperCase()
+      .replace(/[\s-]+/g, "_");
+    return VERDICTS.includes(verdict) ? verdict : null;
+  }
+
+  async recordVerdict(threatId, verdict, user, notes) {
+    const isFalsePositive = verdict === "FALSE_POSITIVE";
+    const threat = await ThreatData.findByIdAndUpdate(
+      threatId,
+      {
+        verdict,
+        verdictAt: new Date(),
+        falsePositive: isFalsePositive,
+        analystNotes:
+          notes ||
+          (isFalsePositive
+            ? "Marked as false positive by security analyst"
+            : "Confirmed as a true positive by security analyst"),
+      },
+      { new: true }
+    );
+    if (!threat) return null;
+
+    const realTime = threat.detectionMethods.some(
+      (method) => method.method === "REAL_TIME_NETWORK_ANALYSIS"
+    );
+    const feedback = await DetectionFeedback.findOneAndUpdate(
+      { threat: threat._id },
+      {
+        verdict,
+        notes,
+        analyst: user?._id,
+        analystUsername: user?.username,
+        threatTimestamp: threat.timestamp,
+        threatCategory: threat.threatCategory,
+        threatLevel: threat.threatLevel,
+        threatScore: threat.threatScore,
+        sourceIP: threat.sourceIP,
+        destinationIP: threat.destinationIP,
+        protocol: threat.protocol,
+        detectors: getDetectors(threat),
+        realTime,
+      },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+
+    // Labels evaluate every model; settings decide if training uses them
+    if (realTime) {
+      await anomalyModel.labelSample(threat.timestamp, verdict);
+    }
+
+    logger.info(
+      `📝 Threat ${threat._id} marked ${verdict} by ${
+        user?.username || "unknown analyst"
+      }`
+    );
+    return { threat, feedback };
+  }
+
+  // False-positive rate and precision per detector, overall and per period
+  async getStats({ days = 30, bucket = "day" } = {}) {
+    const since = new Date(Date.now() - days * DAY_MS);
+    const format = bucket === "week" ? "%G-W%V" : "%Y-%m-%d";
+
+    const [verdicts, detections] = await Promise.all([
+      DetectionFeedback.aggregate([
+        { $match: { threatTimestamp: { $gte: since } } },
+        { $unwind: "$detectors" },
+        {
+          $group: {
+            _id: {
+              detector: "$detectors",
+              period: { $dateToString: { format, date: "$threatTimestamp" } },
+            },
+            truePositives: {
+              $sum: { $cond: [{ $eq: ["$verdict", "TRUE_POSITIVE"] }, 1, 0] },
+            },
+            falsePositives: {
+              $sum: { $cond: [{ $eq: ["$verdict", "FALSE_POSITIVE"] }, 1, 0] },
+            },
+          },
+        },
+        { $sort: { "_id.period": 1 } },
+      ]),
+      // Every detection, reviewed or not, to show review coverage
+      ThreatData.aggregate([
+        { $match: { timestamp: { $gte: since } } },
+        { $unwind: "$detectionMethods" },
+        {
+          $group: {
+            _id: {
+              threat: "$_id",
+              detector: {
+                $ifNull: [
+                  "$detectionMethods.ruleId",
+                  "$detectionMethods.method",
+                ],
+              },
+            },
+          },
+        },
+        { $group: { _id: "$_id.detector", detections: { $sum: 1 } } },
+      ]),
+    ]);
+
+    const detectors = new Map();
+    const getDetector = (detector) => {
+      if (!detectors.has(detector)) {
+        detectors.set(detector, {
+          detector,
+          detections: 0,
+          truePositives: 0,
+          falsePositives: 0,
+          timeline: [],
+        });
+      }
+      return detectors.get(detector);
+    };
+
+    detections.forEach(({ _id, detections: count }) => {
+      if (_id) getDetector(_id).detections = count;
+    });
+    verdicts.forEach(({ _id, truePositives, falsePositives }) => {
+      const entry = getDetector(_id.detector);
+      entry.truePositives += truePositives;
+      entry.falsePositives += falsePositives;
+      entry.timeline.push({
+        period: _id.period,
+        truePositives,
+        falsePositives,
+        falsePositiveRate: ratio(falsePositives, truePositives + falsePositives),
+      });
+    });
+
+    const results = [...detectors.values()]
+      .map((entry) => {
+        const reviewed = entry.truePositives + entry.falsePositives;
+        return {
+          ...entry,
+          reviewed,
+          reviewCoverage: ratio(reviewed, entry.detections),
+          precision: ratio(entry.truePositives, reviewed),
+          falsePositiveRate: ratio(entry.falsePositives, reviewed),
+        };
+      })
+      .sort((a, b) => b.falsePositives - a.falsePositives);
+
+    return { since, bucket, detectors: results };
+  }
+
+  // Recurring false positives from one entity on one detector, with no
+  // confirmed threat from that entity, are candidates for suppression
+  async getSuppressionSuggestions({
+    days = 30,
+    minFalsePositives = SUGGESTION_MIN_FALSE_POSITIVES,
+  } = {}) {
+    const since = new Date(Date.now() - days * DAY_MS);
+    const feedback = await DetectionFeedback.find({ createdAt: { $gte: since } })
+      .select("threat verdict detectors sourceIP destinationIP createdAt")
+      .lean();
+
+    const candidates = new Map();
+    feedback.forEach((entry) => {
+      entry.detectors.forEach((detector) => {
+        SUGGESTION_FIELDS.forEach((field) => {
+          const value = entry[field];
+          if (!value || IGNORED_VALUES.has(value)) return;
+
+          const key = `${detector}|${field}|${value}`;
+          if (!candidates.has(key)) {
+            candidates.set(key, {
+              detector,
+              field,
+              value,
+              falsePositives: 0,
+              truePositives: 0,
+              lastSeen: null,
+              exampleThreats: [],
+            });
+          }
+          const candidate = candidates.get(key);
+          if (entry.verdict === "TRUE_POSITIVE") {
+            candidate.truePositives++;
+            return;
+          }
+          candidate.falsePositives++;
+          if (!candidate.lastSeen || entry.createdAt > candidate.lastSeen) {
+            candidate.lastSeen = entry.createdAt;
+          }
+          if (candidate.exampleThreats.length < 5) {
+            candidate.exampleThreats.push(entry.threat);
+          }
+        });
+      });
+    });
+
+    return [...candidates.values()]
+      .filter(
+        (candidate) =>
+          candidate.falsePositives >= minFalsePositives &&
+          candidate.truePositives === 0
+      )
+      .sort((a, b) => b.falsePositives - a.falsePositives)
+      .map((candidate) => ({
+        ...candidate,
+        // Ready to POST to /api/suppressions once an owner is added; the
+        // detector goes in ruleId so other detectors still see the entity
+        suppression: {
+          match: {
+            ruleId: candidate.detector,
+            [candidate.field]: candidate.value,
+          },
+          reason: `${candidate.falsePositives} false positives from ${candidate.field} ${candidate.value} on ${candidate.detector}`,
+        },
+      }));
+  }
+
+  async getRecent(limit = 50) {
+    return DetectionFeedback.find().sort({ createdAt: -1 }).limit(limit).lean();
+  }
+}
+
+module.exports = new DetectionFeedbackService();
@@ -0,0 +1,446 @@
+const fs = require("fs");
+const path = require("path");
+const logger = require("../utils/logger");
+const systemSettings = require("./systemSettings");
+const siteCalendar = require("./siteCalendar");
+const { isPrivateIP } = require("../utils/ipUtils");
+
+const DATA_DIR =
+  process.env.BASELINE_DATA_DIR ||
+  path.join(__dirname, "..", "data", "baselines");
+const BASELINE_FILE = "entity-baselines.json";
+
+// Weight of the newest observation in the moving averages
+const ALPHA = Number(process.env.BASELINE_ALPHA || 0.05);
+const MAX_ENTITIES = Number(process.env.BASELINE_MAX_ENTITIES || 5000);
+const MAX_PORTS = 200;
+const MAX_PEERS = 500;
+// Hour-of-day statistics replace the overall ones once they have this many
+const SEASONAL_MIN_OBSERVATIONS = 10;
+// Hours seen less than this fraction as often as an average hour are rare
+const RARE_SLOT_RATIO = 0.2;
+const WEEK_MS = 7 * 24 * 3600000;
+const DAY_NAMES = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+const POINTS = { metric: 0.2, newPort: 0.1, newPeer: 0.1, rareHour: 0.3 };
+
+// Exponentially weighted mean and variance
+function updateEwma(stats, value) {
+  if (!stats.n) {
+    return { mean: value, variance: 0, n: 1 };
+  }
+  const diff = value - stats.mean;
+  const increment = ALPHA * diff;
+  return {
+    mean: stats.mean + increment,
+    variance: (1 - ALPHA) * (stats.variance + diff * increment),
+    n: stats.n + 1,
+  };
+}
+
+// Standard deviation with a floor so near-constant metrics do not turn
+// every small change into a large deviation
+const spread = ({ mean, variance }) =>
+  Math.max(Math.sqrt(variance), Math.abs(mean) * 0.1, 1);
+
+// Count a value in a bounded set, forgetting the least recently seen
+function touch(set, value, time, limit) {
+  const entry = set[value] || { count: 0, firstSeen: time };
+  entry.count++;
+  entry.lastSeen = time;
+  set[value] = entry;
+
+  const keys = Object.keys(set);
+  if (keys.length > limit) {
+    const oldest = keys.reduce((a, b) =>
+      set[a].lastSeen <= set[b].lastSeen ? a : b
+    );
+    delete set[oldest];
+  }
+}
+
+const isExternal = (ip) => Boolean(ip) && !isPrivateIP(ip);
+
+// Hour-of-week slot in the site's local time; holidays are profiled as
+// Sundays
+const profileSlot = (local) =>
+  (local.holiday ? 0 : local.dayOfWeek) * 24 + local.hour;
+
+// Learned behaviour per host and per service: moving averages of numeric
+// metrics (overall and by local hour of day), an hour-of-week activity
+// profile, ports and peers. Entities are only scored after a warm-up period.
+class EntityBaselineService {
+  constructor() {
+    this.entities = new Map(); // "host:10.0.0.5" -> baseline
+    this.persistent = false;
+    this.dirty = false;
+  }
+
+  get filePath() {
+    return path.join(DATA_DIR, BASELINE_FILE);
+  }
+
+  async load() {
+    try {
+      await fs.promises.mkdir(DATA_DIR, { recursive: true });
+      this.persistent = true;
+      if (fs.existsSync(this.filePath)) {
+        const saved = JSON.parse(await fs.promises.readFile(this.filePath, "utf8"));
+        this.entities = new Map(
+          saved.map((entity) => [entity.key, this.migrate(entity)])
+        );
+      }
+      logger.info(`📊 Loaded ${this.entities.size} entity baselines`);
+    } catch (error) {
+      logger.error("Failed to load entity baselines:", error);
+    }
+  }
+
+  // Hour-of-day activity counts were in server time; restart the profile
+  migrate(entity) {
+    if (!entity.activeHoursOfWeek) {
+      entity.address = entity.type === "host" ? entity.key.slice(5) : null;
+      entity.activeHoursOfWeek = new Array(168).fill(0);
+      entity.profileSince = entity.lastSeen;
+      delete entity.activeHours;
+    }
+    return entity;
+  }
+
+  async save() {
+    if (!this.persistent || !this.dirty) return;
+    this.dirty = false;
+    try {
+      const temporary = `${this.filePath}.tmp`;
+      await fs.promises.writeFile(
+        temporary,
+        JSON.stringify([...this.entities.values()])
+      );
+      await fs.promises.rename(temporary, this.filePath);
+    } catch (error) {
+      logger.error("Failed to save entity baselines:", error);
+    }
+  }
+
+  // Entity observations for a single event: the source host
+  eventObservations(threatData) {
+    if (!threatData.sourceIP) return [];
+    const features = threatData.features || {};
+    return [
+      {
+        key: `host:${threatData.sourceIP}`,
+        type: "host",
+        address: threatData.sourceIP,
+        metrics: {
+          packetSize: threatData.packetSize,
+          dataTransferRate: features.dataTransferRate,
+          requestFrequency: features.requestFrequency,
+          connectionDuration: features.connectionDuration,
+        },
+        ports: [features.portNumber],
+        peers: [threatData.destinationIP],
+      },
+    ];
+  }
+
+  // Entity observations for a network snapshot: each local address and each
+  // process with open connections
+  snapshotObservations(networkData) {
+    const groups = new Map();
+    const add = (key, type, address, connection) => {
+      if (!groups.has(key)) {
+        groups.set(key, { key, type, address, connections: [] });
+      }
+      groups.get(key).connections.push(connection);
+    };
+
+    (networkData.connections || []).forEach((connection) => {
+      if (!connection.remoteIP) return;
+      if (connection.localIP) {
+        add(`host:${connection.localIP}`, "host", connection.localIP, connection);
+      }
+      if (connection.process && connection.process !== "Unknown") {
+        add(`service:${connection.process}`, "service", null, connection);
+      }
+    });
+
+    return [...groups.values()].map(({ key, type, address, connections }) => ({
+      key,
+      type,
+      address,
+      metrics: {
+        connections: connections.length,
+        externalConnections: connections.filter((c) => isExternal(c.remoteIP))
+          .length,
+        distinctPeers: new Set(connections.map((c) => c.remoteIP)).size,
+      },
+      ports: connections.map((c) => c.remotePort),
+      peers: connections.map((c) => c.remoteIP),
+    }));
+  }
+
+  learn(observations, time) {
+    const timestamp = new Date(time).getTime();
+
+    observations.forEach(({ key, type, address, metrics, ports, peers }) => {
+      const entity = this.entities.get(key) || {
+        key,
+        type,
+        address,
+        firstSeen: timestamp,
+        profileSince: timestamp,
+        observations: 0,
+        metrics: {},
+        hourlyMetrics: {},
+        activeHoursOfWeek: new Array(168).fill(0),
+        ports: {},
+        peers: {},
+      };
+      const local = siteCalendar.localTime(time, address);
+      const hour = local.hour;
+
+      entity.observations++;
+      entity.lastSeen = timestamp;
+      entity.site = local.site;
+      entity.activeHoursOfWeek[profileSlot(local)]++;
+
+      this.updateMetrics(entity, metrics, hour);
+      ports
+        .filter((port) => port !== undefined && port !== null)
+        .forEach((port) => touch(entity.ports, port, timestamp, MAX_PORTS));
+      peers
+        .filter(Boolean)
+        .forEach((peer) => touch(entity.peers, peer, timestamp, MAX_PEERS));
+
+      this.entities.delete(key); // Re-insert to keep Map order by recency
+      this.entities.set(key, entity);
+    });
+
+    while (this.entities.size > MAX_ENTITIES) {
+      this.entities.delete(this.entities.keys().next().value);
+    }
+    this.dirty = true;
+  }
+
+  updateMetrics(entity, metrics, hour) {
+    Object.entries(metrics).forEach(([name, value]) => {
+      if (!Number.isFinite(value)) return;
+      entity.metrics[name] = updateEwma(entity.metrics[name] || {}, value);
+      const hourly = entity.hourlyMetrics[name] || new Array(24).fill(null);
+      hourly[hour] = updateEwma(hourly[hour] || {}, value);
+      entity.hourlyMetrics[name] = hourly;
+    });
+  }
+
+  // Metrics measured over longer windows than a snapshot, such as outbound
+  // volume; only updates the averages of an entity that is already known
+  learnMetrics(key, metrics, time) {
+    const entity = this.entities.get(key);
+    if (!entity) return;
+    const { hour } = siteCalendar.localTime(time, entity.address);
+    this.updateMetrics(entity, metrics, hour);
+    this.dirty = true;
+  }
+
+  // How far a metric value sits above the entity's baseline, against the
+  // local hour's statistics once they have enough data; null for unknown or
+  // warming-up entities and metrics never measured
+  deviation(key, name, value, time) {
+    const entity = this.entities.get(key);
+    if (!entity || !entity.metrics[name] || this.isWarmingUp(entity, time)) {
+      return null;
+    }
+    const hour = siteCalendar.localTime(time, entity.address).hour;
+    const hourly = entity.hourlyMetrics[name]?.[hour];
+    const seasonal = hourly?.n >= SEASONAL_MIN_OBSERVATIONS;
+    const stats = seasonal ? hourly : entity.metrics[name];
+    return {
+      z: (value - stats.mean) / spread(stats),
+      mean: stats.mean,
+      hour: seasonal ? hour : null,
+    };
+  }
+
+  // Whether a warmed-up entity has never been seen talking to this peer;
+  // null when there is no usable baseline
+  isNewPeer(key, peer, time) {
+    const entity = this.entities.get(key);
+    if (!entity || this.isWarmingUp(entity, time)) return null;
+    return !entity.peers[peer];
+  }
+
+  isWarmingUp(entity, time) {
+    const { baselineWarmupHours, baselineMinObservations } =
+      systemSettings.get().behavioral;
+    return (
+      entity.observations < baselineMinObservations ||
+      new Date(time).getTime() - entity.firstSeen <
+        baselineWarmupHours * 3600000
+    );
+  }
+
+  // How unusual activity at this local time is for the entity, from 0
+  // (common) to 1 (never seen); null while the profile is too small. Slots
+  // are hours of the week once a week of history exists, hours of the day
+  // before that.
+  activityRarity(entity, local) {
+    const { baselineMinObservations } = systemSettings.get().behavioral;
+    const profile = entity.activeHoursOfWeek;
+    const total = profile.reduce((sum, count) => sum + count, 0);
+    if (total < baselineMinObservations) return null;
+
+    const weekly = entity.lastSeen - entity.profileSince >= WEEK_MS;
+    const counts = weekly
+      ? profile
+      : Array.from({ length: 24 }, (_, hour) =>
+          DAY_NAMES.reduce((sum, _day, day) => sum + profile[day * 24 + hour], 0)
+        );
+    const slot = weekly ? profileSlot(local) : local.hour;
+
+    // Neighbouring hours count half so a shift by an hour is not rare
+    const n = counts.length;
+    const smoothed =
+      (counts[(slot + n - 1) % n] / 2 +
+        counts[slot] +
+        counts[(slot + 1) % n] / 2) /
+      2;
+    const ratio = smoothed / (total / n);
+    return {
+      rarity: ratio >= RARE_SLOT_RATIO ? 0 : 1 - ratio / RARE_SLOT_RATIO,
+      weekly,
+    };
+  }
+
+  // Rarity of activity by a known, warmed-up entity at this time; null when
+  // there is no usable profile
+  offHoursRarity(key, time) {
+    const entity = this.entities.get(key);
+    if (!entity || this.isWarmingUp(entity, time)) return null;
+    const activity = this.activityRarity(
+      entity,
+      siteCalendar.localTime(time, entity.address)
+    );
+    return activity ? activity.rarity : null;
+  }
+
+  // Deviations of one observation from its entity's baseline, as score
+  // contributions; empty for unknown or warming-up entities
+  score({ key, metrics, ports, peers }, time) {
+    const entity = this.entities.get(key);
+    if (!entity || this.isWarmingUp(entity, time)) return [];
+
+    const { baselineDeviation } = systemSettings.get().behavioral;
+    const local = siteCalendar.localTime(time, entity.address);
+    const hour = local.hour;
+    const contributions = [];
+
+    Object.entries(metrics).forEach(([name, value]) => {
+      if (!Number.isFinite(value)) return;
+      const deviation = this.deviation(key, name, value, time);
+      if (deviation?.z >= baselineDeviation) {
+        contributions.push({
+          factor: `baseline.${name}`,
+          label: `${name} ${deviation.z.toFixed(1)}σ above ${key} baseline${
+            deviation.hour !== null ? ` for ${hour}:00` : ""
+          } (mean ${Math.round(deviation.mean * 10) / 10})`,
+          value,
+          points: POINTS.metric,
+        });
+      }
+    });
+
+    const newPorts = [
+      ...new Set(ports.filter((port) => port != null && !entity.ports[port])),
+    ];
+    if (newPorts.length) {
+      contributions.push({
+        factor: "baseline.newPort",
+        label: `First use of port ${newPorts.slice(0, 5).join(", ")} by ${key}`,
+        value: newPorts,
+        points: POINTS.newPort,
+      });
+    }
+
+    const newPeers = [
+      ...new Set(peers.filter((peer) => peer && !entity.peers[peer])),
+    ];
+    if (newPeers.length) {
+      contributions.push({
+        factor: "baseline.newPeer",
+        label: `First contact between ${key} and ${newPeers
+          .slice(0, 5)
+          .join(", ")}`,
+        value: newPeers,
+        points: POINTS.newPeer,
+      });
+    }
+
+    const activity = this.activityRarity(entity, local);
+    if (activity?.rarity > 0) {
+      const day = local.holiday ? "holidays" : DAY_NAMES[local.dayOfWeek];
+      const when = activity.weekly ? `on ${day} at ${hour}:00` : `at ${hour}:00`;
+      contributions.push({
+        factor: "baseline.activeHours",
+        label: `${key} is rarely active ${when} (${local.site} site time)`,
+        value: activity.rarity,
+        points: POINTS.rareHour * activity.rarity,
+      });
+    }
+
+    return contributions;
+  }
+
+  // Summary for the API: moving averages as mean and standard deviation,
+  // most used ports and peers, activity by hour
+  describe(entity, time = Date.now()) {
+    const top = (set, limit) =>
+      Object.entries(set)
+        .sort(([, a], [, b]) => b.count - a.count)
+        .slice(0, limit)
+        .map(([value, entry]) => ({ value, ...entry }));
+
+    return {
+      key: entity.key,
+      type: entity.type,
+      site: entity.site,
+      firstSeen: new Date(entity.firstSeen),
+      lastSeen: new Date(entity.lastSeen),
+      observations: entity.observations,
+      warmingUp: this.isWarmingUp(entity, time),
+      metrics: Object.fromEntries(
+        Object.entries(entity.metrics).map(([name, stats]) => [
+          name,
+          { mean: stats.mean, stdDev: Math.sqrt(stats.variance), n: stats.n },
+        ])
+      ),
+      // Index is day of week (0 = Sunday) * 24 + local hour
+      activeHoursOfWeek: entity.activeHoursOfWeek,
+      topPorts: top(entity.ports, 20),
+      topPeers: top(entity.peers, 20),
+      portCount: Object.keys(entity.ports).length,
+      peerCount: Object.keys(entity.peers).length,
+    };
+  }
+
+  get(key) {
+    const entity = this.entities.get(key);
+    return entity ? this.describe(entity) : null;
+  }
+
+  list({ type, search, limit = 100 } = {}) {
+    return [...this.entities.values()]
+      .filter((entity) => !type || entity.type === type)
+      .filter((entity) => !search || entity.key.includes(search))
+      .sort((a, b) => b.lastSeen - a.lastSeen)
+      .slice(0, limit)
+      .map((entity) => ({
+        key: entity.key,
+        type: entity.type,
+        observations: entity.observations,
+        lastSeen: new Date(entity.lastSeen),
+        warmingUp: this.isWarmingUp(entity, Date.now()),
+      }));
+  }
+}
+
+module.exports = new EntityBaselineService();
@@ -0,0 +1,308 @@
+const fs = require("fs");
+const path = require("path");
+const { isDatabaseConnected } = require("../utils/database");
+const schedule = require("node-schedule");
+const Feed = require("../models/Feed");
+const threatIntel = require("./threatIntel");
+const feedParsers = require("./feedParsers");
+const logger = require("../utils/logger");
+
+const EDITABLE_FIELDS = [
+  "location",
+  "format",
+  "parserOptions",
+  "refreshCron",
+  "type",
+  "confidence",
+  "threatCategory",
+  "ttlDays",
+  "enabled",
+];
+// Relative feed locations are read from here
+const FEED_DIR = path.join(__dirname, "..", "data", "intel");
+const FETCH_TIMEOUT_MS = 60000;
+
+class FeedValidationError extends Error {
+  constructor(details) {
+    super("Invalid feed");
+    this.name = "FeedValidationError";
+    this.details = details;
+  }
+}
+
+const pick = (fields) =>
+  Object.fromEntries(
+    EDITABLE_FIELDS.filter((field) => field in fields).map((field) => [
+      field,
+      fields[field],
+    ])
+  );
+
+// node-schedule hands back no job for an expression it cannot parse
+function isValidCron(expression) {
+  const job = expression ? schedule.scheduleJob(expression, () => {}) : null;
+  if (!job) return false;
+  job.cancel();
+  return true;
+}
+
+const sourceOf = (feed) => `feed:${feed.name}`;
+
+// Blocklists and intel exports (plain text, CSV, MISP JSON) pulled from a URL
+// or file on each feed's own schedule. A refresh replaces everything the feed
+// listed before, so values dropped upstream leave the IOC store too.
+class FeedManager {
+  constructor() {
+    this.feeds = new Map(); // id -> feed
+    this.refreshing = new Map(); // id -> running refresh
+    this.scheduler = null;
+  }
+
+  // Load feed definitions and schedule their refreshes
+  async start(scheduler) {
+    this.scheduler = scheduler;
+    await this.load();
+    this.feeds.forEach((feed) => this.schedule(feed));
+  }
+
+  async load() {
+    try {
+      if (isDatabaseConnected()) {
+        const feeds = await Feed.find().lean();
+        this.feeds = new Map(feeds.map((feed) => [String(feed._id), feed]));
+      }
+      logger.info(`📡 Loaded ${this.feeds.size} threat intelligence feeds`);
+    } catch (error) {
+      logger.error("Failed to load threat intelligence feeds:", error);
+    }
+  }
+
+  schedule(feed) {
+    if (!this.scheduler) return;
+    const name = sourceOf(feed);
+    this.scheduler.cancelJob(name);
+    if (feed.enabled) {
+      this.scheduler.scheduleJob(name, feed.refreshCron, () =>
+        this.refresh(feed._id)
+      );
+    }
+  }
+
+  describe(feed, counts = threatIntel.stats().bySource) {
+    const source = sourceOf(feed);
+    return { ...feed, source, indicatorCount: counts[source] || 0 };
+  }
+
+  list() {
+    const counts = threatIntel.stats().bySource;
+    return [...this.feeds.values()]
+      .map((feed) => this.describe(feed, counts))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  get(id) {
+    const feed = this.feeds.get(String(id));
+    return feed ? this.describe(feed) : null;
+  }
+
+  async validate(fields, id) {
+    const document = new Feed(fields);
+    const details = {};
+    try {
+      await document.validate();
+    } catch (error) {
+      if (!error.errors) throw error;
+      Object.entries(error.errors).forEach(([field, detail]) => {
+        details[field] = detail.message;
+      });
+    }
+    if (document.refreshCron && !isValidCron(document.refreshCron)) {
+      details.refreshCron = `${document.refreshCron} is not a valid cron expression`;
+    }
+    if (
+      [...this.feeds.values()].some(
+        (feed) => feed.name === document.name && String(feed._id) !== String(id)
+      )
+    ) {
+      details.name = `A feed named ${document.name} already exists`;
+    }
+    if (Object.keys(details).length) {
+      throw new FeedValidationError(details);
+    }
+    return document;
+  }
+
+  async create(fields, user) {
+    const document = await this.validate({
+      ...pick(fields),
+      name: fields.name,
+      createdBy: user?._id,
+    });
+
+    let feed;
+    if (isDatabaseConnected()) {
+      feed = (await document.save()).toObject();
+    } else {
+      const now = new Date();
+      feed = { ...document.toObject(), createdAt: now, updatedAt: now };
+    }
+
+    const id = String(feed._id);
+    this.feeds.set(id, feed);
+    this.schedule(feed);
+    logger.info(`📡 Feed ${feed.name} created by ${user?.username || "system"}`);
+
+    // First refresh runs in the background; its outcome shows in lastRun
+    if (feed.enabled) this.refresh(id);
+    return this.describe(feed);
+  }
+
+  // The name is fixed: it identifies the feed's indicators
+  async update(id, fields, user) {
+    const current = this.feeds.get(String(id));
+    if (!current) return null;
+
+    const changes = pick(fields);
+    const validated = (await this.validate({ ...current, ...changes }, id)).toObject();
+    const next = {
+      ...current,
+      ...Object.fromEntries(
+        Object.keys(changes).map((field) => [field, validated[field] ?? null])
+      ),
+      updatedAt: new Date(),
+    };
+
+    if (isDatabaseConnected()) {
+      const saved = await Feed.findByIdAndUpdate(
+        current._id,
+        {
+          $set: Object.fromEntries(
+            Object.keys(changes).map((field) => [field, next[field]])
+          ),
+        },
+        { new: true }
+      ).lean();
+      if (!saved) return null;
+      next.updatedAt = saved.updatedAt;
+    }
+
+    this.feeds.set(String(id), next);
+    this.schedule(next);
+    logger.info(
+      `📡 Feed ${current.name} updated by ${user?.username || "system"}: ${Object.keys(changes).join(", ")}`
+    );
+    return this.describe(next);
+  }
+
+  // Deleting a feed withdraws its indicators
+  async remove(id, user) {
+    const key = String(id);
+    const current = this.feeds.get(key);
+    if (!current) return null;
+
+    if (isDatabaseConnected()) {
+      await Feed.deleteOne({ _id: current._id });
+    }
+    this.feeds.delete(key);
+    this.scheduler?.cancelJob(sourceOf(current));
+    // A refresh already under way must not re-list what is withdrawn here
+    await this.refreshing.get(key);
+    const { removed } = await threatIntel.replaceSource(sourceOf(current), []);
+    logger.info(
+      `📡 Feed ${current.name} deleted by ${user?.username || "system"}, ${removed} indicators withdrawn`
+    );
+    return current;
+  }
+
+  async fetchContent(feed) {
+    if (/^https?:\/\//i.test(feed.location)) {
+      const response = await fetch(feed.location, {
+        signal: AbortSignal.timeout(FETCH_TIMEOUT_MS),
+      });
+      if (!response.ok) {
+        throw new Error(`${feed.location} returned ${response.status}`);
+      }
+      return response.text();
+    }
+    return fs.promises.readFile(path.resolve(FEED_DIR, feed.location), "utf8");
+  }
+
+  // Concurrent refreshes of one feed share a single run
+  refresh(id) {
+    const key = String(id);
+    if (!this.feeds.has(key)) return Promise.resolve(null);
+    if (!this.refreshing.has(key)) {
+      this.refreshing.set(
+        key,
+        this.runRefresh(this.feeds.get(key)).finally(() => this.refreshing.delete(key))
+      );
+    }
+    return this.refreshing.get(key);
+  }
+
+  async runRefresh(feed) {
+    const source = sourceOf(feed);
+    const lastRun = { startedAt: new Date() };
+    let lastSuccessAt = feed.lastSuccessAt;
+
+    try {
+      await threatIntel.load();
+      const parsed = feedParsers[feed.format](
+        await this.fetchContent(feed),
+        feed.parserOptions || {}
+      );
+      // An empty download is far more likely an upstream fault than a feed
+      // that delisted everything
+      const listed = threatIntel.stats().bySource[source] || 0;
+      if (parsed.length === 0 && listed > 0) {
+        throw new Error(`Feed returned no indicators; keeping the previous ${listed}`);
+      }
+      // Deleted while downloading: its indicators are being withdrawn
+      if (!this.feeds.has(String(feed._id))) return null;
+
+      const result = await threatIntel.replaceSource(
+        source,
+        parsed.map((indicator) => ({
+          ...indicator,
+          type: indicator.type || feed.type,
+          confidence: indicator.confidence ?? feed.confidence,
+          threatCategory: indicator.threatCategory || feed.threatCategory,
+        })),
+        { ttlDays: feed.ttlDays }
+      );
+      Object.assign(lastRun, {
+        status: "success",
+        fetched: parsed.length,
+        added: result.added,
+        removed: result.removed,
+        unchanged: result.unchanged,
+        rejected: result.rejected,
+      });
+      lastSuccessAt = new Date();
+      logger.info(
+        `📡 Feed ${feed.name} refreshed: ${result.added} added, ${result.removed} removed, ${result.unchanged} unchanged, ${result.rejected} rejected`
+      );
+    } catch (error) {
+      Object.assign(lastRun, { status: "failed", error: error.message });
+      logger.error(`Feed ${feed.name} refresh failed:`, error.message);
+    }
+    lastRun.finishedAt = new Date();
+
+    // The feed may have been edited or deleted while the refresh ran
+    const current = this.feeds.get(String(feed._id));
+    if (!current) return null;
+    current.lastRun = lastRun;
+    current.lastSuccessAt = lastSuccessAt;
+    if (isDatabaseConnected()) {
+      try {
+        await Feed.updateOne({ _id: feed._id }, { $set: { lastRun, lastSuccessAt } });
+      } catch (error) {
+        logger.error("Failed to record feed refresh:", error);
+      }
+    }
+    return this.describe(current);
+  }
+}
+
+module.exports = new FeedManager();
+module.exports.FeedValidationError = FeedValidationError;
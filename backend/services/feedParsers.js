@@ -0,0 +1,164 @@
+// Parsers for threat intelligence feed formats. Each turns the raw feed text
+// into indicators ({ type, value, ... }) for the IOC store; values that turn
+// out to be invalid are rejected there, so parsers stay permissive.
+
+const DEFAULT_COMMENT_PREFIXES = ["#", ";", "//"];
+
+const isComment = (line, prefixes) => prefixes.some((prefix) => line.startsWith(prefix));
+
+// One indicator per line, e.g. IP blocklists or hosts files. `column` picks
+// a whitespace-separated field ("0.0.0.0 bad.example" needs column 1).
+function plaintext(text, { column = 0, commentPrefixes = DEFAULT_COMMENT_PREFIXES } = {}) {
+  const indicators = [];
+  text.split(/\r?\n/).forEach((rawLine) => {
+    const line = rawLine.trim();
+    if (!line || isComment(line, commentPrefixes)) return;
+    const value = line.split(/\s+/)[column];
+    if (value) indicators.push({ value });
+  });
+  return indicators;
+}
+
+// Splits one CSV record, honouring quoted fields with "" escapes
+function splitCsvLine(line, delimiter) {
+  const fields = [];
+  let field = "";
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field.trim() === "") {
+      quoted = true;
+      field = "";
+    } else if (char === delimiter) {
+      fields.push(field.trim());
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+  fields.push(field.trim());
+  return fields;
+}
+
+// Columns are named after the header row, or numbered from 0 without one
+function csv(
+  text,
+  {
+    delimiter = ",",
+    header = true,
+    valueColumn = 0,
+    typeColumn,
+    confidenceColumn,
+    descriptionColumn,
+    commentPrefixes = ["#"],
+  } = {}
+) {
+  const rows = text
+    .split(/\r?\n/)
+    .filter((line) => line.trim() && !isComment(line.trim(), commentPrefixes))
+    .map((line) => splitCsvLine(line, delimiter));
+  const names = header ? (rows.shift() || []).map((name) => name.toLowerCase()) : [];
+
+  const columnIndex = (column) => {
+    if (column === undefined || column === null || column === "") return -1;
+    if (typeof column === "number") return column;
+    const named = names.indexOf(String(column).toLowerCase());
+    return named >= 0 ? named : parseInt(column, 10);
+  };
+  const valueAt = columnIndex(valueColumn);
+  const typeAt = columnIndex(typeColumn);
+  const confidenceAt = columnIndex(confidenceColumn);
+  const descriptionAt = columnIndex(descriptionColumn);
+  if (!(valueAt >= 0)) {
+    throw new Error(`CSV feed has no column ${valueColumn}`);
+  }
+
+  return rows
+    .filter((row) => row[valueAt])
+    .map((row) => {
+      const indicator = { value: row[valueAt] };
+      if (typeAt >= 0 && row[typeAt]) indicator.type = row[typeAt].toLowerCase();
+      if (confidenceAt >= 0 && row[confidenceAt] !== undefined) {
+        const confidence = parseFloat(row[confidenceAt]);
+        // Feeds commonly score out of 100
+        if (Number.isFinite(confidence)) {
+          indicator.confidence = confidence > 1 ? confidence / 100 : confidence;
+        }
+      }
+      if (descriptionAt >= 0 && row[descriptionAt]) {
+        indicator.description = row[descriptionAt];
+      }
+      return indicator;
+    });
+}
+
+// MISP attribute types, with the part of composite "a|b" values to keep
+const MISP_TYPES = {
+  "ip-src": { type: "ip" },
+  "ip-dst": { type: "ip" },
+  "ip-src|port": { type: "ip", part: 0 },
+  "ip-dst|port": { type: "ip", part: 0 },
+  domain: { type: "domain" },
+  hostname: { type: "domain" },
+  "domain|ip": [
+    { type: "domain", part: 0 },
+    { type: "ip", part: 1 },
+  ],
+  "hostname|port": { type: "domain", part: 0 },
+  url: { type: "url" },
+  md5: { type: "hash" },
+  sha1: { type: "hash" },
+  sha256: { type: "hash" },
+  sha512: { type: "hash" },
+  "filename|md5": { type: "hash", part: 1 },
+  "filename|sha1": { type: "hash", part: 1 },
+  "filename|sha256": { type: "hash", part: 1 },
+  "filename|sha512": { type: "hash", part: 1 },
+};
+
+// MISP event JSON: a single export ({ Event }), a REST search response
+// ({ response: [{ Event }] }) or a list of events. Only attributes flagged
+// for detection (to_ids) are taken unless `toIdsOnly` is false.
+function misp(text, { toIdsOnly = true } = {}) {
+  const document = JSON.parse(text);
+  const wrapped = Array.isArray(document) ? document : document.response || [document];
+  const events = wrapped.map((entry) => entry.Event || entry).filter(Boolean);
+
+  const indicators = [];
+  events.forEach((event) => {
+    const tags = (event.Tag || []).map((tag) => tag.name).filter(Boolean);
+    const attributes = [
+      ...(event.Attribute || []),
+      ...(event.Object || []).flatMap((object) => object.Attribute || []),
+    ];
+
+    attributes.forEach((attribute) => {
+      if (toIdsOnly && !attribute.to_ids) return;
+      const mappings = [].concat(MISP_TYPES[attribute.type] || []);
+      const parts = String(attribute.value || "").split("|");
+      mappings.forEach(({ type, part }) => {
+        const value = part === undefined ? attribute.value : parts[part];
+        if (!value) return;
+        indicators.push({
+          type,
+          value,
+          description: attribute.comment || event.info,
+          tags: tags.length ? tags : undefined,
+        });
+      });
+    });
+  });
+  return indicators;
+}
+
+module.exports = { plaintext, csv, misp };
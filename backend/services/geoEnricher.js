@@ -0,0 +1,148 @@
+const fs = require("fs");
+const path = require("path");
+const MmdbReader = require("../utils/mmdbReader");
+const LruCache = require("../utils/lruCache");
+const { parseIP, isPrivateIP } = require("../utils/ipUtils");
+const logger = require("../utils/logger");
+
+const DATA_DIR = path.join(__dirname, "..", "data", "geoip");
+const DATABASES = {
+  city: process.env.GEOIP_CITY_DB || path.join(DATA_DIR, "GeoLite2-City.mmdb"),
+  asn: process.env.GEOIP_ASN_DB || path.join(DATA_DIR, "GeoLite2-ASN.mmdb"),
+};
+const CACHE_SIZE = Number(process.env.GEOIP_CACHE_SIZE || 10000);
+const WATCH_INTERVAL_MS = 60 * 1000;
+
+const englishName = (record) => record?.names?.en;
+
+// Offline GeoIP/ASN enrichment from MaxMind DB files (GeoLite2 City and ASN,
+// or the commercial GeoIP2 equivalents). Lookups are cached; the files are
+// watched and swapped in when replaced, e.g. by geoipupdate.
+class GeoEnricher {
+  constructor() {
+    this.readers = {}; // Database name -> { reader, path, mtimeMs, loadedAt }
+    this.cache = new LruCache(CACHE_SIZE);
+    this.watching = new Set();
+  }
+
+  // Databases that are missing are skipped; enrichment uses whichever load
+  async load() {
+    for (const [name, file] of Object.entries(DATABASES)) {
+      await this.open(name, file);
+      this.watch(name, file);
+    }
+    const loaded = Object.keys(this.readers);
+    if (loaded.length) {
+      logger.info(`🌍 GeoIP enrichment from ${loaded.join(" and ")} databases`);
+    } else {
+      logger.warn(
+        `⚠️ No GeoIP databases found in ${DATA_DIR}; threat locations will not be enriched`
+      );
+    }
+  }
+
+  // Reads a database file; a file that fails to parse leaves the reader
+  // already in use in place
+  async open(name, file) {
+    let stats;
+    try {
+      stats = await fs.promises.stat(file);
+    } catch {
+      return false;
+    }
+    try {
+      const reader = new MmdbReader(await fs.promises.readFile(file));
+      const previous = this.readers[name];
+      this.readers[name] = {
+        reader,
+        path: file,
+        mtimeMs: stats.mtimeMs,
+        loadedAt: new Date(),
+      };
+      this.cache.clear();
+      const { database_type: type, build_epoch: built } = reader.metadata;
+      logger.info(
+        `🌍 ${previous ? "Reloaded" : "Loaded"} ${type} database built ${new Date(
+          built * 1000
+        ).toISOString()}`
+      );
+      return true;
+    } catch (error) {
+      logger.error(`Failed to load GeoIP database ${file}:`, error);
+      return false;
+    }
+  }
+
+  // Polls the file, so a database created or replaced later is picked up
+  watch(name, file) {
+    if (this.watching.has(file)) return;
+    this.watching.add(file);
+    fs.watchFile(file, { interval: WATCH_INTERVAL_MS }, (current) => {
+      if (!current.mtimeMs || current.mtimeMs === this.readers[name]?.mtimeMs) return;
+      this.open(name, file);
+    }).unref();
+  }
+
+  async reload() {
+    for (const [name, file] of Object.entries(DATABASES)) {
+      await this.open(name, file);
+    }
+    return this.stats();
+  }
+
+  // Location and network owner of a public address, or null when it is
+  // private or in neither database
+  lookup(ip) {
+    if (!this.readers.city && !this.readers.asn) return null;
+    if (!parseIP(ip) || isPrivateIP(ip)) return null;
+
+    const cached = this.cache.get(ip);
+    if (cached !== undefined) return cached;
+
+    let location = null;
+    try {
+      location = this.resolve(ip);
+    } catch (error) {
+      logger.error(`GeoIP lookup failed for ${ip}:`, error);
+    }
+    return this.cache.set(ip, location);
+  }
+
+  resolve(ip) {
+    const city = this.readers.city?.reader.get(ip);
+    const asn = this.readers.asn?.reader.get(ip);
+    if (!city && !asn) return null;
+
+    const country = city?.country || city?.registered_country;
+    const organization = asn?.autonomous_system_organization;
+    return {
+      country: englishName(country),
+      countryCode: country?.iso_code,
+      city: englishName(city?.city),
+      latitude: city?.location?.latitude,
+      longitude: city?.location?.longitude,
+      asn: asn?.autonomous_system_number,
+      organization,
+      isp: organization,
+    };
+  }
+
+  stats() {
+    return {
+      databases: Object.fromEntries(
+        Object.entries(this.readers).map(([name, { reader, path: file, loadedAt }]) => [
+          name,
+          {
+            path: file,
+            type: reader.metadata.database_type,
+            buildEpoch: new Date(reader.metadata.build_epoch * 1000),
+            loadedAt,
+          },
+        ])
+      ),
+      cache: this.cache.stats(),
+    };
+  }
+}
+
+module.exports = new GeoEnricher();
@@ -0,0 +1,99 @@
+const fs = require("fs");
+const path = require("path");
+const logger = require("../utils/logger");
+
+const DATA_DIR =
+  process.env.DNS_DATA_DIR || path.join(__dirname, "..", "data", "dns");
+const DOMAINS_FILE = "observed-domains.json";
+const MAX_DOMAINS = Number(process.env.DNS_MAX_OBSERVED_DOMAINS || 100000);
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Registrable domains resolved on the network with first and last sighting,
+// used to spot newly observed domains. Nothing counts as new until the store
+// has watched DNS traffic for the warm-up period.
+class ObservedDomainService {
+  constructor() {
+    this.domains = new Map(); // domain -> { firstSeen, lastSeen } (ms)
+    this.since = null; // First observation, for the warm-up
+    this.persistent = false;
+    this.dirty = false;
+  }
+
+  get filePath() {
+    return path.join(DATA_DIR, DOMAINS_FILE);
+  }
+
+  async load() {
+    try {
+      await fs.promises.mkdir(DATA_DIR, { recursive: true });
+      this.persistent = true;
+      if (fs.existsSync(this.filePath)) {
+        const saved = JSON.parse(await fs.promises.readFile(this.filePath, "utf8"));
+        this.since = saved.since;
+        this.domains = new Map(
+          saved.domains.map(([domain, firstSeen, lastSeen]) => [
+            domain,
+            { firstSeen, lastSeen },
+          ])
+        );
+      }
+      logger.info(`🌐 Loaded ${this.domains.size} observed DNS domains`);
+    } catch (error) {
+      logger.error("Failed to load observed DNS domains:", error);
+    }
+  }
+
+  async save() {
+    if (!this.persistent || !this.dirty) return;
+    this.dirty = false;
+    try {
+      const temporary = `${this.filePath}.tmp`;
+      await fs.promises.writeFile(
+        temporary,
+        JSON.stringify({
+          since: this.since,
+          domains: [...this.domains].map(([domain, seen]) => [
+            domain,
+            seen.firstSeen,
+            seen.lastSeen,
+          ]),
+        })
+      );
+      await fs.promises.rename(temporary, this.filePath);
+    } catch (error) {
+      logger.error("Failed to save observed DNS domains:", error);
+    }
+  }
+
+  // Record a lookup; true when the domain is newly observed, i.e. not seen
+  // within the retention period and the warm-up is over
+  observe(domain, time, { newDomainWarmupHours, newDomainRetentionDays }) {
+    const now = time.getTime();
+    if (this.since === null) this.since = now;
+    this.dirty = true;
+
+    const seen = this.domains.get(domain);
+    const expired =
+      seen && now - seen.lastSeen > newDomainRetentionDays * DAY_MS;
+    if (seen && !expired) {
+      seen.lastSeen = Math.max(seen.lastSeen, now);
+      return false;
+    }
+
+    if (this.domains.size >= MAX_DOMAINS && !seen) this.evictOldest();
+    this.domains.set(domain, { firstSeen: now, lastSeen: now });
+    return now - this.since >= newDomainWarmupHours * 60 * 60 * 1000;
+  }
+
+  evictOldest() {
+    let oldest = null;
+    this.domains.forEach((seen, domain) => {
+      if (!oldest || seen.lastSeen < oldest.lastSeen) {
+        oldest = { domain, lastSeen: seen.lastSeen };
+      }
+    });
+    if (oldest) this.domains.delete(oldest.domain);
+  }
+}
+
+module.exports = new ObservedDomainService();
@@ -0,0 +1,348 @@
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+const { isDatabaseConnected } = require("../utils/database");
+const ThreatData = require("../models/ThreatData");
+const Sighting = require("../models/Sighting");
+const threatIntel = require("./threatIntel");
+const { ThreatIntelService, normalize } = require("./threatIntel");
+const telemetryArchive = require("./telemetryArchive");
+const systemSettings = require("./systemSettings");
+const logger = require("../utils/logger");
+
+const HUNT_DELAY_MS = 10 * 1000; // Gathers a feed refresh into one hunt
+const MAX_BATCH = 10000; // Indicators per pass over the history
+const MAX_MEMORY_SIGHTINGS = 5000;
+const MAX_RECENT_HUNTS = 20;
+const MAX_RESULTS = 1000; // Sightings returned by a manual hunt
+const WRITE_BATCH = 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MANUAL_SOURCE = "manual-hunt";
+
+// Fields of a threat the hunt reads; the rest stays in MongoDB
+const THREAT_FIELDS = "timestamp sourceIP destinationIP dns.domain dns.domains";
+
+const indicatorKey = (indicator) => `${indicator.type}|${indicator.value}`;
+
+// Sightings of one matched indicator entry in a stored threat
+function threatSightings(threat, matches) {
+  return matches.map((match) => ({
+    indicator: match,
+    kind: "threat",
+    eventKey: `threat|${threat._id}|${match.field}`,
+    threat: threat._id,
+    field: match.field,
+    value: match.value,
+    hostIP: match.field === "sourceIP" ? threat.destinationIP : threat.sourceIP,
+    remoteIP: match.field === "sourceIP" ? threat.sourceIP : threat.destinationIP,
+    domain: match.field.startsWith("dns.") ? match.value : undefined,
+    firstSeen: new Date(threat.timestamp),
+    lastSeen: new Date(threat.timestamp),
+  }));
+}
+
+// Sightings of one matched indicator entry in an archived telemetry record
+function telemetrySightings(record, matches) {
+  return matches.map((match) => ({
+    indicator: match,
+    kind: record.kind,
+    eventKey: [
+      record.kind,
+      record.firstSeen,
+      record.localIP || record.clientIP,
+      record.remoteIP || record.domain,
+      record.port,
+      record.process,
+    ].join("|"),
+    field: record.kind === "dns" ? "domain" : "remoteIP",
+    value: record.kind === "dns" ? record.domain : record.remoteIP,
+    hostIP: record.localIP || record.clientIP,
+    remoteIP: record.remoteIP,
+    remotePort: record.port,
+    process: record.process,
+    domain: record.domain,
+    firstSeen: new Date(record.firstSeen),
+    lastSeen: new Date(record.lastSeen),
+    count: record.count,
+  }));
+}
+
+// Searches stored threats and archived telemetry for indicators added to the
+// IOC store, records each match as a sighting and raises one retroactive
+// alert per indicator with new sightings. Manual hunts search for any value.
+class RetroHuntService {
+  constructor() {
+    this.engine = null;
+    this.queue = new Map(); // indicator key -> indicator awaiting a hunt
+    this.timer = null;
+    this.running = null;
+    this.recentHunts = [];
+    this.memorySightings = [];
+  }
+
+  // Hunts for every indicator the store gains from now on; alerts go
+  // through the engine so they are stored, broadcast and correlated
+  start(engine) {
+    if (this.engine) return;
+    this.engine = engine;
+    threatIntel.on("added", (indicators) => {
+      if (systemSettings.get().retroHunt?.enabled === false) return;
+      this.enqueue(indicators);
+    });
+  }
+
+  enqueue(indicators) {
+    indicators.forEach((indicator) => this.queue.set(indicatorKey(indicator), indicator));
+    if (!this.timer) {
+      this.timer = setTimeout(() => {
+        this.timer = null;
+        this.drain();
+      }, HUNT_DELAY_MS);
+    }
+  }
+
+  async drain() {
+    if (this.running) return;
+    this.running = (async () => {
+      while (this.queue.size) {
+        const batch = [...this.queue.values()].slice(0, MAX_BATCH);
+        batch.forEach((indicator) => this.queue.delete(indicatorKey(indicator)));
+        try {
+          await this.hunt(batch, { trigger: "indicator-added", alert: true });
+        } catch (error) {
+          logger.error("Retro-hunt failed:", error);
+        }
+      }
+    })();
+    await this.running;
+    this.running = null;
+  }
+
+  // Hunt for one value on request, whether or not the store lists it
+  async huntValue(type, value, options = {}) {
+    const normalized = normalize(type, value);
+    if (!normalized) return null;
+    const listed = threatIntel.lookup(normalized.key);
+    const indicators = listed.length
+      ? listed
+      : [{ type: normalized.type, value: normalized.value, source: MANUAL_SOURCE }];
+    return this.hunt(indicators, {
+      trigger: "manual",
+      includeSightings: true,
+      ...options,
+    });
+  }
+
+  async hunt(
+    indicators,
+    { trigger, lookbackDays, alert = false, requestedBy, includeSightings = false } = {}
+  ) {
+    const days = lookbackDays || systemSettings.get().retroHunt?.lookbackDays || 30;
+    const since = new Date(Date.now() - days * DAY_MS);
+    const huntId = crypto.randomUUID();
+    const startedAt = new Date();
+
+    // A private index of just the hunted indicators reuses the store's
+    // matching of networks, parent domains and so on
+    const matcher = new ThreatIntelService();
+    indicators.forEach((indicator) => matcher.addToIndex(indicator));
+
+    const found = [];
+    let threatsScanned = 0;
+    for await (const threat of this.findThreats(since)) {
+      threatsScanned++;
+      found.push(...threatSightings(threat, matcher.matchThreat(threat)));
+    }
+
+    let telemetryScanned = 0;
+    for await (const record of telemetryArchive.scan({ since })) {
+      telemetryScanned++;
+      const matches =
+        record.kind === "dns"
+          ? matcher.matchDomain(record.domain)
+          : matcher.matchIP(record.remoteIP);
+      found.push(
+        ...telemetrySightings(
+          record,
+          matches.map((entry) => ({ ...entry, indicator: entry.value }))
+        )
+      );
+    }
+
+    const { matched, created } = await this.saveSightings(found, {
+      huntId,
+      trigger,
+      matcher,
+    });
+    const byIndicator = new Map();
+    created.forEach((sighting) => {
+      const key = `${sighting.indicatorType}|${sighting.indicatorValue}`;
+      if (!byIndicator.has(key)) byIndicator.set(key, []);
+      byIndicator.get(key).push(sighting);
+    });
+
+    let alerts = 0;
+    if (alert && this.engine) {
+      for (const sightings of byIndicator.values()) {
+        const [{ indicatorType, indicatorValue }] = sightings;
+        const entries = matcher.lookup(normalize(indicatorType, indicatorValue).key);
+        const threat = await this.engine.recordThreat(
+          this.engine.buildRetroHuntThreat({ huntId, sightings, entries })
+        );
+        if (threat?._id) {
+          alerts++;
+          await this.linkAlert(sightings, threat._id);
+        }
+      }
+    }
+
+    const summary = {
+      huntId,
+      trigger,
+      requestedBy,
+      indicators: indicators.length,
+      lookbackDays: days,
+      startedAt,
+      finishedAt: new Date(),
+      threatsScanned,
+      telemetryScanned,
+      sightings: matched.length,
+      newSightings: created.length,
+      matchedIndicators: byIndicator.size,
+      alerts,
+    };
+    this.recentHunts.unshift(summary);
+    this.recentHunts.length = Math.min(this.recentHunts.length, MAX_RECENT_HUNTS);
+    if (created.length || trigger === "manual") {
+      logger.info(
+        `🔎 Retro-hunt ${huntId} (${trigger}): ${indicators.length} indicators, ${created.length} new sightings, ${alerts} alerts`
+      );
+    }
+    return includeSightings
+      ? { ...summary, results: matched.slice(0, MAX_RESULTS) }
+      : summary;
+  }
+
+  // Stored threats since `since`, except earlier retroactive alerts, which
+  // would otherwise be sightings of their own indicator
+  async *findThreats(since) {
+    if (isDatabaseConnected()) {
+      yield* ThreatData.find({
+        timestamp: { $gte: since },
+        "detectionMethods.method": { $ne: "RETRO_HUNT" },
+      })
+        .select(THREAT_FIELDS)
+        .lean()
+        .cursor();
+      return;
+    }
+    const threats =
+      this.engine?.server?.inMemoryStorage?.threats || this.engine?.recentThreats || [];
+    for (const threat of threats) {
+      if (
+        new Date(threat.timestamp) >= since &&
+        !(threat.detectionMethods || []).some((method) => method.method === "RETRO_HUNT")
+      ) {
+        yield threat;
+      }
+    }
+  }
+
+  // Store sightings not recorded by an earlier hunt; returns every sighting
+  // and the new ones
+  async saveSightings(found, { huntId, trigger, matcher }) {
+    const sightings = found.map(({ indicator, ...sighting }) => ({
+      ...sighting,
+      indicatorType: indicator.type,
+      indicatorValue: indicator.indicator,
+      sources: matcher
+        .lookup(normalize(indicator.type, indicator.indicator).key)
+        .map((entry) => entry.source),
+      huntId,
+      trigger,
+    }));
+    const key = (sighting) =>
+      `${sighting.indicatorType}|${sighting.indicatorValue}|${sighting.eventKey}`;
+
+    // One entry per source matches the same event more than once
+    const matched = [
+      ...new Map(sightings.map((sighting) => [key(sighting), sighting])).values(),
+    ];
+
+    if (isDatabaseConnected()) {
+      const created = [];
+      for (let i = 0; i < matched.length; i += WRITE_BATCH) {
+        const batch = matched.slice(i, i + WRITE_BATCH);
+        const result = await Sighting.bulkWrite(
+          batch.map((sighting) => ({
+            updateOne: {
+              filter: {
+                indicatorType: sighting.indicatorType,
+                indicatorValue: sighting.indicatorValue,
+                eventKey: sighting.eventKey,
+              },
+              update: { $setOnInsert: sighting },
+              upsert: true,
+            },
+          })),
+          { ordered: false }
+        );
+        Object.entries(result.upsertedIds || {}).forEach(([index, id]) =>
+          created.push({ ...batch[index], _id: id })
+        );
+      }
+      return { matched, created };
+    }
+
+    const known = new Set(this.memorySightings.map(key));
+    const created = matched
+      .filter((sighting) => !known.has(key(sighting)))
+      .map((sighting) => ({
+        ...sighting,
+        _id: new mongoose.Types.ObjectId(),
+        createdAt: new Date(),
+      }));
+    this.memorySightings.push(...created);
+    if (this.memorySightings.length > MAX_MEMORY_SIGHTINGS) {
+      this.memorySightings.splice(0, this.memorySightings.length - MAX_MEMORY_SIGHTINGS);
+    }
+    return { matched, created };
+  }
+
+  async linkAlert(sightings, alertId) {
+    if (isDatabaseConnected()) {
+      await Sighting.updateMany(
+        { _id: { $in: sightings.map((sighting) => sighting._id) } },
+        { $set: { alert: alertId } }
+      );
+    }
+    sightings.forEach((sighting) => (sighting.alert = alertId));
+  }
+
+  // Sightings, newest first; filter by the hunted value, type or hunt
+  async listSightings({ value, type, huntId, limit = 100 } = {}) {
+    const query = {
+      ...(value ? { indicatorValue: value } : {}),
+      ...(type ? { indicatorType: type } : {}),
+      ...(huntId ? { huntId } : {}),
+    };
+    if (isDatabaseConnected()) {
+      return Sighting.find(query).sort({ firstSeen: -1 }).limit(limit).lean();
+    }
+    return this.memorySightings
+      .filter((sighting) =>
+        Object.entries(query).every(([field, expected]) => sighting[field] === expected)
+      )
+      .sort((a, b) => b.firstSeen - a.firstSeen)
+      .slice(0, limit);
+  }
+
+  getStatus() {
+    return {
+      queued: this.queue.size,
+      running: Boolean(this.running),
+      recentHunts: this.recentHunts,
+    };
+  }
+}
+
+module.exports = new RetroHuntService();
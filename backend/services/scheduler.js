@@ -1,5 +1,9 @@
 const schedule = require("node-schedule");
 const logger = require("../utils/logger");
+const anomalyModel = require("./anomalyModel");
+const threatIntel = require("./threatIntel");
+const stixImporter = require("./stixImporter");
+const feedManager = require("./feedManager");
 
 class SchedulerService {
   constructor() {
@@ -28,18 +32,59 @@ class SchedulerService {
     this.scheduleJob("health-check", "*/10 * * * *", () => {
       this.performHealthCheck();
     });
+
+    // Retrain the anomaly model on recent feature history, nightly by default
+    this.scheduleJob(
+      "retrain-anomaly-model",
+      process.env.ML_RETRAIN_CRON || "30 2 * * *",
+      () => this.retrainAnomalyModel()
+    );
+
+    // Drop expired threat intelligence indicators from the in-memory index
+    this.scheduleJob("expire-indicators", "15 * * * *", () => {
+      this.expireIndicators();
+    });
+
+    // Pull new indicators from the configured TAXII collection
+    if (stixImporter.taxii) {
+      this.scheduleJob(
+        "poll-taxii",
+        process.env.TAXII_POLL_CRON || "*/30 * * * *",
+        () => this.pollTaxii()
+      );
+    }
+
+    // Each threat intelligence feed refreshes on its own schedule
+    feedManager.start(this).catch((error) => {
+      logger.error("Failed to schedule threat intelligence feeds:", error);
+    });
   }
 
   scheduleJob(name, cronExpression, callback) {
     try {
       const job = schedule.scheduleJob(cronExpression, callback);
+      if (!job) {
+        logger.error(`Failed to schedule job ${name}: invalid cron expression ${cronExpression}`);
+        return null;
+      }
       this.jobs.set(name, job);
       logger.info(`Scheduled job: ${name}`);
+      return job;
     } catch (error) {
       logger.error(`Failed to schedule job ${name}:`, error);
+      return null;
     }
   }
 
+  cancelJob(name) {
+    const job = this.jobs.get(name);
+    if (!job) return false;
+    job.cancel();
+    this.jobs.delete(name);
+    logger.info(`Stopped job: ${name}`);
+    return true;
+  }
+
   cleanupOldSessions() {
     try {
       logger.info("Running session cleanup...");
@@ -64,6 +109,31 @@ class SchedulerService {
     }
   }
 
+  async retrainAnomalyModel() {
+    try {
+      logger.info("Retraining anomaly model...");
+      await anomalyModel.train();
+    } catch (error) {
+      logger.error("Anomaly model retraining failed:", error);
+    }
+  }
+
+  expireIndicators() {
+    try {
+      threatIntel.prune();
+    } catch (error) {
+      logger.error("Indicator expiry failed:", error);
+    }
+  }
+
+  async pollTaxii() {
+    try {
+      await stixImporter.pollTaxii();
+    } catch (error) {
+      logger.error("TAXII poll failed:", error);
+    }
+  }
+
   performHealthCheck() {
     try {
       const healthData = {
@@ -0,0 +1,137 @@
+const fs = require("fs");
+const path = require("path");
+const yaml = require("js-yaml");
+const logger = require("../utils/logger");
+const systemSettings = require("./systemSettings");
+const { parseCIDR, ipInCIDR } = require("../utils/ipUtils");
+
+const DEFAULT_SITES_FILE = path.join(__dirname, "../config/sites.yml");
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+// Server time zone, settings business hours, no holidays
+const FALLBACK_SITE = {
+  id: "default",
+  name: "Default site",
+  timezone: null,
+  networks: [],
+  businessHours: {},
+  holidays: new Set(),
+};
+
+// YAML reads unquoted dates as Date objects
+const toDateKey = (value) =>
+  value instanceof Date ? value.toISOString().slice(0, 10) : String(value);
+
+// Site membership, local time and working hours for addresses. Sites,
+// time zones and holiday calendars come from config/sites.yml.
+class SiteCalendarService {
+  constructor() {
+    this.sitesPath = process.env.SITES_CONFIG || DEFAULT_SITES_FILE;
+    this.sites = null;
+    this.formatters = new Map(); // time zone -> Intl.DateTimeFormat
+  }
+
+  load() {
+    let config = {};
+    try {
+      config = yaml.load(fs.readFileSync(this.sitesPath, "utf8")) || {};
+    } catch (error) {
+      logger.warn(`Site configuration not loaded from ${this.sitesPath}`, {
+        error: error.message,
+      });
+    }
+
+    const calendars = Object.fromEntries(
+      Object.entries(config.holidayCalendars || {}).map(([name, dates]) => [
+        name,
+        new Set((dates || []).map(toDateKey)),
+      ])
+    );
+
+    this.sites = (config.sites || []).map((site) => ({
+      id: site.id,
+      name: site.name || site.id,
+      timezone: site.timezone || null,
+      networks: (site.networks || []).map(parseCIDR).filter(Boolean),
+      businessHours: site.businessHours || {},
+      holidays: calendars[site.holidayCalendar] || new Set(),
+    }));
+    this.defaultSite =
+      this.sites.find((site) => site.id === config.defaultSite) ||
+      this.sites[0] ||
+      FALLBACK_SITE;
+
+    logger.info(`🗓️ Loaded ${this.sites.length} site(s) from ${this.sitesPath}`);
+    return this.sites;
+  }
+
+  getSite(ip) {
+    if (!this.sites) this.load();
+    const site =
+      ip &&
+      this.sites.find((candidate) =>
+        candidate.networks.some((range) => ipInCIDR(ip, range))
+      );
+    return site || this.defaultSite;
+  }
+
+  formatter(timezone) {
+    const key = timezone || "local";
+    if (!this.formatters.has(key)) {
+      this.formatters.set(
+        key,
+        new Intl.DateTimeFormat("en-US", {
+          timeZone: timezone || undefined,
+          hourCycle: "h23",
+          weekday: "short",
+          year: "numeric",
+          month: "2-digit",
+          day: "2-digit",
+          hour: "2-digit",
+        })
+      );
+    }
+    return this.formatters.get(key);
+  }
+
+  // Wall-clock time at the address's site
+  localTime(time, ip = null) {
+    const site = this.getSite(ip);
+    const parts = Object.fromEntries(
+      this.formatter(site.timezone)
+        .formatToParts(new Date(time))
+        .map(({ type, value }) => [type, value])
+    );
+
+    const hour = Number(parts.hour);
+    const dayOfWeek = WEEKDAYS[parts.weekday];
+    const date = `${parts.year}-${parts.month}-${parts.day}`;
+    const holiday = site.holidays.has(date);
+
+    const { businessHoursStart, businessHoursEnd } =
+      systemSettings.get().behavioral;
+    const {
+      start = businessHoursStart,
+      end = businessHoursEnd,
+      days = [1, 2, 3, 4, 5],
+    } = site.businessHours;
+
+    return {
+      site: site.id,
+      timezone: site.timezone,
+      date,
+      hour,
+      dayOfWeek,
+      hourOfWeek: dayOfWeek * 24 + hour,
+      holiday,
+      workingHours:
+        !holiday && days.includes(dayOfWeek) && hour >= start && hour <= end,
+    };
+  }
+
+  isOffHours(time, ip = null) {
+    return !this.localTime(time, ip).workingHours;
+  }
+}
+
+module.exports = new SiteCalendarService();
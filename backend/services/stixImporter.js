@@ -0,0 +1,195 @@
+const threatIntel = require("./threatIntel");
+const TaxiiClient = require("./taxiiClient");
+const logger = require("../utils/logger");
+
+const UPLOAD_SOURCE = "stix-upload";
+
+// STIX object paths that map onto IOC store indicator types
+const OBJECT_PATHS = [
+  { pattern: /^ipv[46]-addr:value$/, type: "ip" },
+  { pattern: /^domain-name:value$/, type: "domain" },
+  { pattern: /^url:value$/, type: "url" },
+  { pattern: /^(?:artifact|file):hashes\.[\w-]+$/, type: "hash" },
+];
+const COMPARISON = /^([\w-]+:[\w.\-\u0000]+)\s*(=|ISSUBSET)\s*\u0000(\d+)$/;
+
+// Extracts the observables of a STIX pattern that can be matched on their
+// own: comparisons joined by OR, in one or more observation expressions
+// joined by OR. Patterns that need several observables at once (AND,
+// FOLLOWEDBY) would raise false positives if flattened, so they yield nothing.
+function parsePattern(pattern) {
+  const literals = [];
+  const masked = String(pattern || "").replace(
+    /'((?:[^'\\]|\\.)*)'/g,
+    (_, literal) => {
+      literals.push(literal.replace(/\\(.)/g, "$1"));
+      return `\u0000${literals.length - 1}`;
+    }
+  );
+
+  const outside = masked.replace(/\[[^\]]*\]/g, "");
+  if (/\b(?:AND|FOLLOWEDBY)\b/.test(outside)) return [];
+
+  const observables = [];
+  for (const [, observation] of masked.matchAll(/\[([^\]]*)\]/g)) {
+    if (/\bAND\b/.test(observation)) return [];
+    for (const comparison of observation.split(/\bOR\b/)) {
+      const parsed = comparison.trim().match(COMPARISON);
+      if (!parsed) continue;
+      const [, rawPath, operator, literal] = parsed;
+      const objectPath = rawPath.replace(/\u0000(\d+)/g, (_, i) => literals[i]);
+      const mapping = OBJECT_PATHS.find(({ pattern }) => pattern.test(objectPath));
+      if (!mapping) continue;
+      const value = literals[literal];
+      const type =
+        mapping.type === "ip" && (operator === "ISSUBSET" || value.includes("/"))
+          ? "cidr"
+          : mapping.type;
+      if (operator === "ISSUBSET" && type !== "cidr") continue;
+      observables.push({ type, value });
+    }
+  }
+  return observables;
+}
+
+// Turns STIX 2.1 indicators, from uploaded bundles or a TAXII 2.1 collection,
+// into IOC store entries. Each entry keeps the id of the STIX indicator it
+// came from; revoked or expired indicators take their entries back out.
+class StixImporter {
+  constructor() {
+    this.taxii = null;
+    this.taxiiSource = null;
+    this.taxiiStatus = { addedAfter: null, lastPoll: null, lastResult: null, error: null };
+
+    if (process.env.TAXII_URL) {
+      this.configureTaxii({
+        url: process.env.TAXII_URL,
+        collection: process.env.TAXII_COLLECTION,
+        username: process.env.TAXII_USERNAME,
+        password: process.env.TAXII_PASSWORD,
+        token: process.env.TAXII_TOKEN,
+        source: process.env.TAXII_SOURCE,
+      });
+    }
+  }
+
+  configureTaxii({ source, ...options }) {
+    try {
+      this.taxii = new TaxiiClient(options);
+      this.taxiiSource = source || `taxii:${options.collection}`;
+      this.taxiiStatus = { addedAfter: null, lastPoll: null, lastResult: null, error: null };
+    } catch (error) {
+      this.taxii = null;
+      logger.error("TAXII polling disabled:", error.message);
+    }
+  }
+
+  async importBundle(bundle, options = {}) {
+    if (!bundle || bundle.type !== "bundle" || !Array.isArray(bundle.objects)) {
+      throw new Error("Not a STIX bundle");
+    }
+    return this.importObjects(bundle.objects, options);
+  }
+
+  async importObjects(objects, { source = UPLOAD_SOURCE } = {}) {
+    await threatIntel.load();
+
+    // Only the latest version of each indicator counts
+    const latest = new Map();
+    objects
+      .filter((object) => object && object.type === "indicator" && object.id)
+      .forEach((indicator) => {
+        const current = latest.get(indicator.id);
+        if (!current || new Date(indicator.modified) >= new Date(current.modified)) {
+          latest.set(indicator.id, indicator);
+        }
+      });
+
+    const now = Date.now();
+    const additions = [];
+    const retired = [];
+    let skipped = 0;
+
+    latest.forEach((indicator) => {
+      const observables =
+        !indicator.pattern_type || indicator.pattern_type === "stix"
+          ? parsePattern(indicator.pattern)
+          : [];
+      if (observables.length === 0) {
+        skipped++;
+        return;
+      }
+
+      const expired =
+        indicator.valid_until && new Date(indicator.valid_until).getTime() <= now;
+      if (indicator.revoked || expired) {
+        observables.forEach((observable) =>
+          retired.push({ ...observable, stixId: indicator.id })
+        );
+        return;
+      }
+
+      observables.forEach((observable) =>
+        additions.push({
+          ...observable,
+          confidence:
+            typeof indicator.confidence === "number"
+              ? indicator.confidence / 100
+              : undefined,
+          description: indicator.name || indicator.description,
+          tags: indicator.indicator_types || indicator.labels,
+          stixId: indicator.id,
+          expiresAt: indicator.valid_until,
+        })
+      );
+    });
+
+    const { accepted, rejected } = await threatIntel.upsert(additions, { source });
+    let revoked = 0;
+    for (const { type, value, stixId } of retired) {
+      revoked += await threatIntel.remove(type, value, { source, stixId });
+    }
+
+    const result = { indicators: latest.size, accepted, rejected, revoked, skipped };
+    logger.info(
+      `🛡️ STIX import into ${source}: ${accepted} indicators added, ${revoked} revoked, ${skipped} patterns skipped`
+    );
+    return result;
+  }
+
+  // Fetch indicators added to the TAXII collection since the last poll
+  async pollTaxii() {
+    if (!this.taxii) return null;
+    const startedAt = new Date();
+    try {
+      const { objects, dateAddedLast } = await this.taxii.getObjects({
+        addedAfter: this.taxiiStatus.addedAfter,
+        type: "indicator",
+      });
+      const result = await this.importObjects(objects, { source: this.taxiiSource });
+      this.taxiiStatus = {
+        addedAfter: dateAddedLast,
+        lastPoll: startedAt,
+        lastResult: result,
+        error: null,
+      };
+      return result;
+    } catch (error) {
+      this.taxiiStatus = { ...this.taxiiStatus, lastPoll: startedAt, error: error.message };
+      throw error;
+    }
+  }
+
+  getTaxiiStatus() {
+    return {
+      configured: Boolean(this.taxii),
+      apiRoot: this.taxii?.apiRoot,
+      collection: this.taxii?.collection,
+      source: this.taxiiSource,
+      ...this.taxiiStatus,
+    };
+  }
+}
+
+module.exports = new StixImporter();
+module.exports.parsePattern = parsePattern;
@@ -0,0 +1,272 @@
+const { isDatabaseConnected } = require("../utils/database");
+const Suppression = require("../models/Suppression");
+const SuppressionHistory = require("../models/SuppressionHistory");
+const { ipInCIDR } = require("../utils/ipUtils");
+const logger = require("../utils/logger");
+
+const EDITABLE_FIELDS = ["match", "reason", "owner", "enabled", "expiresAt"];
+const MAX_MEMORY_HISTORY = 500;
+
+class SuppressionValidationError extends Error {
+  constructor(details) {
+    super("Invalid suppression");
+    this.name = "SuppressionValidationError";
+    this.details = details;
+  }
+}
+
+const pick = (fields) =>
+  Object.fromEntries(
+    EDITABLE_FIELDS.filter((field) => field in fields).map((field) => [
+      field,
+      fields[field],
+    ])
+  );
+
+// Values of a threat that each match field is compared against
+const threatValues = {
+  port: (threat) => [
+    threat.features?.portNumber,
+    threat.beaconing?.remotePort,
+    threat.scan?.targetPort,
+    ...(threat.exfiltration?.destinationPorts || []),
+  ],
+  process: (threat) => [threat.beaconing?.process, threat.exfiltration?.process],
+  ruleId: (threat) =>
+    (threat.detectionMethods || []).map((method) => method.ruleId || method.method),
+};
+
+// Allowlist for known-good activity. Active suppressions are cached so every
+// threat can be checked before it is stored or broadcast; hit counters are
+// written back in batches by save().
+class SuppressionService {
+  constructor() {
+    this.suppressions = new Map(); // id -> suppression
+    this.pendingHits = new Map(); // id -> hits not yet saved
+    this.memoryHistory = [];
+  }
+
+  async load() {
+    try {
+      if (isDatabaseConnected()) {
+        const suppressions = await Suppression.find().lean();
+        this.suppressions = new Map(
+          suppressions.map((suppression) => [String(suppression._id), suppression])
+        );
+      }
+      logger.info(`🔕 Loaded ${this.suppressions.size} suppressions`);
+    } catch (error) {
+      logger.error("Failed to load suppressions:", error);
+    }
+  }
+
+  isActive(suppression, time = new Date()) {
+    return (
+      suppression.enabled &&
+      (!suppression.expiresAt || new Date(suppression.expiresAt) > time)
+    );
+  }
+
+  describe(suppression) {
+    return { ...suppression, active: this.isActive(suppression) };
+  }
+
+  list({ active } = {}) {
+    return [...this.suppressions.values()]
+      .map((suppression) => this.describe(suppression))
+      .filter((suppression) => active === undefined || suppression.active === active)
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+  }
+
+  get(id) {
+    const suppression = this.suppressions.get(String(id));
+    return suppression ? this.describe(suppression) : null;
+  }
+
+  async validate(fields) {
+    const document = new Suppression(fields);
+    try {
+      await document.validate();
+    } catch (error) {
+      if (!error.errors) throw error;
+      throw new SuppressionValidationError(
+        Object.fromEntries(
+          Object.entries(error.errors).map(([path, detail]) => [
+            path,
+            detail.message,
+          ])
+        )
+      );
+    }
+    return document;
+  }
+
+  async create(fields, user) {
+    const document = await this.validate({
+      owner: user?.username,
+      ...pick(fields),
+      createdBy: user?._id,
+    });
+
+    let suppression;
+    if (isDatabaseConnected()) {
+      suppression = (await document.save()).toObject();
+    } else {
+      const now = new Date();
+      suppression = { ...document.toObject(), createdAt: now, updatedAt: now };
+    }
+
+    this.suppressions.set(String(suppression._id), suppression);
+    await this.audit("CREATE", null, suppression, user);
+    logger.info(
+      `🔕 Suppression ${suppression._id} created by ${user?.username || "system"}: ${suppression.reason}`
+    );
+    return this.describe(suppression);
+  }
+
+  // `match` is replaced as a whole; unset expiresAt with null
+  async update(id, fields, user) {
+    const current = this.suppressions.get(String(id));
+    if (!current) return null;
+
+    const changes = pick(fields);
+    const validated = (await this.validate({ ...current, ...changes })).toObject();
+    const next = {
+      ...current,
+      ...Object.fromEntries(
+        Object.keys(changes).map((field) => [field, validated[field] ?? null])
+      ),
+      updatedAt: new Date(),
+    };
+
+    if (isDatabaseConnected()) {
+      const saved = await Suppression.findByIdAndUpdate(
+        current._id,
+        {
+          $set: Object.fromEntries(
+            Object.keys(changes).map((field) => [field, next[field]])
+          ),
+        },
+        { new: true }
+      ).lean();
+      if (!saved) return null;
+      next.updatedAt = saved.updatedAt;
+    }
+
+    this.suppressions.set(String(id), next);
+    await this.audit("UPDATE", current, next, user);
+    logger.info(
+      `🔕 Suppression ${id} updated by ${user?.username || "system"}: ${Object.keys(changes).join(", ")}`
+    );
+    return this.describe(next);
+  }
+
+  async remove(id, user) {
+    const current = this.suppressions.get(String(id));
+    if (!current) return null;
+
+    if (isDatabaseConnected()) {
+      await Suppression.deleteOne({ _id: current._id });
+    }
+    this.suppressions.delete(String(id));
+    this.pendingHits.delete(String(id));
+    await this.audit("DELETE", current, null, user);
+    logger.info(`🔕 Suppression ${id} deleted by ${user?.username || "system"}`);
+    return current;
+  }
+
+  async audit(action, before, after, user) {
+    const entry = {
+      suppression: (after || before)._id,
+      action,
+      before,
+      after,
+      changedBy: user?._id,
+      changedByUsername: user?.username,
+    };
+
+    if (isDatabaseConnected()) {
+      try {
+        await SuppressionHistory.create(entry);
+      } catch (error) {
+        logger.error("Failed to record suppression history:", error);
+      }
+      return;
+    }
+
+    this.memoryHistory.push({ ...entry, createdAt: new Date() });
+    if (this.memoryHistory.length > MAX_MEMORY_HISTORY) {
+      this.memoryHistory.shift();
+    }
+  }
+
+  async getHistory({ suppression, limit = 50 } = {}) {
+    if (isDatabaseConnected()) {
+      return SuppressionHistory.find(suppression ? { suppression } : {})
+        .sort({ createdAt: -1 })
+        .limit(limit)
+        .lean();
+    }
+    return this.memoryHistory
+      .filter((entry) => !suppression || String(entry.suppression) === suppression)
+      .slice(-limit)
+      .reverse();
+  }
+
+  matches(suppression, threat) {
+    const { match } = suppression;
+    if (match.sourceIP && !ipInCIDR(threat.sourceIP, match.sourceIP)) return false;
+    if (match.destinationIP && !ipInCIDR(threat.destinationIP, match.destinationIP)) {
+      return false;
+    }
+    if (match.threatCategory && threat.threatCategory !== match.threatCategory) {
+      return false;
+    }
+    return ["port", "process", "ruleId"].every(
+      (field) =>
+        match[field] == null ||
+        threatValues[field](threat).some(
+          (value) => value != null && String(value) === String(match[field])
+        )
+    );
+  }
+
+  // The active suppression covering a threat, if any; counts the hit
+  match(threat, time = new Date()) {
+    for (const [id, suppression] of this.suppressions) {
+      if (!this.isActive(suppression, time) || !this.matches(suppression, threat)) {
+        continue;
+      }
+      suppression.hits = (suppression.hits || 0) + 1;
+      suppression.lastHitAt = time;
+      this.pendingHits.set(id, (this.pendingHits.get(id) || 0) + 1);
+      return suppression;
+    }
+    return null;
+  }
+
+  // Persist hit counters gathered since the last save
+  async save() {
+    if (!this.pendingHits.size || !isDatabaseConnected()) return;
+    const pending = this.pendingHits;
+    this.pendingHits = new Map();
+    try {
+      await Suppression.bulkWrite(
+        [...pending].map(([id, hits]) => ({
+          updateOne: {
+            filter: { _id: id },
+            update: {
+              $inc: { hits },
+              $set: { lastHitAt: this.suppressions.get(id)?.lastHitAt || new Date() },
+            },
+          },
+        }))
+      );
+    } catch (error) {
+      logger.error("Failed to save suppression hit counters:", error);
+    }
+  }
+}
+
+module.exports = new SuppressionService();
+module.exports.SuppressionValidationError = SuppressionValidationError;
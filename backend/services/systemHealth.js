@@ -0,0 +1,62 @@
+const EventEmitter = require("events");
+const logger = require("../utils/logger");
+
+const MAX_EVENTS = 200;
+// Repeats of the same problem are folded into one event per window
+const REPEAT_WINDOW_MS = Number(process.env.HEALTH_EVENT_REPEAT_MS || 10 * 60 * 1000);
+
+// Operational problems with the pipeline itself (bad telemetry, model drift),
+// kept apart from threats. Emits "event" for each new or re-raised problem.
+class SystemHealthService extends EventEmitter {
+  constructor() {
+    super();
+    this.events = [];
+    this.lastRaised = new Map(); // source|type -> event
+  }
+
+  report({ source, type, severity = "warning", message, details = null }) {
+    const key = `${source}|${type}`;
+    const now = Date.now();
+    const previous = this.lastRaised.get(key);
+
+    // An escalation is raised again even inside the window
+    if (
+      previous &&
+      previous.severity === severity &&
+      now - previous.lastSeen.getTime() < REPEAT_WINDOW_MS
+    ) {
+      previous.occurrences++;
+      previous.lastSeen = new Date(now);
+      previous.details = details;
+      return previous;
+    }
+
+    const event = {
+      source,
+      type,
+      severity,
+      message,
+      details,
+      occurrences: 1,
+      firstSeen: new Date(now),
+      lastSeen: new Date(now),
+    };
+    this.lastRaised.set(key, event);
+    this.events.push(event);
+    if (this.events.length > MAX_EVENTS) this.events.shift();
+
+    const log = severity === "critical" ? logger.error : logger.warn;
+    log.call(logger, `🩺 ${source}: ${message}`);
+    this.emit("event", event);
+    return event;
+  }
+
+  getEvents({ source, limit = 50 } = {}) {
+    return this.events
+      .filter((event) => !source || event.source === source)
+      .slice(-limit)
+      .reverse();
+  }
+}
+
+module.exports = new SystemHealthService();
@@ -0,0 +1,199 @@
+const EventEmitter = require("events");
+const { isDatabaseConnected } = require("../utils/database");
+const SystemSettings = require("../models/SystemSettings");
+const SystemSettingsHistory = require("../models/SystemSettingsHistory");
+const logger = require("../utils/logger");
+
+const SETTINGS_SECTIONS = [
+  "detection",
+  "anomaly",
+  "behavioral",
+  "ml",
+  "beaconing",
+  "scanning",
+  "dns",
+  "exfiltration",
+  "retroHunt",
+  "logRetentionDays",
+];
+const MAX_MEMORY_HISTORY = 100;
+
+class SettingsValidationError extends Error {
+  constructor(details) {
+    super("Invalid system settings");
+    this.name = "SettingsValidationError";
+    this.details = details;
+  }
+}
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === "object" && !Array.isArray(value);
+
+// { a: { b: 1 } } -> { "a.b": 1 }
+function flatten(object, prefix = "", result = {}) {
+  Object.entries(object).forEach(([key, value]) => {
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (isPlainObject(value)) {
+      flatten(value, path, result);
+    } else {
+      result[path] = value;
+    }
+  });
+  return result;
+}
+
+function deepMerge(target, source) {
+  const merged = { ...target };
+  Object.entries(source).forEach(([key, value]) => {
+    merged[key] =
+      isPlainObject(value) && isPlainObject(target[key])
+        ? deepMerge(target[key], value)
+        : value;
+  });
+  return merged;
+}
+
+function toSettings(document) {
+  const plain = document.toObject({ depopulate: true });
+  return Object.fromEntries(
+    SETTINGS_SECTIONS.map((section) => [section, plain[section]])
+  );
+}
+
+// Persisted, validated system settings with change history. Emits "updated"
+// with the new settings so running services can hot-reload them.
+class SystemSettingsService extends EventEmitter {
+  constructor() {
+    super();
+    this.defaults = toSettings(new SystemSettings());
+    this.settings = this.defaults;
+    this.version = 1;
+    this.updatedAt = null;
+    this.memoryHistory = [];
+  }
+
+  async load() {
+    try {
+      if (isDatabaseConnected()) {
+        const document =
+          (await SystemSettings.findOne({ key: "system" })) ||
+          (await SystemSettings.create({ key: "system" }));
+        this.settings = toSettings(document);
+        this.version = document.version;
+        this.updatedAt = document.updatedAt;
+        logger.info(`⚙️ System settings loaded (version ${this.version})`);
+      } else {
+        logger.warn("⚠️ Database unavailable; using default system settings");
+      }
+    } catch (error) {
+      logger.error("Failed to load system settings, using defaults:", error);
+    }
+
+    this.emit("updated", this.settings, { version: this.version, changes: [] });
+    return this.settings;
+  }
+
+  get() {
+    return this.settings;
+  }
+
+  async validate(changes) {
+    if (!isPlainObject(changes)) {
+      throw new SettingsValidationError({ body: "Settings must be an object" });
+    }
+
+    const knownPaths = new Set(Object.keys(flatten(this.defaults)));
+    const unknown = Object.keys(flatten(changes)).filter(
+      (path) => !knownPaths.has(path)
+    );
+    if (unknown.length > 0) {
+      throw new SettingsValidationError(
+        Object.fromEntries(unknown.map((path) => [path, "Unknown setting"]))
+      );
+    }
+
+    const document = new SystemSettings({
+      key: "system",
+      ...deepMerge(this.settings, changes),
+    });
+
+    try {
+      await document.validate();
+    } catch (error) {
+      if (!error.errors) throw error;
+      throw new SettingsValidationError(
+        Object.fromEntries(
+          Object.entries(error.errors).map(([path, detail]) => [
+            path,
+            detail.message,
+          ])
+        )
+      );
+    }
+
+    return toSettings(document);
+  }
+
+  async update(changes, user, reason) {
+    const next = await this.validate(changes);
+
+    const previous = flatten(this.settings);
+    const diff = Object.entries(flatten(next))
+      .filter(([path, value]) => previous[path] !== value)
+      .map(([path, value]) => ({ path, from: previous[path], to: value }));
+
+    if (diff.length === 0) {
+      return { settings: this.settings, version: this.version, changes: [] };
+    }
+
+    const version = this.version + 1;
+    const entry = {
+      version,
+      changes: diff,
+      settings: next,
+      changedBy: user?._id,
+      changedByUsername: user?.username,
+      reason,
+    };
+
+    if (isDatabaseConnected()) {
+      const document = await SystemSettings.findOneAndUpdate(
+        { key: "system" },
+        { ...next, version, updatedBy: user?._id },
+        { upsert: true, new: true }
+      );
+      await SystemSettingsHistory.create(entry);
+      this.updatedAt = document.updatedAt;
+    } else {
+      this.updatedAt = new Date();
+      this.memoryHistory.push({ ...entry, createdAt: this.updatedAt });
+      if (this.memoryHistory.length > MAX_MEMORY_HISTORY) {
+        this.memoryHistory.shift();
+      }
+    }
+
+    this.settings = next;
+    this.version = version;
+    logger.info(
+      `⚙️ System settings updated to version ${version} by ${
+        user?.username || "system"
+      }: ${diff.map((change) => change.path).join(", ")}`
+    );
+    this.emit("updated", next, { version, changes: diff });
+
+    return { settings: next, version, changes: diff };
+  }
+
+  async getHistory(limit = 50) {
+    if (isDatabaseConnected()) {
+      return SystemSettingsHistory.find()
+        .sort({ createdAt: -1 })
+        .limit(limit)
+        .lean();
+    }
+    return this.memoryHistory.slice(-limit).reverse();
+  }
+}
+
+module.exports = new SystemSettingsService();
+module.exports.SettingsValidationError = SettingsValidationError;
@@ -0,0 +1,168 @@
+const fs = require("fs");
+const path = require("path");
+const readline = require("readline");
+const { parseIP, isPrivateIP } = require("../utils/ipUtils");
+const { listeningPorts, isOutbound } = require("../utils/connections");
+const logger = require("../utils/logger");
+
+const DATA_DIR =
+  process.env.TELEMETRY_DATA_DIR || path.join(__dirname, "..", "data", "telemetry");
+const FILE_PATTERN = /^telemetry-(\d{4}-\d{2}-\d{2})\.jsonl$/;
+const MAX_PENDING = Number(process.env.TELEMETRY_MAX_PENDING || 50000);
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+const fileFor = (time) =>
+  `telemetry-${new Date(time).toISOString().slice(0, 10)}.jsonl`;
+
+// Raw network telemetry kept for retro-hunts: external connections and DNS
+// lookups, rolled up per hour so a long-lived connection is one record
+// rather than one per snapshot. Records are appended to a JSON Lines file
+// per day and dropped after the log retention period.
+class TelemetryArchive {
+  constructor() {
+    this.pending = new Map(); // record key -> record for the current hour
+    this.hour = null;
+    this.persistent = false;
+  }
+
+  async load() {
+    try {
+      await fs.promises.mkdir(DATA_DIR, { recursive: true });
+      this.persistent = true;
+      logger.info(`🗄️ Archiving network telemetry in ${DATA_DIR}`);
+    } catch (error) {
+      logger.error("Failed to open the telemetry archive:", error);
+    }
+  }
+
+  // Nothing is archived until load() has found somewhere to write
+  record(networkData, time = new Date()) {
+    if (!this.persistent) return;
+    const now = time.getTime();
+    const hour = Math.floor(now / HOUR_MS);
+    if (this.hour !== null && hour !== this.hour) this.flush();
+    this.hour = hour;
+
+    const connections = networkData.connections || [];
+    const listening = listeningPorts(connections);
+    connections.forEach((connection) => {
+      const { remoteIP } = connection;
+      if (connection.state === "LISTEN" || !parseIP(remoteIP) || isPrivateIP(remoteIP)) {
+        return;
+      }
+      const outbound = isOutbound(connection, listening);
+      // The service port: the remote one for outbound connections
+      this.add(now, {
+        kind: "connection",
+        direction: outbound ? "outbound" : "inbound",
+        localIP: connection.localIP,
+        remoteIP,
+        port: outbound ? connection.remotePort : connection.localPort,
+        process: connection.process,
+      });
+    });
+
+    const defaultClient = networkData.localIPs?.[0]?.ip;
+    (networkData.dnsQueries || []).forEach((query) => {
+      if (!query.query) return;
+      this.add(query.timestamp ? new Date(query.timestamp).getTime() : now, {
+        kind: "dns",
+        clientIP: query.client || defaultClient,
+        domain: query.query,
+      });
+    });
+
+    if (this.pending.size >= MAX_PENDING) this.flush();
+  }
+
+  add(time, fields) {
+    const key = Object.values(fields).join("|");
+    const record = this.pending.get(key);
+    if (record) {
+      record.count++;
+      record.firstSeen = Math.min(record.firstSeen, time);
+      record.lastSeen = Math.max(record.lastSeen, time);
+    } else {
+      this.pending.set(key, { ...fields, firstSeen: time, lastSeen: time, count: 1 });
+    }
+  }
+
+  // Append pending records to the file of the day they were first seen
+  async flush() {
+    if (!this.pending.size || !this.persistent) return;
+    const byFile = new Map();
+    this.pending.forEach((record) => {
+      const file = fileFor(record.firstSeen);
+      if (!byFile.has(file)) byFile.set(file, []);
+      byFile.get(file).push(JSON.stringify(record));
+    });
+    this.pending = new Map();
+
+    try {
+      for (const [file, lines] of byFile) {
+        await fs.promises.appendFile(path.join(DATA_DIR, file), lines.join("\n") + "\n");
+      }
+    } catch (error) {
+      logger.error("Failed to write network telemetry:", error);
+    }
+  }
+
+  async save(retentionDays) {
+    await this.flush();
+    if (retentionDays) await this.prune(retentionDays);
+  }
+
+  async prune(retentionDays, time = new Date()) {
+    if (!this.persistent) return;
+    const cutoff = fileFor(time.getTime() - retentionDays * DAY_MS);
+    try {
+      const files = await fs.promises.readdir(DATA_DIR);
+      for (const file of files) {
+        if (FILE_PATTERN.test(file) && file < cutoff) {
+          await fs.promises.unlink(path.join(DATA_DIR, file));
+        }
+      }
+    } catch (error) {
+      logger.error("Failed to prune network telemetry:", error);
+    }
+  }
+
+  // Archived records last seen at or after `since`, oldest file first,
+  // followed by those not yet written
+  async *scan({ since = new Date(0) } = {}) {
+    const from = since.getTime();
+    let files = [];
+    if (this.persistent) {
+      // Records span at most an hour, so one first seen the day before may
+      // still reach into the range
+      const firstFile = fileFor(from - HOUR_MS);
+      files = (await fs.promises.readdir(DATA_DIR))
+        .filter((file) => FILE_PATTERN.test(file) && file >= firstFile)
+        .sort();
+    }
+
+    for (const file of files) {
+      const lines = readline.createInterface({
+        input: fs.createReadStream(path.join(DATA_DIR, file)),
+        crlfDelay: Infinity,
+      });
+      for await (const line of lines) {
+        if (!line) continue;
+        let record;
+        try {
+          record = JSON.parse(line);
+        } catch {
+          continue;
+        }
+        if (record.lastSeen >= from) yield record;
+      }
+    }
+
+    for (const record of [...this.pending.values()]) {
+      if (record.lastSeen >= from) yield record;
+    }
+  }
+}
+
+module.exports = new TelemetryArchive();
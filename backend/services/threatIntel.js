@@ -0,0 +1,448 @@
+const EventEmitter = require("events");
+const fs = require("fs");
+const path = require("path");
+const { isDatabaseConnected } = require("../utils/database");
+const Indicator = require("../models/Indicator");
+const { parseIP, parseCIDR } = require("../utils/ipUtils");
+const logger = require("../utils/logger");
+
+const SEED_FILE =
+  process.env.INTEL_SEED_FILE ||
+  path.join(__dirname, "..", "data", "intel", "seed-indicators.json");
+const WRITE_BATCH = 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const HASH_PATTERN = /^(?:[a-f0-9]{32}|[a-f0-9]{40}|[a-f0-9]{64}|[a-f0-9]{128})$/;
+const DOMAIN_PATTERN = /^(?:\*\.)?(?:[a-z0-9_-]+\.)+[a-z0-9-]+$/;
+const URL_PATTERN = /^[a-z][a-z0-9+.-]*:\/\//i;
+
+function guessType(value) {
+  if (parseIP(value)) return "ip";
+  if (value.includes("/") && !URL_PATTERN.test(value) && parseCIDR(value)) {
+    return "cidr";
+  }
+  if (URL_PATTERN.test(value)) return "url";
+  if (HASH_PATTERN.test(value.toLowerCase())) return "hash";
+  if (DOMAIN_PATTERN.test(value.toLowerCase().replace(/\.$/, ""))) return "domain";
+  return null;
+}
+
+// Canonical value and index key of an indicator, or null when invalid
+function normalize(type, rawValue) {
+  const value = String(rawValue ?? "").trim();
+  if (!value) return null;
+  type = type ? String(type).toLowerCase() : guessType(value);
+
+  switch (type) {
+    case "ip":
+    case "cidr": {
+      const range = parseCIDR(value);
+      if (!range) return null;
+      return {
+        type: range.prefix === range.bits && !value.includes("/") ? "ip" : "cidr",
+        value,
+        key: networkKey(range.version, range.prefix, range.network),
+      };
+    }
+    case "domain": {
+      const domain = value.toLowerCase().replace(/\.$/, "");
+      if (!DOMAIN_PATTERN.test(domain)) return null;
+      // "*.example.com" lists subdomains only, "example.com" the domain too
+      return domain.startsWith("*.")
+        ? { type, value: domain, key: `subdomain:${domain.slice(2)}` }
+        : { type, value: domain, key: `domain:${domain}` };
+    }
+    case "url":
+      try {
+        const href = new URL(value).href;
+        return { type, value: href, key: `url:${href}` };
+      } catch (error) {
+        return null;
+      }
+    case "hash": {
+      const hash = value.toLowerCase();
+      return HASH_PATTERN.test(hash) ? { type, value: hash, key: `hash:${hash}` } : null;
+    }
+    default:
+      return null;
+  }
+}
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+function networkKey(version, prefix, network) {
+  return `net${version}:${prefix}:${network.toString(16)}`;
+}
+
+// Indicators of compromise from every feed, indexed in memory for constant
+// time lookups: addresses and networks by prefix length, domains by suffix
+// (one lookup per label), URLs and hashes by value. MongoDB holds the
+// persistent copy; without it the store only lives for the process.
+// Emits "added" with the values new to the store once it has loaded.
+class ThreatIntelService extends EventEmitter {
+  constructor() {
+    super();
+    this.index = new Map(); // key -> entries, one per source
+    this.prefixes = { 4: new Set(), 6: new Set() }; // Network prefix lengths in use
+    this.size = 0;
+    this.loading = null;
+    this.loaded = false;
+  }
+
+  // Safe to call more than once; the store is only read the first time
+  load() {
+    if (!this.loading) this.loading = this.loadIndicators();
+    return this.loading;
+  }
+
+  async loadIndicators() {
+    try {
+      if (isDatabaseConnected()) {
+        const cursor = Indicator.find({
+          $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }],
+        })
+          .select("-_id -__v -createdAt -updatedAt")
+          .lean()
+          .cursor();
+        for await (const indicator of cursor) {
+          this.addToIndex(indicator);
+        }
+      }
+      await this.importSeed();
+      this.loaded = true;
+      logger.info(`🛡️ Loaded ${this.size} threat intelligence indicators`);
+    } catch (error) {
+      logger.error("Failed to load threat intelligence indicators:", error);
+    }
+  }
+
+  async importSeed() {
+    if (!fs.existsSync(SEED_FILE)) return;
+    const seed = JSON.parse(await fs.promises.readFile(SEED_FILE, "utf8"));
+    await this.upsert(seed.indicators || [], { source: seed.source || "seed" });
+  }
+
+  addToIndex(indicator) {
+    const normalized = normalize(indicator.type, indicator.value);
+    if (!normalized) return false;
+
+    // Only what matching needs; the rest stays in MongoDB
+    const entry = {
+      type: normalized.type,
+      value: normalized.value,
+      source: indicator.source,
+      confidence: indicator.confidence ?? 0.5,
+      threatCategory: indicator.threatCategory,
+      stixId: indicator.stixId,
+      // Epoch milliseconds
+      expiresAt: indicator.expiresAt ? new Date(indicator.expiresAt).getTime() : null,
+    };
+    const entries = this.index.get(normalized.key) || [];
+    const existing = entries.findIndex((item) => item.source === entry.source);
+    if (existing === -1) {
+      entries.push(entry);
+      this.size++;
+    } else {
+      entries[existing] = entry;
+    }
+    this.index.set(normalized.key, entries);
+
+    if (normalized.key.startsWith("net")) {
+      const [, version, prefix] = normalized.key.match(/^net(\d):(\d+):/);
+      this.prefixes[version].add(Number(prefix));
+    }
+    return true;
+  }
+
+  removeFromIndex(key, { source, stixId } = {}) {
+    const entries = this.index.get(key);
+    if (!entries) return 0;
+    const kept = entries.filter(
+      (entry) =>
+        (source && entry.source !== source) || (stixId && entry.stixId !== stixId)
+    );
+    this.size -= entries.length - kept.length;
+    if (kept.length) {
+      this.index.set(key, kept);
+    } else {
+      this.index.delete(key);
+    }
+    return entries.length - kept.length;
+  }
+
+  // Add or refresh indicators from one source. `ttlDays` sets the expiry of
+  // indicators that do not carry their own; returns counts.
+  async upsert(indicators, { source, ttlDays } = {}) {
+    const now = new Date();
+    const accepted = [];
+    let rejected = 0;
+
+    indicators.forEach((indicator) => {
+      const normalized = normalize(indicator.type, indicator.value);
+      const confidence = indicator.confidence ?? 0.5;
+      const feed = indicator.source || source;
+      if (!normalized || !feed || !(confidence >= 0 && confidence <= 1)) {
+        rejected++;
+        return;
+      }
+      const expiresAt =
+        indicator.expiresAt ||
+        (ttlDays ? new Date(now.getTime() + ttlDays * DAY_MS) : null);
+      accepted.push({
+        type: normalized.type,
+        value: normalized.value,
+        source: feed,
+        confidence,
+        threatCategory: indicator.threatCategory,
+        description: indicator.description,
+        tags: indicator.tags,
+        stixId: indicator.stixId,
+        firstSeen: indicator.firstSeen || now,
+        lastSeen: indicator.lastSeen || now,
+        expiresAt: expiresAt ? new Date(expiresAt) : null,
+      });
+    });
+
+    if (isDatabaseConnected()) {
+      for (let i = 0; i < accepted.length; i += WRITE_BATCH) {
+        await Indicator.bulkWrite(
+          accepted.slice(i, i + WRITE_BATCH).map(({ firstSeen, ...indicator }) => ({
+            updateOne: {
+              filter: {
+                type: indicator.type,
+                value: indicator.value,
+                source: indicator.source,
+              },
+              update: { $set: indicator, $setOnInsert: { firstSeen } },
+              upsert: true,
+            },
+          })),
+          { ordered: false }
+        );
+      }
+    }
+
+    // Values no source listed before
+    const added = [];
+    accepted.forEach((indicator) => {
+      const known = this.index.has(normalize(indicator.type, indicator.value).key);
+      if (this.addToIndex(indicator) && !known) added.push(indicator);
+    });
+    if (this.loaded && added.length) this.emit("added", added);
+    return { accepted: accepted.length, rejected };
+  }
+
+  // Make `indicators` the full contents of a source: upserts them and removes
+  // whatever the source listed before but no longer does
+  async replaceSource(source, indicators, options = {}) {
+    const previous = new Map();
+    this.index.forEach((entries, key) => {
+      const entry = entries.find((candidate) => candidate.source === source);
+      if (entry) previous.set(key, entry);
+    });
+
+    const current = new Set();
+    indicators.forEach((indicator) => {
+      const normalized = normalize(indicator.type, indicator.value);
+      if (normalized) current.add(normalized.key);
+    });
+
+    const { accepted, rejected } = await this.upsert(indicators, { ...options, source });
+
+    const removed = [...previous].filter(([key]) => !current.has(key));
+    if (isDatabaseConnected()) {
+      for (let i = 0; i < removed.length; i += WRITE_BATCH) {
+        await Indicator.deleteMany({
+          source,
+          $or: removed
+            .slice(i, i + WRITE_BATCH)
+            .map(([, entry]) => ({ type: entry.type, value: entry.value })),
+        });
+      }
+    }
+    removed.forEach(([key]) => this.removeFromIndex(key, { source }));
+
+    const added = [...current].filter((key) => !previous.has(key)).length;
+    return {
+      accepted,
+      rejected,
+      added,
+      removed: removed.length,
+      unchanged: current.size - added,
+    };
+  }
+
+  // Remove a value from every source, or only where it came from one source
+  // or STIX indicator
+  async remove(type, value, { source, stixId } = {}) {
+    const normalized = normalize(type, value);
+    if (!normalized) return 0;
+    if (isDatabaseConnected()) {
+      await Indicator.deleteMany({
+        type: normalized.type,
+        value: normalized.value,
+        ...(source ? { source } : {}),
+        ...(stixId ? { stixId } : {}),
+      });
+    }
+    return this.removeFromIndex(normalized.key, { source, stixId });
+  }
+
+  // Drop expired indicators from the index; MongoDB expires its own copy
+  prune(time = new Date()) {
+    let removed = 0;
+    this.index.forEach((entries, key) => {
+      const kept = entries.filter((entry) => !this.isExpired(entry, time));
+      if (kept.length === entries.length) return;
+      removed += entries.length - kept.length;
+      if (kept.length) {
+        this.index.set(key, kept);
+      } else {
+        this.index.delete(key);
+      }
+    });
+    this.size -= removed;
+    if (removed) logger.info(`🛡️ Expired ${removed} threat intelligence indicators`);
+    return removed;
+  }
+
+  isExpired(entry, time = new Date()) {
+    return entry.expiresAt !== null && entry.expiresAt <= time.getTime();
+  }
+
+  lookup(key) {
+    const now = new Date();
+    return (this.index.get(key) || []).filter((entry) => !this.isExpired(entry, now));
+  }
+
+  // Addresses, and networks containing them; one lookup per prefix length
+  matchIP(ip) {
+    const address = parseIP(ip);
+    if (!address) return [];
+    return [...this.prefixes[address.version]].flatMap((prefix) => {
+      const hostBits = BigInt(address.bits - prefix);
+      const network = (address.value >> hostBits) << hostBits;
+      return this.lookup(networkKey(address.version, prefix, network));
+    });
+  }
+
+  // The name and each parent domain; "*." entries only match below them
+  matchDomain(name) {
+    const labels = String(name || "")
+      .toLowerCase()
+      .replace(/\.$/, "")
+      .split(".")
+      .filter(Boolean);
+    return labels.flatMap((_, i) => {
+      const suffix = labels.slice(i).join(".");
+      return [
+        ...this.lookup(`domain:${suffix}`),
+        ...(i > 0 ? this.lookup(`subdomain:${suffix}`) : []),
+      ];
+    });
+  }
+
+  matchUrl(url) {
+    const normalized = normalize("url", url);
+    return normalized ? this.lookup(normalized.key) : [];
+  }
+
+  matchHash(hash) {
+    const normalized = normalize("hash", hash);
+    return normalized ? this.lookup(normalized.key) : [];
+  }
+
+  // Any kind of value, for ad-hoc lookups
+  match(value) {
+    const type = guessType(String(value || "").trim());
+    if (type === "ip") return this.matchIP(value);
+    if (type === "domain") return this.matchDomain(value);
+    if (type === "url") return this.matchUrl(value);
+    if (type === "hash") return this.matchHash(value);
+    return [];
+  }
+
+  // Indicator matches on a threat's entities, recorded on the threat with
+  // the feed that listed each one
+  matchThreat(threat) {
+    const candidates = [
+      ["sourceIP", threat.sourceIP, "ip"],
+      ["destinationIP", threat.destinationIP, "ip"],
+      ["dns.domain", threat.dns?.domain, "domain"],
+      ...(threat.dns?.domains || []).map((domain) => ["dns.domains", domain, "domain"]),
+    ];
+
+    const matches = [];
+    const seen = new Set();
+    candidates.forEach(([field, value, kind]) => {
+      if (!value) return;
+      const entries = kind === "ip" ? this.matchIP(value) : this.matchDomain(value);
+      entries.forEach((entry) => {
+        const key = `${field}|${entry.type}|${entry.value}|${entry.source}`;
+        if (seen.has(key)) return;
+        seen.add(key);
+        matches.push({
+          field,
+          value,
+          indicator: entry.value,
+          type: entry.type,
+          source: entry.source,
+          confidence: entry.confidence,
+          threatCategory: entry.threatCategory,
+          stixId: entry.stixId,
+        });
+      });
+    });
+    return matches;
+  }
+
+  // Indicators for the API, filtered by type, source or a value substring.
+  // Full records come from MongoDB; without it, from the index.
+  async list({ type, source, search, limit = 100, offset = 0 } = {}) {
+    const needle = search ? String(search).toLowerCase() : null;
+    if (isDatabaseConnected()) {
+      return Indicator.find({
+        ...(type ? { type } : {}),
+        ...(source ? { source } : {}),
+        ...(needle ? { value: { $regex: escapeRegExp(needle) } } : {}),
+      })
+        .sort({ lastSeen: -1 })
+        .skip(offset)
+        .limit(limit)
+        .lean();
+    }
+
+    const results = [];
+    let skipped = 0;
+    for (const entries of this.index.values()) {
+      for (const entry of entries) {
+        if (type && entry.type !== type) continue;
+        if (source && entry.source !== source) continue;
+        if (needle && !entry.value.includes(needle)) continue;
+        if (skipped < offset) {
+          skipped++;
+          continue;
+        }
+        results.push(entry);
+        if (results.length >= limit) return results;
+      }
+    }
+    return results;
+  }
+
+  stats() {
+    const byType = {};
+    const bySource = {};
+    this.index.forEach((entries) => {
+      entries.forEach((entry) => {
+        byType[entry.type] = (byType[entry.type] || 0) + 1;
+        bySource[entry.source] = (bySource[entry.source] || 0) + 1;
+      });
+    });
+    return { total: this.size, byType, bySource };
+  }
+}
+
+module.exports = new ThreatIntelService();
+module.exports.ThreatIntelService = ThreatIntelService;
+module.exports.normalize = normalize;
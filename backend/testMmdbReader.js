@@ -0,0 +1,252 @@
+// Builds small MaxMind DB files in memory, one per record size, and checks
+// the reader's IPv4, IPv6, pointer and missing-address lookups.
+const assert = require("assert");
+const MmdbReader = require("./utils/mmdbReader");
+const { MmdbFormatError } = require("./utils/mmdbReader");
+const { parseIP } = require("./utils/ipUtils");
+
+const METADATA_MARKER = Buffer.from("\xab\xcd\xefMaxMind.com", "latin1");
+const TYPE_IDS = { pointer: 1, string: 2, double: 3, uint16: 5, uint32: 6, map: 7, uint64: 9, array: 11, boolean: 14 };
+
+// Control byte(s) for a type and payload size, extended types and sizes included
+function control(type, size) {
+  const id = TYPE_IDS[type];
+  const bytes = [];
+  let sizeBits = size;
+  const extra = [];
+  if (size >= 285) {
+    sizeBits = 30;
+    extra.push((size - 285) >> 8, (size - 285) & 0xff);
+  } else if (size >= 29) {
+    sizeBits = 29;
+    extra.push(size - 29);
+  }
+  bytes.push(((id > 7 ? 0 : id) << 5) | sizeBits);
+  if (id > 7) bytes.push(id - 7);
+  return Buffer.from([...bytes, ...extra]);
+}
+
+function encode(value) {
+  if (value instanceof Pointer) return value.encode();
+  if (typeof value === "string") {
+    const payload = Buffer.from(value);
+    return Buffer.concat([control("string", payload.length), payload]);
+  }
+  if (typeof value === "boolean") return control("boolean", value ? 1 : 0);
+  if (typeof value === "bigint") {
+    const payload = Buffer.alloc(8);
+    payload.writeBigUInt64BE(value);
+    return Buffer.concat([control("uint64", 8), payload]);
+  }
+  if (typeof value === "number" && !Number.isInteger(value)) {
+    const payload = Buffer.alloc(8);
+    payload.writeDoubleBE(value);
+    return Buffer.concat([control("double", 8), payload]);
+  }
+  if (typeof value === "number") {
+    // Leading zero bytes are left out, as real writers do
+    const size = value > 0xffff ? 4 : value > 0xff ? 2 : value > 0 ? 1 : 0;
+    const payload = Buffer.alloc(size);
+    if (size) payload.writeUIntBE(value, 0, size);
+    return Buffer.concat([control(size > 2 ? "uint32" : "uint16", size), payload]);
+  }
+  if (Array.isArray(value)) {
+    return Buffer.concat([control("array", value.length), ...value.map(encode)]);
+  }
+  const entries = Object.entries(value);
+  return Buffer.concat([
+    control("map", entries.length),
+    ...entries.flatMap(([key, field]) => [encode(key), encode(field)]),
+  ]);
+}
+
+// Reference to a value elsewhere in the data section
+class Pointer {
+  constructor(offset) {
+    this.offset = offset;
+  }
+
+  encode() {
+    if (this.offset < 2048) {
+      return Buffer.from([0x20 | (this.offset >> 8), this.offset & 0xff]);
+    }
+    const value = this.offset - 2048;
+    return Buffer.from([0x28 | (value >> 16), (value >> 8) & 0xff, value & 0xff]);
+  }
+}
+
+// Search tree over `networks` ([cidr, data offset]) followed by the data
+// section and metadata
+function buildDatabase(networks, data, { recordSize, ipVersion = 6 }) {
+  const root = {};
+  networks.forEach(([cidr, offset]) => {
+    const [address, prefix] = cidr.split("/");
+    const { version, value, bits } = parseIP(address);
+    const skip = ipVersion === 6 && version === 4 ? 96 : 0; // IPv4 under ::/96
+    const depth = skip + Number(prefix);
+    let node = root;
+    for (let i = 0; i < depth; i++) {
+      const bit = i < skip ? 0 : Number((value >> BigInt(bits - 1 - (i - skip))) & 1n);
+      if (i === depth - 1) {
+        node[bit] = { offset };
+      } else {
+        node = node[bit] ||= {};
+      }
+    }
+  });
+
+  const nodes = [];
+  const queue = [root];
+  while (queue.length) {
+    const node = queue.shift();
+    node.id = nodes.length;
+    nodes.push(node);
+    [0, 1].forEach((bit) => {
+      if (node[bit] && node[bit].offset === undefined) queue.push(node[bit]);
+    });
+  }
+
+  const nodeCount = nodes.length;
+  const nodeBytes = (recordSize * 2) / 8;
+  const tree = Buffer.alloc(nodeCount * nodeBytes);
+  const record = (child) => {
+    if (!child) return nodeCount;
+    return child.offset === undefined ? child.id : nodeCount + 16 + child.offset;
+  };
+  nodes.forEach((node, index) => {
+    const [left, right] = [record(node[0]), record(node[1])];
+    const at = index * nodeBytes;
+    if (recordSize === 24) {
+      tree.writeUIntBE(left, at, 3);
+      tree.writeUIntBE(right, at + 3, 3);
+    } else if (recordSize === 28) {
+      tree.writeUIntBE(left & 0xffffff, at, 3);
+      tree[at + 3] = ((left >> 24) << 4) | (right >> 24);
+      tree.writeUIntBE(right & 0xffffff, at + 4, 3);
+    } else {
+      tree.writeUInt32BE(left, at);
+      tree.writeUInt32BE(right, at + 4);
+    }
+  });
+
+  const metadata = encode({
+    node_count: nodeCount,
+    record_size: recordSize,
+    ip_version: ipVersion,
+    database_type: "Test-City",
+    languages: ["en"],
+    binary_format_major_version: 2,
+    binary_format_minor_version: 0,
+    build_epoch: 1700000000n,
+  });
+  return Buffer.concat([tree, Buffer.alloc(16), data, METADATA_MARKER, metadata]);
+}
+
+// Data section with countries shared through pointers: Germany at offset 0
+// (one-byte pointer), Ireland past 2048 bytes of padding (two-byte pointer)
+function buildData() {
+  const parts = [];
+  let length = 0;
+  const add = (value) => {
+    const offset = length;
+    const bytes = encode(value);
+    parts.push(bytes);
+    length += bytes.length;
+    return offset;
+  };
+
+  const germany = add({ iso_code: "DE", names: { en: "Germany" } });
+  add("x".repeat(3000)); // Unreferenced; pushes what follows past 2048
+  const ireland = add({ iso_code: "IE", names: { en: "Ireland" } });
+
+  const offsets = {
+    frankfurt: add({
+      country: new Pointer(germany),
+      city: { names: { en: "Frankfurt" } },
+      location: { latitude: 50.1109, longitude: 8.6821 },
+      autonomous_system_number: 206728,
+    }),
+    dublin: add({
+      country: new Pointer(ireland),
+      registered_country: new Pointer(germany),
+      location: { latitude: 53.3498, longitude: -6.2603 },
+    }),
+    plain: add({
+      count: 0,
+      big: 2n ** 60n,
+      flags: [true, false],
+      small: 300,
+    }),
+  };
+  return { data: Buffer.concat(parts), offsets };
+}
+
+function checkLookups(recordSize) {
+  const { data, offsets } = buildData();
+  const reader = new MmdbReader(
+    buildDatabase(
+      [
+        ["45.142.212.0/24", offsets.frankfurt],
+        ["2a00:1450::/32", offsets.dublin],
+        ["8.8.8.8/32", offsets.plain],
+      ],
+      data,
+      { recordSize }
+    )
+  );
+  const label = `record size ${recordSize}`;
+
+  assert.strictEqual(reader.metadata.database_type, "Test-City", label);
+  assert.strictEqual(reader.metadata.build_epoch, 1700000000, label);
+
+  assert.deepStrictEqual(
+    reader.get("45.142.212.61"),
+    {
+      country: { iso_code: "DE", names: { en: "Germany" } },
+      city: { names: { en: "Frankfurt" } },
+      location: { latitude: 50.1109, longitude: 8.6821 },
+      autonomous_system_number: 206728,
+    },
+    label
+  );
+  const dublin = reader.get("2a00:1450:4001:81c::200e");
+  assert.strictEqual(dublin?.country.names.en, "Ireland", label);
+  assert.strictEqual(dublin.registered_country.iso_code, "DE", label);
+  // IPv4-mapped IPv6 addresses are looked up as IPv4
+  assert.strictEqual(reader.get("::ffff:45.142.212.1")?.city.names.en, "Frankfurt", label);
+  assert.deepStrictEqual(
+    reader.get("8.8.8.8"),
+    { count: 0, big: (2n ** 60n).toString(), flags: [true, false], small: 300 },
+    label
+  );
+
+  ["45.142.213.1", "8.8.8.9", "2a00:1451::1", "2001:db8::1", "not an address"].forEach(
+    (ip) => assert.strictEqual(reader.get(ip), null, `${label}: ${ip} found`)
+  );
+}
+
+function checkIPv4Database() {
+  const { data, offsets } = buildData();
+  const reader = new MmdbReader(
+    buildDatabase([["45.142.212.0/24", offsets.frankfurt]], data, {
+      recordSize: 24,
+      ipVersion: 4,
+    })
+  );
+  assert.strictEqual(reader.get("45.142.212.9")?.country.iso_code, "DE");
+  assert.strictEqual(reader.get("2a00:1450::1"), null);
+}
+
+function main() {
+  [24, 28, 32].forEach(checkLookups);
+  checkIPv4Database();
+  assert.throws(() => new MmdbReader(Buffer.from("not a database")), MmdbFormatError);
+  console.log("✅ MMDB reader works: 24, 28 and 32-bit records, IPv4, IPv6 and pointers");
+}
+
+try {
+  main();
+} catch (error) {
+  console.error("❌ MMDB reader test failed:", error.message);
+  process.exit(1);
+}
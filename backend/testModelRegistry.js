@@ -0,0 +1,73 @@
+// Checks that the model registry's rollback walks back through the versions
+// that were active, and that pruning keeps those versions on disk.
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const ModelRegistry = require("./ml/ModelRegistry");
+
+async function registerAndPromote(registry, count) {
+  for (let i = 0; i < count; i++) {
+    const { version } = await registry.register({ weights: [i] }, { trainedOn: i });
+    await registry.promote(version);
+  }
+}
+
+// What the anomaly model does on POST /models/rollback
+async function rollback(registry) {
+  const target = registry.getRollbackTarget();
+  if (target) await registry.promote(target.version, null, "rollback");
+  return target?.version || null;
+}
+
+async function checkRollback(directory) {
+  const registry = await new ModelRegistry(directory).load();
+  await registerAndPromote(registry, 3);
+
+  assert.strictEqual(await rollback(registry), "v2");
+  assert.strictEqual(await rollback(registry), "v1", "Second rollback returned to v3");
+  assert.strictEqual(await rollback(registry), null);
+  assert.strictEqual(registry.getActive().version, "v1");
+
+  // A promotion after rolling back is undone by the next rollback
+  await registry.promote("v3");
+  assert.strictEqual(await rollback(registry), "v1");
+
+  // The stack survives a reload from disk
+  await registry.promote("v2");
+  const reloaded = await new ModelRegistry(directory).load();
+  assert.strictEqual(reloaded.getRollbackTarget()?.version, "v1");
+}
+
+async function checkPrune(directory) {
+  const registry = await new ModelRegistry(directory, { maxVersions: 3 }).load();
+  await registerAndPromote(registry, 3);
+  assert.strictEqual(await rollback(registry), "v2");
+
+  // v1 is what the next rollback returns to, so it outlives newer v3
+  await registry.register({ weights: [] }, {});
+  assert.deepStrictEqual(
+    registry.list().map((entry) => entry.version),
+    ["v1", "v2", "v4"]
+  );
+  assert.strictEqual(fs.existsSync(registry.artifactPath("v3")), false);
+  assert.strictEqual(await rollback(registry), "v1");
+}
+
+async function main() {
+  const directory = await fs.promises.mkdtemp(path.join(os.tmpdir(), "model-registry-"));
+  try {
+    await checkRollback(path.join(directory, "rollback"));
+    await checkPrune(path.join(directory, "prune"));
+  } finally {
+    await fs.promises.rm(directory, { recursive: true, force: true });
+  }
+  console.log("✅ Model registry rolls back through earlier versions in order");
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error("❌ Model registry test failed:", error.message);
+    process.exit(1);
+  });
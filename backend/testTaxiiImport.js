@@ -0,0 +1,199 @@
+// Polls a local stand-in TAXII 2.1 server twice and checks what the STIX
+// importer puts into, and takes back out of, the IOC store.
+const assert = require("assert");
+const http = require("http");
+const threatIntel = require("./services/threatIntel");
+const stixImporter = require("./services/stixImporter");
+
+const TOKEN = "taxii-test-token";
+const SERVER_PAGE_SIZE = 2; // Smaller than the client asks for, to force paging
+const SHA256 = "a".repeat(64);
+
+const indicator = (id, pattern, fields = {}) => ({
+  type: "indicator",
+  spec_version: "2.1",
+  id: `indicator--${id}`,
+  created: "2025-01-01T00:00:00.000Z",
+  modified: "2025-01-01T00:00:00.000Z",
+  pattern,
+  pattern_type: "stix",
+  valid_from: "2025-01-01T00:00:00.000Z",
+  ...fields,
+});
+
+const FIRST_BATCH = [
+  { type: "malware", spec_version: "2.1", id: "malware--00000000-0000-4000-8000-000000000009" },
+  indicator("00000000-0000-4000-8000-000000000001", "[ipv4-addr:value = '198.51.100.7']", {
+    confidence: 80,
+    name: "C2 server",
+  }),
+  indicator("00000000-0000-4000-8000-000000000002", "[ipv4-addr:value ISSUBSET '203.0.113.0/24']"),
+  indicator(
+    "00000000-0000-4000-8000-000000000003",
+    "[domain-name:value = 'bad.example'] OR [url:value = 'http://evil.example/payload.exe']"
+  ),
+  indicator("00000000-0000-4000-8000-000000000004", `[file:hashes.'SHA-256' = '${SHA256}']`),
+  indicator(
+    "00000000-0000-4000-8000-000000000005",
+    "[ipv4-addr:value = '192.0.2.1' AND network-traffic:dst_port = 443]"
+  ),
+  indicator(
+    "00000000-0000-4000-8000-000000000006",
+    "[ipv4-addr:value = '192.0.2.2'] FOLLOWEDBY [domain-name:value = 'later.example']"
+  ),
+  indicator("00000000-0000-4000-8000-000000000007", "[ipv4-addr:value = '192.0.2.9']", {
+    valid_until: "2020-01-01T00:00:00.000Z",
+  }),
+  indicator("00000000-0000-4000-8000-000000000008", "title:\"rule\"", {
+    pattern_type: "sigma",
+  }),
+];
+
+const SECOND_BATCH = [
+  indicator("00000000-0000-4000-8000-000000000001", "[ipv4-addr:value = '198.51.100.7']", {
+    modified: "2025-02-01T00:00:00.000Z",
+    revoked: true,
+  }),
+  indicator("00000000-0000-4000-8000-000000000010", "[ipv6-addr:value = '2001:db8::1']"),
+];
+
+// Stand-in TAXII server: one collection, objects stamped with the time they
+// were added, paged with `next` and filtered by `added_after`
+function createTaxiiServer() {
+  const collection = [];
+  const requests = [];
+  let clock = Date.UTC(2025, 0, 1);
+
+  const add = (objects) =>
+    objects.forEach((object) =>
+      collection.push({ object, dateAdded: new Date((clock += 1000)).toISOString() })
+    );
+
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, "http://localhost");
+    requests.push(url);
+
+    if (req.headers.authorization !== `Bearer ${TOKEN}`) {
+      res.writeHead(401);
+      return res.end();
+    }
+    if (req.headers.accept !== "application/taxii+json;version=2.1") {
+      res.writeHead(406);
+      return res.end();
+    }
+    if (url.pathname !== "/api1/collections/intel/objects/") {
+      res.writeHead(404);
+      return res.end();
+    }
+
+    const addedAfter = url.searchParams.get("added_after");
+    const type = url.searchParams.get("match[type]");
+    const matching = collection.filter(
+      ({ object, dateAdded }) =>
+        (!addedAfter || dateAdded > addedAfter) && (!type || object.type === type)
+    );
+    const start = parseInt(url.searchParams.get("next")) || 0;
+    const page = matching.slice(start, start + SERVER_PAGE_SIZE);
+    const more = start + SERVER_PAGE_SIZE < matching.length;
+
+    res.writeHead(200, {
+      "Content-Type": "application/taxii+json;version=2.1",
+      ...(page.length
+        ? { "X-TAXII-Date-Added-Last": page[page.length - 1].dateAdded }
+        : {}),
+    });
+    res.end(
+      JSON.stringify({
+        more,
+        ...(more ? { next: String(start + SERVER_PAGE_SIZE) } : {}),
+        objects: page.map(({ object }) => object),
+      })
+    );
+  });
+
+  const lastDateAdded = () => collection[collection.length - 1]?.dateAdded;
+
+  return { server, add, requests, lastDateAdded };
+}
+
+const sources = (matches) => matches.map((match) => match.source);
+
+async function main() {
+  const taxii = createTaxiiServer();
+  await new Promise((resolve) => taxii.server.listen(0, "127.0.0.1", resolve));
+
+  try {
+    stixImporter.configureTaxii({
+      url: `http://127.0.0.1:${taxii.server.address().port}/api1`,
+      collection: "intel",
+      token: TOKEN,
+    });
+    const source = "taxii:intel";
+
+    taxii.add(FIRST_BATCH);
+    const first = await stixImporter.pollTaxii();
+    assert.deepStrictEqual(first, {
+      indicators: 8,
+      accepted: 5,
+      rejected: 0,
+      revoked: 0,
+      skipped: 3,
+    });
+    assert.ok(taxii.requests.length > 1, "Importer did not follow paging");
+    assert.ok(
+      taxii.requests.every((url) => url.searchParams.get("match[type]") === "indicator"),
+      "Importer did not ask for indicators only"
+    );
+
+    const [ipMatch] = threatIntel.matchIP("198.51.100.7");
+    assert.strictEqual(ipMatch.source, source);
+    assert.strictEqual(ipMatch.stixId, "indicator--00000000-0000-4000-8000-000000000001");
+    assert.strictEqual(ipMatch.confidence, 0.8);
+    assert.deepStrictEqual(sources(threatIntel.matchIP("203.0.113.77")), [source]);
+    assert.deepStrictEqual(sources(threatIntel.matchDomain("bad.example")), [source]);
+    assert.deepStrictEqual(
+      sources(threatIntel.matchUrl("http://evil.example/payload.exe")),
+      [source]
+    );
+    assert.deepStrictEqual(sources(threatIntel.matchHash(SHA256.toUpperCase())), [source]);
+    assert.strictEqual(threatIntel.matchIP("192.0.2.1").length, 0, "AND pattern imported");
+    assert.strictEqual(threatIntel.matchIP("192.0.2.2").length, 0, "FOLLOWEDBY pattern imported");
+    assert.strictEqual(threatIntel.matchIP("192.0.2.9").length, 0, "Expired indicator imported");
+
+    const firstDateAddedLast = taxii.lastDateAdded();
+    assert.strictEqual(stixImporter.getTaxiiStatus().addedAfter, firstDateAddedLast);
+
+    const requestsBefore = taxii.requests.length;
+    taxii.add(SECOND_BATCH);
+    const second = await stixImporter.pollTaxii();
+    assert.deepStrictEqual(second, {
+      indicators: 2,
+      accepted: 1,
+      rejected: 0,
+      revoked: 1,
+      skipped: 0,
+    });
+    assert.ok(
+      taxii.requests
+        .slice(requestsBefore)
+        .every((url) => url.searchParams.get("added_after") === firstDateAddedLast),
+      "Second poll did not resume from the first"
+    );
+    assert.strictEqual(threatIntel.matchIP("198.51.100.7").length, 0, "Revoked indicator kept");
+    assert.deepStrictEqual(sources(threatIntel.matchIP("2001:db8::1")), [source]);
+    assert.deepStrictEqual(sources(threatIntel.matchIP("203.0.113.77")), [source]);
+
+    console.log(
+      `✅ TAXII import works: ${taxii.requests.length} requests, ${threatIntel.stats().bySource[source]} indicators from ${source}`
+    );
+  } finally {
+    taxii.server.close();
+  }
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error("❌ TAXII import test failed:", error.message);
+    process.exit(1);
+  });
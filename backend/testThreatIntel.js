@@ -0,0 +1,173 @@
+// Checks how the IOC store normalizes indicators and matches addresses,
+// networks, domains, URLs and hashes, and how they leave it again: per
+// source, per STIX indicator, by replacing a source and by expiring.
+const assert = require("assert");
+const { ThreatIntelService, normalize } = require("./services/threatIntel");
+
+const SHA256 = "B".repeat(64);
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const values = (entries) => entries.map((entry) => entry.value).sort();
+const sources = (entries) => entries.map((entry) => entry.source).sort();
+
+function checkNormalize() {
+  assert.deepStrictEqual(normalize(null, "198.51.100.7"), {
+    type: "ip",
+    value: "198.51.100.7",
+    key: normalize("ip", "198.51.100.7/32").key,
+  });
+  // Host bits do not change the network a range is indexed under
+  assert.strictEqual(normalize(null, "203.0.113.9/24").type, "cidr");
+  assert.strictEqual(normalize("cidr", "203.0.113.9/24").key, normalize("cidr", "203.0.113.0/24").key);
+  assert.strictEqual(normalize(null, "2001:DB8::1").type, "ip");
+  assert.strictEqual(normalize(null, "2001:db8::/32").type, "cidr");
+
+  assert.deepStrictEqual(normalize(null, "Evil.Example.COM."), {
+    type: "domain",
+    value: "evil.example.com",
+    key: "domain:evil.example.com",
+  });
+  assert.strictEqual(normalize("domain", "*.example.net").key, "subdomain:example.net");
+  assert.strictEqual(normalize(null, "HTTP://Example.com/a?b=1").value, "http://example.com/a?b=1");
+  assert.strictEqual(normalize(null, SHA256).value, SHA256.toLowerCase());
+
+  ["", "not a value", "10.0.0.0/40"].forEach((value) =>
+    assert.strictEqual(normalize(null, value), null, `"${value}" accepted`)
+  );
+  assert.strictEqual(normalize("ip", "300.1.1.1"), null);
+  assert.strictEqual(normalize("hash", "abc"), null);
+  assert.strictEqual(normalize("domain", "http://example.com"), null);
+}
+
+async function checkMatching() {
+  const intel = new ThreatIntelService();
+  const { accepted, rejected } = await intel.upsert(
+    [
+      { value: "198.51.100.7" },
+      { value: "203.0.113.0/24" },
+      { value: "10.20.0.0/16", source: "internal" },
+      { value: "2001:db8:abcd::/48" },
+      { value: "bad.example" },
+      { value: "*.wild.example" },
+      { value: "https://phish.example/login" },
+      { value: SHA256 },
+      { value: "garbage" },
+      { value: "192.0.2.1", confidence: 2 },
+    ],
+    { source: "feed:a" }
+  );
+  assert.deepStrictEqual({ accepted, rejected }, { accepted: 8, rejected: 2 });
+
+  assert.deepStrictEqual(values(intel.matchIP("198.51.100.7")), ["198.51.100.7"]);
+  assert.deepStrictEqual(values(intel.matchIP("203.0.113.200")), ["203.0.113.0/24"]);
+  assert.deepStrictEqual(sources(intel.matchIP("10.20.5.5")), ["internal"]);
+  assert.deepStrictEqual(values(intel.matchIP("2001:db8:abcd:1::5")), ["2001:db8:abcd::/48"]);
+  assert.strictEqual(intel.matchIP("2001:db8:abce::5").length, 0, "IPv6 range too wide");
+  assert.strictEqual(intel.matchIP("198.51.100.8").length, 0);
+  assert.strictEqual(intel.matchIP("not an ip").length, 0);
+
+  // A bare domain lists itself and its subdomains; "*." only the subdomains
+  assert.deepStrictEqual(values(intel.matchDomain("bad.example")), ["bad.example"]);
+  assert.deepStrictEqual(values(intel.matchDomain("cdn.BAD.example.")), ["bad.example"]);
+  assert.strictEqual(intel.matchDomain("notbad.example").length, 0);
+  assert.strictEqual(intel.matchDomain("wild.example").length, 0, "*. matched its own domain");
+  assert.deepStrictEqual(values(intel.matchDomain("a.b.wild.example")), ["*.wild.example"]);
+
+  assert.strictEqual(intel.matchUrl("HTTPS://phish.example/login").length, 1);
+  assert.strictEqual(intel.matchUrl("https://phish.example/other").length, 0);
+  assert.strictEqual(intel.matchHash(SHA256.toLowerCase()).length, 1);
+  assert.strictEqual(intel.match("x.bad.example").length, 1);
+  assert.strictEqual(intel.match("203.0.113.1").length, 1);
+
+  const matches = intel.matchThreat({
+    sourceIP: "203.0.113.5",
+    destinationIP: "192.168.1.10",
+    dns: { domain: "c2.bad.example", domains: ["ok.example", "x.wild.example"] },
+  });
+  assert.deepStrictEqual(
+    matches.map((match) => `${match.field}=${match.indicator}`),
+    ["sourceIP=203.0.113.0/24", "dns.domain=bad.example", "dns.domains=*.wild.example"]
+  );
+}
+
+async function checkRemoval() {
+  const intel = new ThreatIntelService();
+  await intel.upsert([{ value: "198.51.100.7", stixId: "indicator--1" }], { source: "feed:a" });
+  await intel.upsert([{ value: "198.51.100.7", stixId: "indicator--2" }], { source: "feed:b" });
+  assert.deepStrictEqual(sources(intel.matchIP("198.51.100.7")), ["feed:a", "feed:b"]);
+  assert.strictEqual(intel.stats().total, 2);
+
+  // One source, then one STIX indicator, leave the other listing in place
+  assert.strictEqual(await intel.remove("ip", "198.51.100.7", { source: "feed:a" }), 1);
+  assert.deepStrictEqual(sources(intel.matchIP("198.51.100.7")), ["feed:b"]);
+  assert.strictEqual(await intel.remove("ip", "198.51.100.7", { stixId: "indicator--9" }), 0);
+  assert.strictEqual(await intel.remove("ip", "198.51.100.7", { stixId: "indicator--2" }), 1);
+  assert.strictEqual(intel.matchIP("198.51.100.7").length, 0);
+  assert.strictEqual(intel.stats().total, 0);
+
+  await intel.upsert([{ value: "bad.example" }, { value: "203.0.113.0/24" }], { source: "feed:b" });
+  await intel.upsert([{ value: "bad.example" }], { source: "feed:c" });
+  assert.strictEqual(await intel.remove("domain", "bad.example"), 2, "Unscoped remove kept a source");
+
+  const result = await intel.replaceSource("feed:b", [
+    { value: "203.0.113.0/24" },
+    { value: "evil.example" },
+  ]);
+  assert.deepStrictEqual(result, { accepted: 2, rejected: 0, added: 1, removed: 0, unchanged: 1 });
+  const replaced = await intel.replaceSource("feed:b", [{ value: "evil.example" }]);
+  assert.deepStrictEqual(replaced, { accepted: 1, rejected: 0, added: 0, removed: 1, unchanged: 1 });
+  assert.strictEqual(intel.matchIP("203.0.113.1").length, 0, "Dropped network still listed");
+  assert.deepStrictEqual(intel.stats().bySource, { "feed:b": 1 });
+}
+
+async function checkExpiry() {
+  const intel = new ThreatIntelService();
+  const now = Date.now();
+  await intel.upsert(
+    [
+      { value: "198.51.100.1", expiresAt: new Date(now - 1000) },
+      { value: "198.51.100.2", expiresAt: new Date(now + DAY_MS) },
+      { value: "198.51.100.3" },
+    ],
+    { source: "feed:a" }
+  );
+  await intel.upsert([{ value: "198.51.100.4" }], { source: "feed:b", ttlDays: 1 });
+
+  assert.strictEqual(intel.matchIP("198.51.100.1").length, 0, "Expired indicator matched");
+  assert.strictEqual(intel.matchIP("198.51.100.2").length, 1);
+  assert.strictEqual(intel.matchIP("198.51.100.4").length, 1);
+
+  assert.strictEqual(intel.prune(), 1);
+  assert.strictEqual(intel.prune(new Date(now + 2 * DAY_MS)), 2, "ttlDays did not set an expiry");
+  assert.deepStrictEqual(values(intel.matchIP("198.51.100.3")), ["198.51.100.3"]);
+  assert.strictEqual(intel.stats().total, 1);
+}
+
+async function checkAddedEvents() {
+  const intel = new ThreatIntelService();
+  const added = [];
+  intel.on("added", (indicators) => added.push(...values(indicators)));
+
+  // Nothing is announced while the store is still loading
+  await intel.upsert([{ value: "198.51.100.7" }], { source: "feed:a" });
+  intel.loaded = true;
+  await intel.upsert([{ value: "198.51.100.7" }, { value: "bad.example" }], { source: "feed:b" });
+  await intel.upsert([{ value: "bad.example" }], { source: "feed:b" });
+  assert.deepStrictEqual(added, ["bad.example"]);
+}
+
+async function main() {
+  checkNormalize();
+  await checkMatching();
+  await checkRemoval();
+  await checkExpiry();
+  await checkAddedEvents();
+  console.log("✅ IOC store matching, removal and expiry work");
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error("❌ Threat intelligence test failed:", error.message);
+    process.exit(1);
+  });
@@ -0,0 +1,86 @@
+// Checks sliding and tumbling aggregation when a group sees far more events
+// than the aggregator keeps per group.
+const assert = require("assert");
+const WindowedAggregator = require("./services/advanced/windowedAggregator");
+
+const MAX_EVENTS = 100;
+
+const rule = (fn, threshold, windowType = "sliding") => ({
+  id: `${fn}-${windowType}`,
+  groupBy: ["sourceIP"],
+  aggregate: { function: fn, field: fn === "count" ? null : "value" },
+  windowType,
+  windowMs: 60000,
+  cooldownMs: 0,
+  threshold,
+});
+
+// Feeds `count` events `spacingMs` apart; returns the last aggregate value
+// and when the rule first fired
+function feed(aggregator, definition, count, { spacingMs = 1, start = 0, value = () => 1 } = {}) {
+  aggregator.registerRules([definition]);
+  let last = null;
+  let firedAt = null;
+  for (let i = 0; i < count; i++) {
+    const timestamp = start + i * spacingMs;
+    const result = aggregator.observe(definition, ["10.0.0.1"], value(i), timestamp);
+    if (result) {
+      last = result.value;
+      firedAt ??= timestamp;
+    }
+  }
+  return { last, firedAt };
+}
+
+function checkSlidingBeyondCap() {
+  const aggregator = new WindowedAggregator({ maxEventsPerGroup: MAX_EVENTS });
+
+  // Ten times the per-group cap inside one window still reaches the threshold
+  const count = rule("count", 1000);
+  assert.strictEqual(feed(aggregator, count, 1000).firedAt, 999);
+
+  const sum = rule("sum", 5000);
+  const { last, firedAt } = feed(aggregator, sum, 1000, { value: () => 5 });
+  assert.strictEqual(firedAt, 999, "Sum lost evicted values");
+  assert.strictEqual(last, 5000);
+}
+
+function checkSlidingExpiry() {
+  const aggregator = new WindowedAggregator({ maxEventsPerGroup: MAX_EVENTS });
+  const count = rule("count", 1e9);
+
+  // 120 events a second apart: only the last minute is counted
+  feed(aggregator, count, 120, { spacingMs: 1000 });
+  const group = aggregator.state.get(count.id).values().next().value;
+  assert.strictEqual(group.count, 60);
+  assert.ok(group.buckets.length <= MAX_EVENTS + 1);
+
+  const distinct = rule("distinct_count", 1e9);
+  feed(aggregator, distinct, 120, { spacingMs: 1000, value: (i) => String(i % 90) });
+  const values = aggregator.state.get(distinct.id).values().next().value.distinct;
+  assert.strictEqual(values.size, 60);
+}
+
+function checkTumbling() {
+  const aggregator = new WindowedAggregator({ maxEventsPerGroup: MAX_EVENTS });
+  const count = rule("count", 150, "tumbling");
+  assert.strictEqual(feed(aggregator, count, 200).firedAt, 149);
+
+  const distinct = rule("distinct_count", MAX_EVENTS, "tumbling");
+  const { last } = feed(aggregator, distinct, 300, { value: (i) => String(i) });
+  assert.strictEqual(last, MAX_EVENTS);
+}
+
+function main() {
+  checkSlidingBeyondCap();
+  checkSlidingExpiry();
+  checkTumbling();
+  console.log("✅ Windowed aggregation counts and sums past the per-group event cap");
+}
+
+try {
+  main();
+} catch (error) {
+  console.error("❌ Windowed aggregator test failed:", error.message);
+  process.exit(1);
+}
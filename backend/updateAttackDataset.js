@@ -0,0 +1,64 @@
+#!/usr/bin/env node
+
+// Regenerates data/attack/enterprise-attack.json, the offline ATT&CK
+// dataset, as a complete extract of MITRE's enterprise STIX bundle: every
+// active tactic, technique and sub-technique.
+//
+//   node updateAttackDataset.js [bundle URL or path]
+//
+// Without an argument the latest bundle is downloaded from MITRE's
+// attack-stix-data repository.
+
+const fs = require("fs");
+const path = require("path");
+const AttackMapper = require("./services/advanced/attackMapper");
+
+const DEFAULT_SOURCE =
+  "https://raw.githubusercontent.com/mitre-attack/attack-stix-data/master/enterprise-attack/enterprise-attack.json";
+const OUTPUT = path.join(__dirname, "data", "attack", "enterprise-attack.json");
+const ATTRIBUTION =
+  "MITRE ATT&CK® Enterprise matrix. © The MITRE Corporation. Reproduced under the ATT&CK Terms of Use (https://attack.mitre.org/resources/legal-and-branding/terms-of-use/).";
+
+async function readBundle(source) {
+  if (!/^https?:\/\//.test(source)) {
+    return JSON.parse(await fs.promises.readFile(source, "utf8"));
+  }
+  const response = await fetch(source, { signal: AbortSignal.timeout(120000) });
+  if (!response.ok) {
+    throw new Error(`${source} returned HTTP ${response.status}`);
+  }
+  return response.json();
+}
+
+async function main() {
+  const source = process.argv[2] || DEFAULT_SOURCE;
+  console.log(`📥 Reading ATT&CK enterprise bundle from ${source}`);
+
+  const bundle = await readBundle(source);
+  if (bundle.type !== "bundle") {
+    throw new Error("Not a STIX bundle");
+  }
+  const { tactics, techniques, version } = new AttackMapper().parseStixBundle(bundle);
+
+  const dataset = {
+    domain: "enterprise-attack",
+    version,
+    complete: true,
+    source: `Complete extract of the MITRE ATT&CK enterprise STIX bundle ${source}, generated ${new Date()
+      .toISOString()
+      .slice(0, 10)} by backend/updateAttackDataset.js`,
+    attribution: ATTRIBUTION,
+    tactics,
+    techniques: techniques.sort((a, b) => a.id.localeCompare(b.id)),
+  };
+  await fs.promises.writeFile(OUTPUT, JSON.stringify(dataset, null, 2) + "\n");
+
+  console.log(
+    `✅ Wrote ATT&CK ${version}: ${tactics.length} tactics, ${techniques.length} techniques to ${OUTPUT}`
+  );
+}
+
+main().catch((error) => {
+  console.error("❌ ATT&CK dataset update failed:", error.message);
+  process.exit(1);
+});
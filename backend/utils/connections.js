@@ -0,0 +1,27 @@
+// Helpers for the connection lists in agent network snapshots
+// (fields: localIP, remoteIP, localPort, remotePort, protocol, state, ...)
+
+// One socket; agents that stamp `firstSeen` keep reused ports apart
+function socketKey(connection) {
+  return `${connection.protocol}|${connection.localIP}:${connection.localPort}|${connection.remoteIP}:${connection.remotePort}|${connection.firstSeen || ""}`;
+}
+
+function listeningPorts(connections) {
+  return new Set(
+    connections
+      .filter((connection) => connection.state === "LISTEN")
+      .map((connection) => connection.localPort)
+  );
+}
+
+// Whether the local side opened the connection. Connections to a listening
+// port, or from a client port to a well-known local port, are inbound.
+function isOutbound(connection, listening) {
+  if (connection.state === "LISTEN" || !connection.remoteIP) return false;
+  if (connection.state === "SYN_RECV") return false;
+  if (connection.state === "SYN_SENT") return true;
+  if (listening.has(connection.localPort)) return false;
+  return !(connection.localPort < 1024 && connection.remotePort >= 1024);
+}
+
+module.exports = { socketKey, listeningPorts, isOutbound };
@@ -0,0 +1,9 @@
+const mongoose = require("mongoose");
+
+// Whether MongoDB is connected; services fall back to in-memory storage
+// when it is not
+function isDatabaseConnected() {
+  return Boolean(mongoose.connection) && mongoose.connection.readyState === 1;
+}
+
+module.exports = { isDatabaseConnected };
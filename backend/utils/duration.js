@@ -0,0 +1,23 @@
+const UNITS = {
+  ms: 1,
+  s: 1000,
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+};
+
+// Parse "500ms", "30s", "15m", "2h", "1d" (or a bare number of ms)
+function parseDuration(value) {
+  if (typeof value === "number") {
+    return Number.isFinite(value) && value >= 0 ? value : NaN;
+  }
+  if (typeof value !== "string") return NaN;
+
+  const match = value.trim().match(/^(\d+(?:\.\d+)?)\s*(ms|s|m|h|d)?$/i);
+  if (!match) return NaN;
+
+  const unit = (match[2] || "ms").toLowerCase();
+  return Math.round(Number(match[1]) * UNITS[unit]);
+}
+
+module.exports = { parseDuration };
@@ -0,0 +1,102 @@
+const net = require("net");
+
+// Parse an IPv4/IPv6 address into { version, value: BigInt, bits }
+function parseIP(ip) {
+  if (typeof ip !== "string") return null;
+  let address = ip.trim();
+
+  // Strip IPv6 zone ids and brackets ("[fe80::1%eth0]")
+  address = address.replace(/^\[|\]$/g, "").replace(/%.*$/, "");
+
+  const version = net.isIP(address);
+  if (version === 4) {
+    const value = address
+      .split(".")
+      .reduce((acc, octet) => (acc << 8n) + BigInt(Number(octet)), 0n);
+    return { version: 4, value, bits: 32 };
+  }
+
+  if (version === 6) {
+    // Treat IPv4-mapped addresses as plain IPv4
+    const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+    if (mapped) return parseIP(mapped[1]);
+
+    let [head, tail] = address.split("::");
+    let embeddedV4 = null;
+    const lastPart = (tail ?? head).split(":").pop();
+    if (lastPart && lastPart.includes(".")) {
+      embeddedV4 = parseIP(lastPart);
+      if (tail !== undefined) {
+        tail = tail.slice(0, -lastPart.length).replace(/:$/, "");
+      } else {
+        head = head.slice(0, -lastPart.length).replace(/:$/, "");
+      }
+    }
+
+    const headGroups = head ? head.split(":") : [];
+    const tailGroups = tail ? tail.split(":") : [];
+    const groupCount = embeddedV4 ? 6 : 8;
+    const missing = groupCount - headGroups.length - tailGroups.length;
+    const groups = [
+      ...headGroups,
+      ...Array(tail !== undefined ? missing : 0).fill("0"),
+      ...tailGroups,
+    ];
+
+    let value = groups.reduce(
+      (acc, group) => (acc << 16n) + BigInt(parseInt(group || "0", 16)),
+      0n
+    );
+    if (embeddedV4) {
+      value = (value << 32n) + embeddedV4.value;
+    }
+    return { version: 6, value, bits: 128 };
+  }
+
+  return null;
+}
+
+// Parse "10.0.0.0/8" style ranges; a bare address is a full-length prefix
+function parseCIDR(cidr) {
+  if (typeof cidr !== "string") return null;
+  const [address, prefixPart] = cidr.trim().split("/");
+  const parsed = parseIP(address);
+  if (!parsed) return null;
+
+  const prefix =
+    prefixPart === undefined ? parsed.bits : Number.parseInt(prefixPart, 10);
+  if (Number.isNaN(prefix) || prefix < 0 || prefix > parsed.bits) return null;
+
+  const hostBits = BigInt(parsed.bits - prefix);
+  const network = (parsed.value >> hostBits) << hostBits;
+  return { version: parsed.version, network, prefix, bits: parsed.bits };
+}
+
+function ipInCIDR(ip, cidr) {
+  const address = typeof ip === "string" ? parseIP(ip) : ip;
+  const range = typeof cidr === "string" ? parseCIDR(cidr) : cidr;
+  if (!address || !range || address.version !== range.version) return false;
+
+  const hostBits = BigInt(range.bits - range.prefix);
+  return ((address.value >> hostBits) << hostBits) === range.network;
+}
+
+const PRIVATE_RANGES = [
+  "10.0.0.0/8",
+  "172.16.0.0/12",
+  "192.168.0.0/16",
+  "127.0.0.0/8",
+  "169.254.0.0/16",
+  "100.64.0.0/10",
+  "::1/128",
+  "fc00::/7",
+  "fe80::/10",
+].map(parseCIDR);
+
+function isPrivateIP(ip) {
+  const address = parseIP(ip);
+  if (!address) return false;
+  return PRIVATE_RANGES.some((range) => ipInCIDR(address, range));
+}
+
+module.exports = { parseIP, parseCIDR, ipInCIDR, isPrivateIP };
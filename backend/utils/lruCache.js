@@ -0,0 +1,50 @@
+// Least recently used cache of at most `maxSize` entries. Map insertion
+// order doubles as the recency list: reading an entry re-inserts it.
+class LruCache {
+  constructor(maxSize = 10000) {
+    this.maxSize = maxSize;
+    this.entries = new Map();
+    this.hits = 0;
+    this.misses = 0;
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  has(key) {
+    return this.entries.has(key);
+  }
+
+  // Cached values may be null (e.g. a remembered miss); undefined means absent
+  get(key) {
+    if (!this.entries.has(key)) {
+      this.misses++;
+      return undefined;
+    }
+    const value = this.entries.get(key);
+    this.entries.delete(key);
+    this.entries.set(key, value);
+    this.hits++;
+    return value;
+  }
+
+  set(key, value) {
+    this.entries.delete(key);
+    this.entries.set(key, value);
+    while (this.entries.size > this.maxSize) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+    return value;
+  }
+
+  clear() {
+    this.entries.clear();
+  }
+
+  stats() {
+    return { size: this.size, maxSize: this.maxSize, hits: this.hits, misses: this.misses };
+  }
+}
+
+module.exports = LruCache;
@@ -0,0 +1,214 @@
+const { parseIP } = require("./ipUtils");
+
+// Reader for MaxMind DB files (GeoLite2/GeoIP2 City, Country, ASN and other
+// databases in the same format), following the MaxMind DB format spec 2.0:
+// a binary search tree over address bits whose leaves point into a data
+// section of typed, pointer-compressed values, followed by a metadata map.
+
+const METADATA_MARKER = Buffer.from("\xab\xcd\xefMaxMind.com", "latin1");
+const DATA_SECTION_SEPARATOR = 16;
+
+const TYPES = {
+  1: "pointer",
+  2: "utf8_string",
+  3: "double",
+  4: "bytes",
+  5: "uint16",
+  6: "uint32",
+  7: "map",
+  8: "int32",
+  9: "uint64",
+  10: "uint128",
+  11: "array",
+  12: "container",
+  13: "end_marker",
+  14: "boolean",
+  15: "float",
+};
+
+class MmdbFormatError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "MmdbFormatError";
+  }
+}
+
+// Address as big-endian bytes: 4 for IPv4, 16 for IPv6
+function addressBytes({ value, bits }) {
+  const bytes = Buffer.alloc(bits / 8);
+  let remaining = value;
+  for (let i = bytes.length - 1; i >= 0; i--) {
+    bytes[i] = Number(remaining & 0xffn);
+    remaining >>= 8n;
+  }
+  return bytes;
+}
+
+class MmdbReader {
+  constructor(buffer) {
+    this.buffer = buffer;
+
+    const markerAt = buffer.lastIndexOf(METADATA_MARKER);
+    if (markerAt === -1) {
+      throw new MmdbFormatError("Not a MaxMind DB file: metadata marker not found");
+    }
+    const metadataStart = markerAt + METADATA_MARKER.length;
+    [this.metadata] = this.decode(metadataStart, metadataStart);
+
+    const { node_count: nodeCount, record_size: recordSize } = this.metadata;
+    if (![24, 28, 32].includes(recordSize)) {
+      throw new MmdbFormatError(`Unsupported record size ${recordSize}`);
+    }
+    this.nodeCount = nodeCount;
+    this.recordSize = recordSize;
+    this.nodeBytes = (recordSize * 2) / 8;
+    this.searchTreeSize = nodeCount * this.nodeBytes;
+    this.dataSectionStart = this.searchTreeSize + DATA_SECTION_SEPARATOR;
+    if (this.dataSectionStart > markerAt) {
+      throw new MmdbFormatError("Search tree runs past the end of the file");
+    }
+
+    // IPv4 addresses live under ::/96 in IPv6 databases
+    this.ipv4Start = 0;
+    if (this.metadata.ip_version === 6) {
+      let node = 0;
+      for (let i = 0; i < 96 && node < this.nodeCount; i++) {
+        node = this.readNode(node, 0);
+      }
+      this.ipv4Start = node;
+    }
+  }
+
+  readNode(node, bit) {
+    const offset = node * this.nodeBytes;
+    const b = this.buffer;
+    switch (this.recordSize) {
+      case 24:
+        return bit === 0 ? b.readUIntBE(offset, 3) : b.readUIntBE(offset + 3, 3);
+      case 28:
+        return bit === 0
+          ? ((b[offset + 3] & 0xf0) << 20) | b.readUIntBE(offset, 3)
+          : ((b[offset + 3] & 0x0f) << 24) | b.readUIntBE(offset + 4, 3);
+      default:
+        return b.readUInt32BE(offset + bit * 4);
+    }
+  }
+
+  // Record for an address, or null when the database has none
+  get(ip) {
+    const parsed = parseIP(ip);
+    if (!parsed) return null;
+    if (parsed.version === 6 && this.metadata.ip_version === 4) return null;
+
+    const bytes = addressBytes(parsed);
+    let node = parsed.version === 4 ? this.ipv4Start : 0;
+    for (let i = 0; i < parsed.bits && node < this.nodeCount; i++) {
+      const bit = (bytes[i >> 3] >> (7 - (i & 7))) & 1;
+      node = this.readNode(node, bit);
+    }
+
+    if (node === this.nodeCount) return null; // No data for this address
+    if (node < this.nodeCount) {
+      throw new MmdbFormatError("Search tree ended inside the tree");
+    }
+    const offset = node - this.nodeCount - DATA_SECTION_SEPARATOR;
+    return this.decode(this.dataSectionStart + offset, this.dataSectionStart)[0];
+  }
+
+  // Decode the value at `offset`; pointers are relative to `base`. Returns
+  // [value, offset after the value].
+  decode(offset, base) {
+    const b = this.buffer;
+    const control = b[offset++];
+    let type = control >> 5;
+
+    if (type === 1) {
+      const size = (control >> 3) & 0x3;
+      const high = control & 0x7;
+      let pointer;
+      if (size === 0) {
+        pointer = (high << 8) | b[offset];
+      } else if (size === 1) {
+        pointer = ((high << 16) | b.readUInt16BE(offset)) + 2048;
+      } else if (size === 2) {
+        pointer = high * 0x1000000 + b.readUIntBE(offset, 3) + 526336;
+      } else {
+        pointer = b.readUInt32BE(offset);
+      }
+      const [value] = this.decode(base + pointer, base);
+      return [value, offset + size + 1];
+    }
+
+    if (type === 0) {
+      type = 7 + b[offset++];
+    }
+    if (!TYPES[type]) {
+      throw new MmdbFormatError(`Unknown data type ${type} at offset ${offset - 1}`);
+    }
+
+    let size = control & 0x1f;
+    if (size === 29) {
+      size = 29 + b[offset++];
+    } else if (size === 30) {
+      size = 285 + b.readUInt16BE(offset);
+      offset += 2;
+    } else if (size === 31) {
+      size = 65821 + b.readUIntBE(offset, 3);
+      offset += 3;
+    }
+
+    switch (TYPES[type]) {
+      case "utf8_string":
+        return [b.toString("utf8", offset, offset + size), offset + size];
+      case "double":
+        return [b.readDoubleBE(offset), offset + 8];
+      case "float":
+        return [b.readFloatBE(offset), offset + 4];
+      case "bytes":
+        return [Buffer.from(b.subarray(offset, offset + size)), offset + size];
+      case "uint16":
+      case "uint32":
+        return [size ? b.readUIntBE(offset, size) : 0, offset + size];
+      case "int32": {
+        const value = size ? b.readUIntBE(offset, size) : 0;
+        return [size === 4 ? value | 0 : value, offset + size];
+      }
+      case "uint64":
+      case "uint128": {
+        let value = 0n;
+        for (let i = 0; i < size; i++) value = (value << 8n) | BigInt(b[offset + i]);
+        return [
+          value <= BigInt(Number.MAX_SAFE_INTEGER) ? Number(value) : value.toString(),
+          offset + size,
+        ];
+      }
+      case "boolean":
+        return [size !== 0, offset];
+      case "map": {
+        const map = {};
+        for (let i = 0; i < size; i++) {
+          const [key, afterKey] = this.decode(offset, base);
+          const [value, afterValue] = this.decode(afterKey, base);
+          map[key] = value;
+          offset = afterValue;
+        }
+        return [map, offset];
+      }
+      case "array": {
+        const array = [];
+        for (let i = 0; i < size; i++) {
+          const [value, next] = this.decode(offset, base);
+          array.push(value);
+          offset = next;
+        }
+        return [array, offset];
+      }
+      default:
+        // Data cache containers and end markers never hold record data
+        return [null, offset];
+    }
+  }
+}
+
+module.exports = MmdbReader;
+module.exports.MmdbFormatError = MmdbFormatError;
@@ -0,0 +1,32 @@
+const crypto = require("crypto");
+
+// Small seedable PRNG (mulberry32). Detection code must stay deterministic;
+// this is only for places that genuinely need randomness, such as simulated
+// traffic, so that a seed reproduces the exact same sequence.
+function createRandom(seed) {
+  const resolvedSeed = normalizeSeed(seed) >>> 0;
+  let state = resolvedSeed;
+
+  const random = () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+
+  random.seed = resolvedSeed; // Log this to reproduce an unseeded run
+  return random;
+}
+
+// Numbers are used as-is, strings are hashed; no seed draws a random one
+function normalizeSeed(seed) {
+  if (seed === undefined || seed === null || seed === "") {
+    return crypto.randomInt(0, 2 ** 32 - 1);
+  }
+  const numeric = Number(seed);
+  if (Number.isInteger(numeric)) return numeric;
+  return crypto.createHash("sha256").update(String(seed)).digest().readUInt32LE(0);
+}
+
+module.exports = { createRandom };
@@ -13,9 +13,10 @@ import {
   ClockIcon,
 } from "@heroicons/react/24/outline";
 import toast from "react-hot-toast";
+import ScoreBreakdown from "./ScoreBreakdown";
 
 const ActiveThreats = () => {
-  const { threats, blockIP, markFalsePositive } = useThreat();
+  const { threats, blockIP, markFalsePositive, confirmThreat } = useThreat();
   const [searchTerm, setSearchTerm] = useState("");
   const [filterLevel, setFilterLevel] = useState("ALL");
   const [sortBy, setSortBy] = useState("timestamp");
@@ -296,6 +297,16 @@ const ActiveThreats = () => {
                           </button>
                         )}
 
+                        <button
+                          onClick={(e) => {
+                            e.stopPropagation();
+                            confirmThreat(threat._id);
+                          }}
+                          className="text-orange-400 hover:text-orange-300 transition-colors mr-2"
+                        >
+                          <ShieldExclamationIcon className="h-4 w-4" />
+                        </button>
+
                         <button
                           onClick={(e) => {
                             e.stopPropagation();
@@ -329,7 +340,7 @@ const ActiveThreats = () => {
               initial={{ scale: 0.9, opacity: 0 }}
               animate={{ scale: 1, opacity: 1 }}
               exit={{ scale: 0.9, opacity: 0 }}
-              className="bg-gray-800 rounded-lg p-6 max-w-2xl w-full max-h-96 overflow-y-auto border border-gray-700"
+              className="bg-gray-800 rounded-lg p-6 max-w-2xl w-full max-h-[80vh] overflow-y-auto border border-gray-700"
               onClick={(e) => e.stopPropagation()}
             >
               <div className="flex items-center justify-between mb-4">
@@ -422,6 +433,8 @@ const ActiveThreats = () => {
                 </div>
               </div>
 
+              <ScoreBreakdown explanation={selectedThreat.scoreExplanation} />
+
               {selectedThreat.features && (
                 <div className="mt-4">
                   <h4 className="text-sm font-medium text-gray-400 mb-2">
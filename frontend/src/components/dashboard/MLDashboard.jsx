@@ -1,6 +1,7 @@
 import { useState, useEffect } from "react";
 import { useThreat } from "../../context/ThreatContext";
 import { motion, AnimatePresence } from "framer-motion";
+import toast from "react-hot-toast";
 import {
   CpuChipIcon,
   BoltIcon,
@@ -10,42 +11,62 @@ import {
 } from "@heroicons/react/24/outline";
 
 const MLDashboard = () => {
-  const { threats } = useThreat();
+  const { fetchMLModels, subscribe } = useThreat();
   const [mlStats, setMLStats] = useState({
     processedSamples: 0,
     threatsDetected: 0,
-    accuracy: 0.94,
-    processingTimeMs: 12,
-    modelVersion: "1.0-hackathon",
+    processingTimeMs: null,
+    latency: {},
+    modelVersion: null,
+    classDistribution: {},
   });
+  const [activeModel, setActiveModel] = useState(null);
 
   const [mlThreats, setMLThreats] = useState([]);
 
   useEffect(() => {
-    // Listen for ML-specific updates
-    const socket = socketRef.current;
-
-    socket?.on("mlThreatDetected", (threat) => {
-      setMLThreats((prev) => [threat, ...prev.slice(0, 9)]);
-    });
-
-    socket?.on("mlStatsUpdate", (stats) => {
-      setMLStats(stats);
-    });
-
-    socket?.on("criticalMLAlert", (alert) => {
-      // Special handling for critical ML alerts
-      toast.error(`🤖 ${alert.message}`, {
-        duration: 8000,
-        style: {
-          background: "#dc2626",
-          color: "white",
-          fontSize: "16px",
-          fontWeight: "bold",
-        },
-      });
-    });
-  }, []);
+    fetchMLModels()
+      .then(({ activeVersion, versions }) => {
+        setActiveModel(
+          versions.find((model) => model.version === activeVersion) || null
+        );
+      })
+      .catch(() => setActiveModel(null));
+  }, [fetchMLModels]);
+
+  const precision = activeModel?.metrics?.precision;
+
+  useEffect(() => {
+    // Listen for ML-specific updates on the shared connection
+    const unsubscribers = [
+      subscribe("mlThreatDetected", (threat) => {
+        setMLThreats((prev) => [threat, ...prev.slice(0, 9)]);
+      }),
+
+      subscribe("mlStatsUpdate", (stats) => {
+        setMLStats(stats);
+      }),
+
+      subscribe("criticalMLAlert", (alert) => {
+        // Special handling for critical ML alerts
+        toast.error(`🤖 ${alert.message}`, {
+          duration: 8000,
+          style: {
+            background: "#dc2626",
+            color: "white",
+            fontSize: "16px",
+            fontWeight: "bold",
+          },
+        });
+      }),
+    ];
+
+    return () => unsubscribers.forEach((unsubscribe) => unsubscribe());
+  }, [subscribe]);
+
+  const classSummary = Object.entries(mlStats.classDistribution || {})
+    .map(([label, count]) => `${label} ${count.toLocaleString()}`)
+    .join(" · ");
 
   return (
     <div className="space-y-6">
@@ -58,14 +79,20 @@ const MLDashboard = () => {
         >
           <div className="flex items-center justify-between">
             <div>
-              <p className="text-sm opacity-90">ML Accuracy</p>
-              <p className="text-3xl font-bold animate-pulse">
-                {(mlStats.accuracy * 100).toFixed(1)}%
+              <p className="text-sm opacity-90">Model Precision</p>
+              <p className="text-3xl font-bold">
+                {precision != null ? `${(precision * 100).toFixed(1)}%` : "N/A"}
               </p>
             </div>
             <TrophyIcon className="h-10 w-10 opacity-80" />
           </div>
-          <div className="mt-2 text-sm opacity-75">{mlStats.modelVersion}</div>
+          <div className="mt-2 text-sm opacity-75">
+            {activeModel
+              ? `Model ${activeModel.version} · ${
+                  activeModel.metrics?.examples || 0
+                } labelled samples`
+              : "No trained model"}
+          </div>
         </motion.div>
 
         <motion.div
@@ -83,7 +110,9 @@ const MLDashboard = () => {
             </div>
             <BeakerIcon className="h-10 w-10 opacity-80" />
           </div>
-          <div className="mt-2 text-sm opacity-75">Real-time analysis</div>
+          <div className="mt-2 text-sm opacity-75">
+            {classSummary || "Real-time analysis"}
+          </div>
         </motion.div>
 
         <motion.div
@@ -99,7 +128,11 @@ const MLDashboard = () => {
             </div>
             <EyeIcon className="h-10 w-10 opacity-80" />
           </div>
-          <div className="mt-2 text-sm opacity-75">By AI models</div>
+          <div className="mt-2 text-sm opacity-75">
+            {mlStats.modelVersion
+              ? `By model ${mlStats.modelVersion}`
+              : "By AI models"}
+          </div>
         </motion.div>
 
         <motion.div
@@ -111,11 +144,19 @@ const MLDashboard = () => {
           <div className="flex items-center justify-between">
             <div>
               <p className="text-sm opacity-90">Processing Speed</p>
-              <p className="text-3xl font-bold">{mlStats.processingTimeMs}ms</p>
+              <p className="text-3xl font-bold">
+                {mlStats.processingTimeMs != null
+                  ? `${mlStats.processingTimeMs}ms`
+                  : "N/A"}
+              </p>
             </div>
             <BoltIcon className="h-10 w-10 opacity-80" />
           </div>
-          <div className="mt-2 text-sm opacity-75">Average latency</div>
+          <div className="mt-2 text-sm opacity-75">
+            {mlStats.latency?.p95 != null
+              ? `p50 ${mlStats.latency.p50}ms · p95 ${mlStats.latency.p95}ms · p99 ${mlStats.latency.p99}ms`
+              : "Average latency"}
+          </div>
         </motion.div>
       </div>
 
@@ -0,0 +1,120 @@
+const ENGINE_LABELS = {
+  signature: "Signature",
+  anomaly: "Anomaly",
+  behavioral: "Behavioral",
+  ml: "ML Model",
+  networkIndicators: "Network Indicators",
+  correlation: "Correlation",
+  beaconing: "Beaconing",
+  scan: "Scan Detection",
+  dns: "DNS Analysis",
+  exfiltration: "Exfiltration",
+  retroHunt: "Retro-Hunt",
+  fallback: "Fallback",
+};
+
+const AGGREGATION_LABELS = {
+  sum: "sum of points",
+  max: "strongest match",
+  sigmoid: "sigmoid of weighted features",
+};
+
+const formatPoints = (points) =>
+  `${points >= 0 ? "+" : ""}${(points * 100).toFixed(1)}`;
+
+const formatValue = (value) => {
+  if (value === null || value === undefined) return null;
+  if (typeof value === "number") return Number(value.toFixed(3));
+  return String(value);
+};
+
+// Per-engine breakdown of how a threat score was produced
+const ScoreBreakdown = ({ explanation }) => {
+  if (!explanation?.engines?.length) return null;
+
+  return (
+    <div className="mt-4">
+      <h4 className="text-sm font-medium text-gray-400 mb-2">
+        Score Breakdown
+      </h4>
+
+      <div className="space-y-3 text-sm">
+        {explanation.engines.map((engine) => (
+          <div
+            key={engine.engine}
+            className="bg-gray-700/50 rounded-lg p-3 border border-gray-600"
+          >
+            <div className="flex items-center justify-between">
+              <span className="text-white font-medium">
+                {ENGINE_LABELS[engine.engine] || engine.engine}
+              </span>
+              <span className="text-gray-300">
+                {(engine.score * 100).toFixed(1)}% × {engine.weight} ={" "}
+                <span className="text-cyber-400">
+                  {(engine.weightedScore * 100).toFixed(1)}
+                </span>
+              </span>
+            </div>
+            <div className="text-xs text-gray-400 mt-1">
+              Combined by {AGGREGATION_LABELS[engine.aggregation] || engine.aggregation}
+              {engine.capped && " (capped at 100%)"}
+            </div>
+
+            {engine.contributions?.length > 0 && (
+              <ul className="mt-2 space-y-1">
+                {engine.contributions.map((contribution, index) => (
+                  <li
+                    key={`${engine.engine}-${contribution.factor}-${index}`}
+                    className="flex items-start justify-between"
+                  >
+                    <span className="text-gray-300 pr-4">
+                      {contribution.label}
+                      {formatValue(contribution.value) !== null && (
+                        <span className="text-gray-500">
+                          {" "}
+                          ({formatValue(contribution.value)})
+                        </span>
+                      )}
+                    </span>
+                    <span
+                      className={
+                        contribution.points >= 0
+                          ? "text-orange-400"
+                          : "text-success-400"
+                      }
+                    >
+                      {formatPoints(contribution.points)}
+                    </span>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        ))}
+
+        {explanation.boosts?.map((boost) => (
+          <div
+            key={boost.factor}
+            className="flex items-center justify-between bg-danger-500/10 rounded-lg px-3 py-2 border border-danger-500/30"
+          >
+            <span className="text-gray-300">{boost.label}</span>
+            <span className="text-danger-400">{formatPoints(boost.points)}</span>
+          </div>
+        ))}
+
+        <div className="flex items-center justify-between border-t border-gray-700 pt-2">
+          <span className="text-gray-400">
+            Final score
+            {explanation.capped &&
+              ` (raw ${(explanation.rawScore * 100).toFixed(1)}%, capped)`}
+          </span>
+          <span className="text-white font-medium">
+            {(explanation.finalScore * 100).toFixed(1)}%
+          </span>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ScoreBreakdown;
@@ -7,6 +7,15 @@ import {
   MapPinIcon,
 } from "@heroicons/react/24/outline";
 
+// Map position of a location (equirectangular), as percentages of the map
+const mapPosition = ({ latitude, longitude }) => ({
+  left: `${((longitude + 180) / 360) * 100}%`,
+  top: `${((90 - latitude) / 180) * 100}%`,
+});
+
+const hasCoordinates = (country) =>
+  Number.isFinite(country.latitude) && Number.isFinite(country.longitude);
+
 const ThreatMap = () => {
   const { threats } = useThreat();
   const [selectedCountry, setSelectedCountry] = useState(null);
@@ -15,24 +24,36 @@ const ThreatMap = () => {
     const countryStats = {};
 
     threats.forEach((threat) => {
-      if (threat.sourceLocation && threat.sourceLocation.country) {
-        const country = threat.sourceLocation.country;
+      // The external side: the source, or the destination of outbound threats
+      const location = [threat.sourceLocation, threat.destinationLocation].find(
+        (candidate) => candidate && candidate.country
+      );
+      if (location) {
+        const country = location.country;
         if (!countryStats[country]) {
           countryStats[country] = {
             country,
-            city: threat.sourceLocation.city,
+            city: location.city,
             total: 0,
             critical: 0,
             high: 0,
             medium: 0,
             low: 0,
             blocked: 0,
-            latitude: threat.sourceLocation.latitude || 0,
-            longitude: threat.sourceLocation.longitude || 0,
+            latitude: location.latitude,
+            longitude: location.longitude,
+            networks: {},
           };
         }
 
         countryStats[country].total++;
+        if (location.organization) {
+          const network = location.asn
+            ? `AS${location.asn} ${location.organization}`
+            : location.organization;
+          const { networks } = countryStats[country];
+          networks[network] = (networks[network] || 0) + 1;
+        }
         countryStats[country][threat.threatLevel.toLowerCase()]++;
 
         if (threat.isBlocked) {
@@ -41,7 +62,14 @@ const ThreatMap = () => {
       }
     });
 
-    return Object.values(countryStats).sort((a, b) => b.total - a.total);
+    return Object.values(countryStats)
+      .map((country) => ({
+        ...country,
+        topNetworks: Object.entries(country.networks)
+          .sort((a, b) => b[1] - a[1])
+          .slice(0, 3),
+      }))
+      .sort((a, b) => b.total - a.total);
   }, [threats]);
 
   const maxThreats = Math.max(...geographicData.map((d) => d.total), 1);
@@ -76,44 +104,48 @@ const ThreatMap = () => {
         </div>
       </div>
 
-      {/* World Map Simulation */}
+      {/* World map with threat indicators */}
       <div className="relative bg-gray-900 rounded-lg p-4 mb-6 min-h-64">
         <div className="absolute inset-0 bg-gradient-to-br from-cyber-900/20 to-transparent rounded-lg pointer-events-none" />
 
-        {/* Simulated world map with threat indicators */}
+        {/* Markers sit at each country's coordinates */}
         <div className="relative h-60 overflow-hidden">
-          {geographicData.slice(0, 10).map((country, index) => (
-            <motion.div
-              key={country.country}
-              initial={{ scale: 0, opacity: 0 }}
-              animate={{ scale: 1, opacity: 1 }}
-              transition={{ delay: index * 0.1 }}
-              className={`absolute cursor-pointer ${getThreatColor(
-                country.total,
-                maxThreats
-              )} rounded-full animate-pulse-slow`}
-              style={{
-                left: `${Math.random() * 80 + 10}%`,
-                top: `${Math.random() * 70 + 15}%`,
-                width: `${Math.min(
-                  Math.max((country.total / maxThreats) * 30, 8),
-                  40
-                )}px`,
-                height: `${Math.min(
-                  Math.max((country.total / maxThreats) * 30, 8),
-                  40
-                )}px`,
-              }}
-              onClick={() => setSelectedCountry(country)}
-              title={`${country.country}: ${country.total} threats`}
-            >
-              <div className="w-full h-full rounded-full border-2 border-white/30 flex items-center justify-center">
-                <span className="text-white text-xs font-bold">
-                  {country.total}
-                </span>
-              </div>
-            </motion.div>
-          ))}
+          {geographicData
+            .filter(hasCoordinates)
+            .slice(0, 10)
+            .map((country, index) => (
+              <motion.div
+                key={country.country}
+                initial={{ scale: 0, opacity: 0 }}
+                animate={{ scale: 1, opacity: 1 }}
+                transition={{ delay: index * 0.1 }}
+                className={`absolute cursor-pointer ${getThreatColor(
+                  country.total,
+                  maxThreats
+                )} rounded-full animate-pulse-slow`}
+                style={{
+                  ...mapPosition(country),
+                  x: "-50%",
+                  y: "-50%",
+                  width: `${Math.min(
+                    Math.max((country.total / maxThreats) * 30, 8),
+                    40
+                  )}px`,
+                  height: `${Math.min(
+                    Math.max((country.total / maxThreats) * 30, 8),
+                    40
+                  )}px`,
+                }}
+                onClick={() => setSelectedCountry(country)}
+                title={`${country.country}: ${country.total} threats`}
+              >
+                <div className="w-full h-full rounded-full border-2 border-white/30 flex items-center justify-center">
+                  <span className="text-white text-xs font-bold">
+                    {country.total}
+                  </span>
+                </div>
+              </motion.div>
+            ))}
         </div>
 
         {/* Legend */}
@@ -228,6 +260,19 @@ const ThreatMap = () => {
                       <div className="text-xs text-gray-400">Low</div>
                     </div>
                   </div>
+                  {country.topNetworks.length > 0 && (
+                    <div className="mt-3 space-y-1">
+                      {country.topNetworks.map(([network, count]) => (
+                        <div
+                          key={network}
+                          className="flex justify-between text-xs text-gray-400"
+                        >
+                          <span className="truncate">{network}</span>
+                          <span>{count}</span>
+                        </div>
+                      ))}
+                    </div>
+                  )}
                 </motion.div>
               )}
             </motion.div>
@@ -4,6 +4,7 @@ import {
   useReducer,
   useEffect,
   useRef,
+  useCallback,
 } from "react";
 import { io } from "socket.io-client";
 import axios from "axios";
@@ -100,6 +101,8 @@ export const ThreatProvider = ({ children }) => {
   const heartbeatIntervalRef = useRef(null);
   const reconnectTimeoutRef = useRef(null);
   const connectionQualityRef = useRef(null);
+  // Component listeners registered through subscribe()
+  const socketListenersRef = useRef(new Set());
 
   useEffect(() => {
     initializeConnections();
@@ -126,6 +129,11 @@ export const ThreatProvider = ({ children }) => {
       forceNew: false,
     });
 
+    // Components may subscribe before the socket exists
+    socketListenersRef.current.forEach(({ event, handler }) => {
+      socketRef.current.on(event, handler);
+    });
+
     socketRef.current.on("connect", () => {
       console.log("Socket.io connected");
       dispatch({ type: "SET_CONNECTED", payload: true });
@@ -189,6 +197,14 @@ export const ThreatProvider = ({ children }) => {
       showCriticalAlert(threat);
     });
 
+    // Pipeline health problems such as broken telemetry or model drift
+    socketRef.current.on("systemHealthEvent", (event) => {
+      toast.error(`System health: ${event.message}`, {
+        id: `health-${event.source}-${event.type}`,
+        duration: 8000,
+      });
+    });
+
     // Real-time stats updates
     socketRef.current.on("realTimeStatsUpdate", (stats) => {
       dispatch({ type: "UPDATE_REAL_TIME_STATS", payload: stats });
@@ -453,13 +469,45 @@ export const ThreatProvider = ({ children }) => {
 
   const markFalsePositive = async (threatId) => {
     try {
-      await axios.patch(`${API_BASE_URL}/threats/${threatId}/false-positive`);
+      await axios.patch(`${API_BASE_URL}/threats/${threatId}/verdict`, {
+        verdict: "FALSE_POSITIVE",
+      });
       toast.success("Threat marked as false positive");
     } catch (error) {
       toast.error("Failed to mark as false positive");
     }
   };
 
+  // Listen to an event on the shared Socket.io connection; returns the
+  // unsubscribe function for use as an effect cleanup
+  const subscribe = useCallback((event, handler) => {
+    const listener = { event, handler };
+    socketListenersRef.current.add(listener);
+    socketRef.current?.on(event, handler);
+
+    return () => {
+      socketListenersRef.current.delete(listener);
+      socketRef.current?.off(event, handler);
+    };
+  }, []);
+
+  // Registered anomaly model versions and the active one
+  const fetchMLModels = useCallback(async () => {
+    const response = await axios.get(`${API_BASE_URL}/ml/models`);
+    return response.data;
+  }, []);
+
+  const confirmThreat = async (threatId) => {
+    try {
+      await axios.patch(`${API_BASE_URL}/threats/${threatId}/verdict`, {
+        verdict: "TRUE_POSITIVE",
+      });
+      toast.success("Threat confirmed");
+    } catch {
+      toast.error("Failed to confirm threat");
+    }
+  };
+
   const cleanup = () => {
     if (socketRef.current) {
       socketRef.current.disconnect();
@@ -488,7 +536,10 @@ export const ThreatProvider = ({ children }) => {
     updateThreatFilters,
     blockIP,
     markFalsePositive,
+    confirmThreat,
+    fetchMLModels,
     fetchInitialData,
+    subscribe,
   };
 
   return (